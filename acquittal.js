@@ -0,0 +1,374 @@
+// Acquittal: after the trip, the actual departure and arrival times are entered for each leg and the
+// trip is priced again. The result is compared with the claim per component and per day and ends in
+// a refund due from the traveller or a top-up payable to them; it prints as its own document
+
+// Actual times of the calculated trip's legs, once an acquittal has been started:
+// { legs: [{ departureDate, arrivalDate }], calculated } where legs line up with calculatedTrip.legs and the dates
+// are datetime-local values (local time at the departure/arrival, as in the itinerary); calculated is true once
+// the trip has been priced with them
+let tripAcquittal = null;
+
+// The trip priced with the actual times (null until it has been)
+let acquittalTrip = null;
+
+// The claim's adjustments as they apply to the actual trip: day adjustments move to the day with the same date,
+// and those whose date the actual trip no longer has are not applied (see summariseAdjustments)
+function carryOverAdjustments(plannedTrip, actualTrip, adjustments) {
+    return adjustments.map(adjustment => {
+        if (adjustment.scope !== 'day') return adjustment;
+        const plannedDay = plannedTrip.days.find(dayRow => dayRow.dayNumber === adjustment.dayNumber);
+        const actualDay = plannedDay && actualTrip.days.find(dayRow => dayRow.date.getTime() === plannedDay.date.getTime());
+        return Object.assign({}, adjustment, { dayNumber: actualDay ? actualDay.dayNumber : null });
+    });
+}
+
+// The planned trip's tripSpec with the actual times
+function readActualTripSpec(trip, actualLegs) {
+    return {
+        grade: trip.grade,
+        purpose: trip.purpose,
+        fundingSource: trip.fundingSource,
+        legs: trip.legs.map((leg, index) => ({
+            direction: leg.direction,
+            from: leg.from,
+            fromCity: leg.fromCity,
+            fromAirport: leg.fromAirport,
+            to: leg.to,
+            toCity: leg.toCity,
+            toAirport: leg.toAirport,
+            departureDate: actualLegs[index].departureDate,
+            arrivalDate: actualLegs[index].arrivalDate
+        })),
+        // What the host provided stays with its date
+        provisions: trip.provisions
+    };
+}
+
+/**
+ * Compare the claim with the trip as travelled
+ * @param {Object} plannedTrip - Calculated trip the claim was paid on
+ * @param {Array} plannedAdjustments - The claim's adjustments (see tripAdjustments)
+ * @param {Object} actualTrip - The trip priced with the actual times
+ * @returns {Object} - { components: [{ label, planned, actual, difference }], days: [{ date, planned, actual,
+ *   plannedTotal, actualTotal, difference }], notCarriedOver, paid, entitlement, balance }
+ *   planned/actual day rows are null on dates only one of the trips has; day totals include day adjustments;
+ *   balance is positive for a top-up payable and negative for a refund due
+ */
+function compareAcquittal(plannedTrip, plannedAdjustments, actualTrip) {
+    const actualAdjustments = carryOverAdjustments(plannedTrip, actualTrip, plannedAdjustments);
+    const plannedSummary = summariseAdjustments(plannedTrip, plannedAdjustments);
+    const actualSummary = summariseAdjustments(actualTrip, actualAdjustments);
+
+    const components = [];
+    const addComponent = (label, planned, actual) => components.push({ label, planned, actual, difference: actual - planned });
+    ['breakfast', 'lunch', 'dinner', 'accommodation', 'other'].forEach(component => {
+        addComponent(adjustmentComponentLabels[component], plannedTrip.components[component].amount, actualTrip.components[component].amount);
+    });
+    addComponent(adjustmentComponentLabels.representation, plannedTrip.representationAllowance, actualTrip.representationAllowance);
+    if (plannedTrip.fundingSource === 'external') {
+        addComponent(adjustmentComponentLabels.supplementary, plannedTrip.supplementaryAllowance, actualTrip.supplementaryAllowance);
+    }
+    if (plannedAdjustments.length > 0) {
+        addComponent('Adjustments', plannedSummary.difference, actualSummary.difference);
+    }
+
+    // Days by date, so a day that moved or was added or dropped lines up with its counterpart
+    const dateKey = (dayRow) => formatDateTime(dayRow.date).slice(0, 10);
+    const days = new Map();
+    plannedTrip.days.forEach(dayRow => days.set(dateKey(dayRow), { date: dayRow.date, planned: dayRow, actual: null }));
+    actualTrip.days.forEach(dayRow => {
+        const key = dateKey(dayRow);
+        if (days.has(key)) {
+            days.get(key).actual = dayRow;
+        } else {
+            days.set(key, { date: dayRow.date, planned: null, actual: dayRow });
+        }
+    });
+    const dayRows = Array.from(days.values()).sort((a, b) => a.date - b.date).map(entry => {
+        const plannedTotal = entry.planned ? getAdjustedDayTotal(entry.planned, plannedSummary) : 0;
+        const actualTotal = entry.actual ? getAdjustedDayTotal(entry.actual, actualSummary) : 0;
+        return Object.assign(entry, { plannedTotal, actualTotal, difference: actualTotal - plannedTotal });
+    });
+
+    return {
+        components,
+        days: dayRows,
+        notCarriedOver: plannedAdjustments.filter((adjustment, index) => !actualSummary.applied.includes(actualAdjustments[index])),
+        paid: plannedSummary.adjustedTotal,
+        entitlement: actualSummary.adjustedTotal,
+        balance: roundAmount(actualSummary.adjustedTotal - plannedSummary.adjustedTotal)
+    };
+}
+
+// The outcome of an acquittal in words, e.g. "Refund due from the traveller"
+function describeAcquittalBalance(balance) {
+    if (balance > 0) return 'Top-up payable to the traveller';
+    if (balance < 0) return 'Refund due from the traveller';
+    return 'Nothing to pay or refund';
+}
+
+// Comparison tables for an acquittal, on the page and on the printed document
+function acquittalComparisonTables(comparison, tableClass) {
+    return `
+        <table class="${tableClass}">
+            <thead>
+                <tr><th>Item</th><th class="number">Claimed (US$)</th><th class="number">Actual (US$)</th><th class="number">Difference (US$)</th></tr>
+            </thead>
+            <tbody>
+                ${comparison.components.map(row => `
+                <tr>
+                    <td>${escapeHtml(row.label)}</td>
+                    <td class="number">${formatClaimAmount(row.planned)}</td>
+                    <td class="number">${formatClaimAmount(row.actual)}</td>
+                    <td class="number">${formatClaimAmount(row.difference)}</td>
+                </tr>`).join('')}
+                <tr class="claim-subtotal">
+                    <td>Total</td>
+                    <td class="number">${formatClaimAmount(comparison.paid)}</td>
+                    <td class="number">${formatClaimAmount(comparison.entitlement)}</td>
+                    <td class="number">${formatClaimAmount(comparison.balance)}</td>
+                </tr>
+            </tbody>
+        </table>
+
+        <table class="${tableClass} acquittal-days">
+            <thead>
+                <tr><th>Date</th><th>Claimed</th><th class="number">Claimed (US$)</th><th>Actual</th><th class="number">Actual (US$)</th><th class="number">Difference (US$)</th></tr>
+            </thead>
+            <tbody>
+                ${comparison.days.map(row => `
+                <tr class="${Math.abs(row.difference) >= 0.005 ? 'acquittal-changed' : ''}">
+                    <td>${formatLocalDateTime(row.date).slice(0, 10)}</td>
+                    <td>${row.planned ? `Day ${row.planned.dayNumber}, ${escapeHtml(formatLocation(row.planned.location, row.planned.city))}` : '—'}</td>
+                    <td class="number">${formatClaimAmount(row.plannedTotal)}</td>
+                    <td>${row.actual ? `Day ${row.actual.dayNumber}, ${escapeHtml(formatLocation(row.actual.location, row.actual.city))}` : '—'}</td>
+                    <td class="number">${formatClaimAmount(row.actualTotal)}</td>
+                    <td class="number">${formatClaimAmount(row.difference)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+// Show the acquittal section for a calculated trip: the legs with their actual times, and the comparison once priced
+// Called by renderResults(); hidden until an acquittal is started
+function renderAcquittal(trip) {
+    const section = document.getElementById('acquittalSection');
+    // A recalculated claim with different legs starts the acquittal again
+    if (tripAcquittal && tripAcquittal.legs.length !== trip.legs.length) {
+        tripAcquittal = null;
+    }
+    acquittalTrip = null;
+    if (!tripAcquittal) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+
+    const legNumbers = { outbound: 0, return: 0 };
+    const legLabels = { outbound: 'Outbound', return: 'Return' };
+    document.getElementById('acquittalLegs').innerHTML = `
+        <table class="data-table acquittal-legs">
+            <thead>
+                <tr><th>Leg</th><th>Claimed Times (local)</th><th>Actual Departure (local)</th><th>Actual Arrival (local)</th></tr>
+            </thead>
+            <tbody>
+                ${trip.legs.map((leg, index) => `
+                <tr>
+                    <td>
+                        ${legLabels[leg.direction]} ${++legNumbers[leg.direction]}:
+                        ${claimPlace(leg.from, leg.fromCity, leg.fromAirport)} → ${claimPlace(leg.to, leg.toCity, leg.toAirport)}
+                    </td>
+                    <td>${formatLocalDateTime(leg.departureDate)} – ${formatLocalDateTime(leg.arrivalDate)}</td>
+                    <td>
+                        <input type="datetime-local" id="acquittalDeparture-${index}" value="${tripAcquittal.legs[index].departureDate}" onchange="readAcquittalTimes()">
+                        <small class="muted">${escapeHtml(leg.departureZone)}</small>
+                    </td>
+                    <td>
+                        <input type="datetime-local" id="acquittalArrival-${index}" value="${tripAcquittal.legs[index].arrivalDate}" onchange="readAcquittalTimes()">
+                        <small class="muted">${escapeHtml(leg.arrivalZone)}</small>
+                    </td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('acquittalResult').innerHTML = '';
+    if (tripAcquittal.calculated) showAcquittalResult();
+}
+
+// Start an acquittal of the calculated trip, with the claimed times to correct
+function startAcquittal() {
+    if (!calculatedTrip) return;
+    if (!tripAcquittal) {
+        tripAcquittal = {
+            legs: calculatedTrip.legs.map(leg => ({
+                departureDate: formatDateTime(leg.departureDate),
+                arrivalDate: formatDateTime(leg.arrivalDate)
+            })),
+            calculated: false
+        };
+        renderAcquittal(calculatedTrip);
+        saveCurrentTrip();
+    }
+    document.getElementById('acquittalSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Drop the acquittal (the claim itself is kept)
+function cancelAcquittal() {
+    if (!calculatedTrip) return;
+    tripAcquittal = null;
+    renderAcquittal(calculatedTrip);
+    saveCurrentTrip();
+}
+
+// Keep the actual times entered; a changed time needs the acquittal to be priced again
+function readAcquittalTimes() {
+    if (!tripAcquittal) return;
+    tripAcquittal.legs = tripAcquittal.legs.map((leg, index) => ({
+        departureDate: document.getElementById(`acquittalDeparture-${index}`).value,
+        arrivalDate: document.getElementById(`acquittalArrival-${index}`).value
+    }));
+    tripAcquittal.calculated = false;
+    acquittalTrip = null;
+    document.getElementById('acquittalResult').innerHTML = '';
+}
+
+// Price the trip with the actual times and show how it compares with the claim
+function showAcquittalResult() {
+    const result = document.getElementById('acquittalResult');
+    acquittalTrip = null;
+    tripAcquittal.legs.forEach((leg, index) => {
+        clearFieldMessage(document.getElementById(`acquittalDeparture-${index}`));
+        clearFieldMessage(document.getElementById(`acquittalArrival-${index}`));
+    });
+
+    // Only the times have changed, so the problems that can come up are with the times
+    const tripSpec = readActualTripSpec(calculatedTrip, tripAcquittal.legs);
+    const { errors } = validateTripSpec(tripSpec);
+    if (errors.length > 0) {
+        const inputIds = { departureDate: 'acquittalDeparture', arrivalDate: 'acquittalArrival' };
+        const otherErrors = [];
+        errors.forEach(issue => {
+            if (inputIds[issue.field] && issue.legIndex !== null) {
+                showFieldMessage(document.getElementById(`${inputIds[issue.field]}-${issue.legIndex}`), issue.message, 'error');
+            } else {
+                otherErrors.push(issue.message);
+            }
+        });
+        result.innerHTML = `
+            <div class="error-box">
+                <strong>The actual times can't be priced yet.</strong> Correct the times marked above.
+                ${otherErrors.length > 0 ? `<ul>${otherErrors.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>` : ''}
+            </div>
+        `;
+        tripAcquittal.calculated = false;
+        return;
+    }
+
+    acquittalTrip = computeTrip(tripSpec);
+    tripAcquittal.calculated = true;
+    const comparison = compareAcquittal(calculatedTrip, tripAdjustments, acquittalTrip);
+    result.innerHTML = `
+        ${acquittalComparisonTables(comparison, 'data-table acquittal-comparison')}
+        ${comparison.notCarriedOver.length > 0 ? `
+        <div class="info-box">
+            Not carried over to the actual trip (the day is no longer in it):
+            ${comparison.notCarriedOver.map(adjustment => `${escapeHtml(describeAdjustment(adjustment, calculatedTrip))} ${formatAdjustmentAmount(adjustment.amount)}`).join('; ')}
+        </div>` : ''}
+        <div class="acquittal-outcome ${comparison.balance > 0 ? 'top-up' : comparison.balance < 0 ? 'refund' : ''}">
+            <span class="label">${describeAcquittalBalance(comparison.balance)}:</span>
+            <span class="value">US$${formatClaimAmount(Math.abs(comparison.balance))}</span>
+            <small>Paid on the claim US$${formatClaimAmount(comparison.paid)}; entitlement for the trip as travelled US$${formatClaimAmount(comparison.entitlement)}</small>
+        </div>
+        <button type="button" class="btn-secondary" onclick="printAcquittal()">Print Acquittal</button>
+    `;
+}
+
+function calculateAcquittal() {
+    if (!calculatedTrip || !tripAcquittal) return;
+    showAcquittalResult();
+    saveCurrentTrip();
+}
+
+/**
+ * Draw the acquittal document
+ * @param {Object} plannedTrip - Calculated trip the claim was paid on
+ * @param {Array} adjustments - The claim's adjustments (see tripAdjustments)
+ * @param {Object} actualTrip - The trip priced with the actual times
+ * @param {Object} traveller - Traveller details (see readTravellerDetails)
+ */
+function renderAcquittalForm(plannedTrip, adjustments, actualTrip, traveller) {
+    const comparison = compareAcquittal(plannedTrip, adjustments, actualTrip);
+    const legNumbers = { outbound: 0, return: 0 };
+    const legLabels = { outbound: 'Outbound', return: 'Return' };
+
+    document.getElementById('acquittalForm').innerHTML = `
+        ${claimFormHeader('Travel and Subsistence Acquittal', actualTrip)}
+
+        <h2>1. Traveller</h2>
+        ${claimTravellerTable(plannedTrip, traveller)}
+
+        <h2>2. Claimed and Actual Times</h2>
+        <table>
+            <thead>
+                <tr><th>Leg</th><th>From</th><th>To</th><th>Claimed (local)</th><th>Actual (local)</th></tr>
+            </thead>
+            <tbody>
+                ${plannedTrip.legs.map((leg, index) => {
+                    const actualLeg = actualTrip.legs[index];
+                    return `
+                <tr>
+                    <td>${legLabels[leg.direction]} ${++legNumbers[leg.direction]}</td>
+                    <td>${claimPlace(leg.from, leg.fromCity, leg.fromAirport)}</td>
+                    <td>${claimPlace(leg.to, leg.toCity, leg.toAirport)}</td>
+                    <td>${formatLocalDateTime(leg.departureDate)} – ${formatLocalDateTime(leg.arrivalDate)}</td>
+                    <td>${formatLocalDateTime(actualLeg.departureDate)} – ${formatLocalDateTime(actualLeg.arrivalDate)}</td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+        <p class="claim-note">
+            Claimed: away ${plannedTrip.durations.totalDays.toFixed(2)} days, ${plannedTrip.durations.fullDaysAtDestination} full days at destination.
+            Actual: away ${actualTrip.durations.totalDays.toFixed(2)} days, ${actualTrip.durations.fullDaysAtDestination} full days at destination.
+        </p>
+
+        <h2>3. Claimed and Actual Allowances</h2>
+        ${acquittalComparisonTables(comparison, 'acquittal-comparison')}
+        <p class="claim-note">
+            Day amounts include day adjustments; the supplementary allowance is not in them.
+            ${comparison.notCarriedOver.length > 0 ? `Adjustments not carried over (the day is no longer in the trip):
+            ${comparison.notCarriedOver.map(adjustment => `${escapeHtml(describeAdjustment(adjustment, plannedTrip))} ${formatAdjustmentAmount(adjustment.amount)}`).join('; ')}.` : ''}
+        </p>
+
+        <div class="claim-keep-together">
+            <h2>4. Outcome</h2>
+            <table class="claim-details">
+                <tr><th>Paid on the claim</th><td>US$${formatClaimAmount(comparison.paid)}</td></tr>
+                <tr><th>Entitlement as travelled</th><td>US$${formatClaimAmount(comparison.entitlement)}</td></tr>
+                <tr><th>${describeAcquittalBalance(comparison.balance)}</th><td><strong>US$${formatClaimAmount(Math.abs(comparison.balance))}</strong></td></tr>
+                <tr><th>In words</th><td><strong>${escapeHtml(amountInWords(Math.abs(comparison.balance)))}</strong></td></tr>
+            </table>
+        </div>
+
+        <div class="claim-keep-together">
+            <h2>5. Certification and Approval</h2>
+            <div class="claim-signatures">
+                ${claimSignatureBlock('Traveller', 'I certify that the journey was made at the actual times stated above.')}
+                ${claimSignatureBlock('Supervisor', 'I certify that the actual times are correct.')}
+                ${claimSignatureBlock('Accounting Officer', 'I approve the acquittal and the balance above.')}
+            </div>
+        </div>
+    `;
+}
+
+// Print the acquittal in place of the page (and instead of the claim form)
+function printAcquittal() {
+    if (!calculatedTrip || !acquittalTrip) return;
+    renderAcquittalForm(calculatedTrip, tripAdjustments, acquittalTrip, readTravellerDetails());
+    document.body.classList.add('printing-acquittal');
+    window.print();
+}
+
+window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-acquittal');
+});
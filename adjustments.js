@@ -0,0 +1,239 @@
+// Adjustments: changes to the calculated payment, each with the reason it was made, kept next to the
+// calculation rather than replacing it. An adjustment applies to the whole total, one day or one
+// allowance component, so the printed breakdown still adds up to the amount claimed
+
+// Components an adjustment can apply to
+const adjustmentComponentLabels = {
+    breakfast: 'Breakfast',
+    lunch: 'Lunch',
+    dinner: 'Dinner',
+    accommodation: 'Accommodation',
+    other: 'Other expenses',
+    representation: 'Representation allowance',
+    supplementary: 'Supplementary allowance'
+};
+
+// Adjustments to the trip in the results card, in the order they were made:
+// [{ scope: 'total' | 'day' | 'component', dayNumber, component, amount, reason, createdAt }]
+// amount is the change in US$ (negative to reduce); dayNumber is set for day adjustments, component for component ones
+let tripAdjustments = [];
+
+// Round to cents
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// What an adjustment applies to, e.g. "Day 3 (Kenya)" or "Accommodation"
+function describeAdjustment(adjustment, trip) {
+    if (adjustment.scope === 'day') {
+        const dayRow = trip && trip.days.find(candidate => candidate.dayNumber === adjustment.dayNumber);
+        return dayRow ? `Day ${adjustment.dayNumber} (${formatLocation(dayRow.location, dayRow.city)})` : `Day ${adjustment.dayNumber}`;
+    }
+    if (adjustment.scope === 'component') {
+        return adjustmentComponentLabels[adjustment.component] || adjustment.component;
+    }
+    return 'Total';
+}
+
+// A US$ change with its sign, e.g. "+US$25.00" or "−US$10.50"
+function formatAdjustmentAmount(amount) {
+    return `${amount < 0 ? '−' : '+'}US$${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Apply adjustments to a computeTrip() result
+ * Day adjustments for days the trip no longer has (the itinerary was shortened) are not applied
+ * @param {Object} trip - Calculated trip
+ * @param {Array} adjustments - Adjustments (see tripAdjustments)
+ * @returns {Object} - { calculatedTotal, adjustedTotal, difference, applied, notApplied, totalAdjustment, dayAdjustments, componentAdjustments }
+ *                     dayAdjustments and componentAdjustments are keyed by day number and component
+ */
+function summariseAdjustments(trip, adjustments) {
+    const summary = {
+        calculatedTotal: roundAmount(trip.totalPayment),
+        applied: [],
+        notApplied: [],
+        totalAdjustment: 0,
+        dayAdjustments: {},
+        componentAdjustments: {}
+    };
+    adjustments.forEach(adjustment => {
+        if (adjustment.scope === 'day') {
+            if (!trip.days.some(dayRow => dayRow.dayNumber === adjustment.dayNumber)) {
+                summary.notApplied.push(adjustment);
+                return;
+            }
+            summary.dayAdjustments[adjustment.dayNumber] = (summary.dayAdjustments[adjustment.dayNumber] || 0) + adjustment.amount;
+        } else if (adjustment.scope === 'component') {
+            summary.componentAdjustments[adjustment.component] = (summary.componentAdjustments[adjustment.component] || 0) + adjustment.amount;
+        } else {
+            summary.totalAdjustment += adjustment.amount;
+        }
+        summary.applied.push(adjustment);
+    });
+    summary.difference = roundAmount(summary.applied.reduce((sum, adjustment) => sum + adjustment.amount, 0));
+    summary.adjustedTotal = roundAmount(summary.calculatedTotal + summary.difference);
+    return summary;
+}
+
+// A day's total with its day adjustments
+function getAdjustedDayTotal(dayRow, summary) {
+    return dayRow.total + (summary.dayAdjustments[dayRow.dayNumber] || 0);
+}
+
+// Check an adjustment read from a saved trip or claim file; returns it in the stored shape, or null
+function normaliseAdjustment(adjustment) {
+    if (!adjustment || typeof adjustment.amount !== 'number' || !isFinite(adjustment.amount) ||
+        typeof adjustment.reason !== 'string' || !adjustment.reason.trim()) {
+        return null;
+    }
+    if (adjustment.scope === 'day' && !Number.isInteger(adjustment.dayNumber)) return null;
+    if (adjustment.scope === 'component' && !adjustmentComponentLabels[adjustment.component]) return null;
+    if (!['total', 'day', 'component'].includes(adjustment.scope)) return null;
+    return {
+        scope: adjustment.scope,
+        dayNumber: adjustment.scope === 'day' ? adjustment.dayNumber : null,
+        component: adjustment.scope === 'component' ? adjustment.component : null,
+        amount: adjustment.amount,
+        reason: adjustment.reason.trim(),
+        createdAt: typeof adjustment.createdAt === 'string' ? adjustment.createdAt : null
+    };
+}
+
+// Saved trips and claim files from before adjustments were recorded only kept the edited total
+// It comes back as a total adjustment without a reason; null when the total was not changed
+function editedTotalToAdjustment(editedTotal, calculatedTotal, createdAt) {
+    const amount = roundAmount(editedTotal - calculatedTotal);
+    if (isNaN(amount) || amount === 0) return null;
+    return {
+        scope: 'total',
+        dayNumber: null,
+        component: null,
+        amount,
+        reason: 'Total edited before reasons were recorded (no reason given)',
+        createdAt: createdAt || null
+    };
+}
+
+// Show the adjustments to a calculated trip, and the adjusted total in the Total T&S Payment field
+// Called by renderResults()
+function renderAdjustments(trip) {
+    const summary = summariseAdjustments(trip, tripAdjustments);
+    document.getElementById('totalPayment').value = summary.adjustedTotal.toFixed(2);
+    const paymentCurrency = getPaymentCurrency();
+    document.getElementById('totalPaymentConverted').textContent = paymentCurrency
+        ? `= ${formatCurrencyAmount(summary.adjustedTotal * paymentCurrency.rate, paymentCurrency.currency)}`
+        : '';
+
+    // What a new adjustment can apply to: the total, a component, or a day of this trip
+    const scope = document.getElementById('adjustmentScope');
+    const selected = scope.value;
+    const components = Object.keys(adjustmentComponentLabels)
+        .filter(component => component !== 'supplementary' || trip.fundingSource === 'external');
+    scope.innerHTML = `
+        <option value="total">Total</option>
+        <optgroup label="Component">
+            ${components.map(component => `<option value="component:${component}">${adjustmentComponentLabels[component]}</option>`).join('')}
+        </optgroup>
+        <optgroup label="Day">
+            ${trip.days.map(dayRow => `<option value="day:${dayRow.dayNumber}">${escapeHtml(describeAdjustment({ scope: 'day', dayNumber: dayRow.dayNumber }, trip))}</option>`).join('')}
+        </optgroup>
+    `;
+    if (scope.querySelector(`option[value="${selected}"]`)) scope.value = selected;
+
+    const list = document.getElementById('adjustmentList');
+    if (tripAdjustments.length === 0) {
+        list.innerHTML = '<p class="muted">No adjustments. The total is the calculated amount.</p>';
+        return;
+    }
+    list.innerHTML = `
+        <table class="data-table adjustment-list">
+            <thead>
+                <tr><th>Applies To</th><th class="number">Amount</th><th>Reason</th><th>Recorded</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${tripAdjustments.map((adjustment, index) => {
+                    const applied = summary.applied.includes(adjustment);
+                    return `
+                <tr class="${applied ? '' : 'not-applied'}">
+                    <td>${escapeHtml(describeAdjustment(adjustment, trip))}${applied ? '' : ' <span class="muted">(not in this trip; not applied)</span>'}</td>
+                    <td class="number">${formatAdjustmentAmount(adjustment.amount)}</td>
+                    <td>${escapeHtml(adjustment.reason)}</td>
+                    <td>${adjustment.createdAt ? formatLocalDateTime(new Date(adjustment.createdAt)) : ''}</td>
+                    <td><button type="button" class="btn-link" onclick="removeAdjustment(${index})">Remove</button></td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+            <tfoot>
+                <tr><td>Calculated total</td><td class="number">US$${summary.calculatedTotal.toFixed(2)}</td><td colspan="3"></td></tr>
+                <tr><td>Difference</td><td class="number">${formatAdjustmentAmount(summary.difference)}</td><td colspan="3"></td></tr>
+                <tr><td><strong>Adjusted total</strong></td><td class="number"><strong>${formatPaymentAmount(summary.adjustedTotal)}</strong></td><td colspan="3"></td></tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+// Record the adjustment in the form; the amount must be non-zero and the reason is required
+function addAdjustment() {
+    if (!calculatedTrip) return;
+    const scope = document.getElementById('adjustmentScope');
+    const amountInput = document.getElementById('adjustmentAmount');
+    const reasonInput = document.getElementById('adjustmentReason');
+    [amountInput, reasonInput].forEach(clearFieldMessage);
+
+    const amount = roundAmount(parseFloat(amountInput.value));
+    const reason = reasonInput.value.trim();
+    let valid = true;
+    if (isNaN(amount) || amount === 0) {
+        showFieldMessage(amountInput, 'Enter the change in US$ (negative to reduce)', 'error');
+        valid = false;
+    }
+    if (!reason) {
+        showFieldMessage(reasonInput, 'Give the reason for the adjustment', 'error');
+        valid = false;
+    }
+    if (!valid) return;
+
+    const [kind, target] = scope.value.split(':');
+    tripAdjustments.push({
+        scope: kind,
+        dayNumber: kind === 'day' ? parseInt(target, 10) : null,
+        component: kind === 'component' ? target : null,
+        amount,
+        reason,
+        createdAt: new Date().toISOString()
+    });
+    amountInput.value = '';
+    reasonInput.value = '';
+    renderAdjustments(calculatedTrip);
+    // The advance balance and the acquittal follow the adjusted claim
+    renderAdvances(calculatedTrip);
+    renderAcquittal(calculatedTrip);
+    saveCurrentTrip();
+}
+
+function removeAdjustment(index) {
+    if (!calculatedTrip) return;
+    tripAdjustments.splice(index, 1);
+    renderAdjustments(calculatedTrip);
+    // The advance balance and the acquittal follow the adjusted claim
+    renderAdvances(calculatedTrip);
+    renderAcquittal(calculatedTrip);
+    saveCurrentTrip();
+}
+
+// Typing over the total doesn't change it: the difference goes into a new total adjustment, which needs a reason
+function adjustTotalPayment() {
+    if (!calculatedTrip) return;
+    const totalInput = document.getElementById('totalPayment');
+    const adjustedTotal = summariseAdjustments(calculatedTrip, tripAdjustments).adjustedTotal;
+    const entered = parseFloat(totalInput.value);
+    totalInput.value = adjustedTotal.toFixed(2);
+    if (isNaN(entered) || roundAmount(entered - adjustedTotal) === 0) return;
+
+    document.getElementById('adjustmentScope').value = 'total';
+    document.getElementById('adjustmentAmount').value = roundAmount(entered - adjustedTotal).toFixed(2);
+    const reasonInput = document.getElementById('adjustmentReason');
+    showFieldMessage(reasonInput, `Give the reason for changing the total to US$${entered.toFixed(2)}, then add the adjustment`, 'warning');
+    reasonInput.focus();
+}
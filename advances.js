@@ -0,0 +1,233 @@
+// Advances: amounts paid to the traveller before departure, as a percentage of the estimated T&S or
+// a fixed amount, recorded with the date paid. The claim shows the entitlement, the advances and the
+// balance due to or from the officer. Advances can be limited to a percentage of the estimate per grade
+
+// localStorage key for the advance limits set in the Rate Tables card
+const advanceLimitsStorageKey = 'tsCalculator.advanceLimits';
+
+// Advances paid for the trip in the results card, in the order recorded:
+// [{ basis: 'percentage' | 'fixed', percentage, amount, paidOn, createdAt }]
+// amount is the US$ paid (for a percentage, of the estimate at the time it was recorded); paidOn is yyyy-mm-dd
+let tripAdvances = [];
+
+// Advance limits: { grade: maximum percentage of the estimated T&S }; grades without one have no limit
+function loadAdvanceLimits() {
+    try {
+        return JSON.parse(localStorage.getItem(advanceLimitsStorageKey) || '{}');
+    } catch (error) {
+        // Unreadable storage: no limits
+        return {};
+    }
+}
+
+function saveAdvanceLimits(limits) {
+    try {
+        localStorage.setItem(advanceLimitsStorageKey, JSON.stringify(limits));
+    } catch (error) {
+        // Storage unavailable: the limits stay as they were
+    }
+}
+
+// Name of a grade as shown in the form
+function getGradeLabel(grade) {
+    const option = document.querySelector(`#grade option[value="${grade}"]`);
+    return option ? option.textContent : grade;
+}
+
+/**
+ * Advances against a claim
+ * @param {number} entitlement - Total entitlement (the adjusted claim total)
+ * @param {Array} advances - Advances paid (see tripAdvances)
+ * @param {number|undefined} limitPercentage - Grade's advance limit, if it has one
+ * @returns {Object} - { entitlement, advancesTotal, balance, limitPercentage, limitAmount, overLimit }
+ *   balance is positive when due to the officer and negative when due from them
+ */
+function summariseAdvances(entitlement, advances, limitPercentage) {
+    const advancesTotal = roundAmount(advances.reduce((sum, advance) => sum + advance.amount, 0));
+    const limitAmount = typeof limitPercentage === 'number' ? roundAmount(entitlement * limitPercentage / 100) : null;
+    return {
+        entitlement,
+        advancesTotal,
+        balance: roundAmount(entitlement - advancesTotal),
+        limitPercentage: limitAmount === null ? null : limitPercentage,
+        limitAmount,
+        overLimit: limitAmount !== null && advancesTotal > limitAmount
+    };
+}
+
+// The balance in words, e.g. "Balance due to the officer"
+function describeAdvanceBalance(balance) {
+    if (balance > 0) return 'Balance due to the officer';
+    if (balance < 0) return 'Balance due from the officer';
+    return 'Balance (settled in full by the advances)';
+}
+
+// The date an advance was paid as dd/mm/yyyy
+function formatAdvanceDate(paidOn) {
+    return formatLocalDateTime(parseScheduleDate(paidOn)).slice(0, 10);
+}
+
+// How an advance was worked out, e.g. "60% of estimated T&S" or "Fixed amount"
+function describeAdvanceBasis(advance) {
+    return advance.basis === 'percentage' ? `${advance.percentage}% of estimated T&S` : 'Fixed amount';
+}
+
+// Check an advance read from a saved trip or claim file; returns it in the stored shape, or null
+function normaliseAdvance(advance) {
+    if (!advance || typeof advance.amount !== 'number' || !isFinite(advance.amount) || advance.amount <= 0 ||
+        typeof advance.paidOn !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(advance.paidOn)) {
+        return null;
+    }
+    const basis = advance.basis === 'percentage' && typeof advance.percentage === 'number' ? 'percentage' : 'fixed';
+    return {
+        basis,
+        percentage: basis === 'percentage' ? advance.percentage : null,
+        amount: advance.amount,
+        paidOn: advance.paidOn,
+        createdAt: typeof advance.createdAt === 'string' ? advance.createdAt : null
+    };
+}
+
+// The advance summary for the calculated trip
+function getTripAdvanceSummary(trip) {
+    return summariseAdvances(summariseAdjustments(trip, tripAdjustments).adjustedTotal, tripAdvances, loadAdvanceLimits()[trip.grade]);
+}
+
+// Show the advances to a calculated trip and the balance left to settle
+// Called by renderResults(), and again when the adjustments change, as the balance follows the adjusted total
+function renderAdvances(trip) {
+    const summary = getTripAdvanceSummary(trip);
+    document.getElementById('advanceLimitNote').textContent = summary.limitPercentage === null
+        ? `No advance limit is set for ${getGradeLabel(trip.grade)}.`
+        : `Advances for ${getGradeLabel(trip.grade)} are limited to ${summary.limitPercentage}% of the estimated T&S (US$${summary.limitAmount.toFixed(2)}).`;
+
+    const list = document.getElementById('advanceList');
+    if (tripAdvances.length === 0) {
+        list.innerHTML = '<p class="muted">No advances recorded. The whole entitlement is due on the claim.</p>';
+        return;
+    }
+    list.innerHTML = `
+        ${summary.overLimit ? `
+        <div class="error-box">
+            Advances of US$${summary.advancesTotal.toFixed(2)} exceed the ${summary.limitPercentage}% limit for ${escapeHtml(getGradeLabel(trip.grade))}
+            (US$${summary.limitAmount.toFixed(2)} of the current estimate).
+        </div>` : ''}
+        <table class="data-table advance-list">
+            <thead>
+                <tr><th>Paid On</th><th>Basis</th><th class="number">Amount</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${tripAdvances.map((advance, index) => `
+                <tr>
+                    <td>${formatAdvanceDate(advance.paidOn)}</td>
+                    <td>${escapeHtml(describeAdvanceBasis(advance))}</td>
+                    <td class="number">US$${advance.amount.toFixed(2)}</td>
+                    <td><button type="button" class="btn-link" onclick="removeAdvance(${index})">Remove</button></td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr><td colspan="2">Total entitlement</td><td class="number">US$${summary.entitlement.toFixed(2)}</td><td></td></tr>
+                <tr><td colspan="2">Advances paid</td><td class="number">US$${summary.advancesTotal.toFixed(2)}</td><td></td></tr>
+                <tr><td colspan="2"><strong>${describeAdvanceBalance(summary.balance)}</strong></td><td class="number"><strong>${formatPaymentAmount(Math.abs(summary.balance))}</strong></td><td></td></tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+// Show the advance's value as a percentage or an amount to match its basis
+function updateAdvanceBasis() {
+    const percentage = document.getElementById('advanceBasis').value === 'percentage';
+    document.getElementById('advanceValueLabel').textContent = percentage ? 'Percentage of Estimated T&S:' : 'Amount (US$):';
+}
+
+// Record the advance in the form; it must be positive, dated and within the grade's limit
+function addAdvance() {
+    if (!calculatedTrip) return;
+    const basis = document.getElementById('advanceBasis').value;
+    const valueInput = document.getElementById('advanceValue');
+    const dateInput = document.getElementById('advancePaidOn');
+    [valueInput, dateInput].forEach(clearFieldMessage);
+
+    const value = parseFloat(valueInput.value);
+    const entitlement = summariseAdjustments(calculatedTrip, tripAdjustments).adjustedTotal;
+    let valid = true;
+    if (isNaN(value) || value <= 0 || (basis === 'percentage' && value > 100)) {
+        showFieldMessage(valueInput, basis === 'percentage' ? 'Enter a percentage between 0 and 100' : 'Enter the amount paid in US$', 'error');
+        valid = false;
+    }
+    if (!dateInput.value) {
+        showFieldMessage(dateInput, 'Enter the date the advance was paid', 'error');
+        valid = false;
+    }
+    if (!valid) return;
+
+    const advance = {
+        basis,
+        percentage: basis === 'percentage' ? value : null,
+        amount: roundAmount(basis === 'percentage' ? entitlement * value / 100 : value),
+        paidOn: dateInput.value,
+        createdAt: new Date().toISOString()
+    };
+    const summary = summariseAdvances(entitlement, tripAdvances.concat(advance), loadAdvanceLimits()[calculatedTrip.grade]);
+    if (summary.overLimit) {
+        showFieldMessage(valueInput, `Advances would total US$${summary.advancesTotal.toFixed(2)}, over the ${summary.limitPercentage}% limit for ${getGradeLabel(calculatedTrip.grade)} (US$${summary.limitAmount.toFixed(2)})`, 'error');
+        return;
+    }
+
+    tripAdvances.push(advance);
+    valueInput.value = '';
+    dateInput.value = '';
+    renderAdvances(calculatedTrip);
+    saveCurrentTrip();
+}
+
+function removeAdvance(index) {
+    if (!calculatedTrip) return;
+    tripAdvances.splice(index, 1);
+    renderAdvances(calculatedTrip);
+    saveCurrentTrip();
+}
+
+// List the grades with their advance limits in the Rate Tables card
+function renderAdvanceLimits() {
+    const container = document.getElementById('advanceLimits');
+    if (!container) return;
+    const limits = loadAdvanceLimits();
+    const grades = Array.from(document.querySelectorAll('#grade option')).map(option => option.value).filter(Boolean);
+    container.innerHTML = `
+        <table class="data-table advance-limits">
+            <thead>
+                <tr><th>Grade</th><th class="number">Limit (% of estimated T&S)</th></tr>
+            </thead>
+            <tbody>
+                ${grades.map(grade => `
+                <tr>
+                    <td>${escapeHtml(getGradeLabel(grade))}</td>
+                    <td class="number">
+                        <input type="number" min="0" max="100" step="1" id="advanceLimit-${grade}" value="${typeof limits[grade] === 'number' ? limits[grade] : ''}"
+                            placeholder="No limit" onchange="setAdvanceLimit('${grade}', this)">
+                    </td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Save a grade's advance limit (blank removes it)
+function setAdvanceLimit(grade, input) {
+    clearFieldMessage(input);
+    const limits = loadAdvanceLimits();
+    const value = parseFloat(input.value);
+    if (input.value.trim() === '') {
+        delete limits[grade];
+    } else if (isNaN(value) || value < 0 || value > 100) {
+        showFieldMessage(input, 'Enter a percentage between 0 and 100, or leave blank for no limit', 'error');
+        return;
+    } else {
+        limits[grade] = value;
+    }
+    saveAdvanceLimits(limits);
+    if (calculatedTrip) renderAdvances(calculatedTrip);
+}
+
+window.addEventListener('DOMContentLoaded', renderAdvanceLimits);
@@ -0,0 +1,301 @@
+// Offline airport list for entering leg endpoints by IATA code or name
+// Each airport gives the country whose rates apply (a key of countryRates), its local time zone and its
+// coordinates (degrees) for flight time estimates; city is a cityRates city where the airport serves one
+
+// Airports by IATA code, grouped by country
+const airports = {
+    'KBL': { name: 'Kabul International', city: 'Kabul', country: 'Afghanistan', zone: 'Asia/Kabul', lat: 34.57, lon: 69.21 },
+    'TIA': { name: 'Tirana International', city: 'Tirana', country: 'Albania', zone: 'Europe/Tirane', lat: 41.41, lon: 19.72 },
+    'ALG': { name: 'Houari Boumediene', city: 'Algiers', country: 'Algeria', zone: 'Africa/Algiers', lat: 36.69, lon: 3.22 },
+    'LAD': { name: 'Quatro de Fevereiro', city: 'Luanda', country: 'Angola', zone: 'Africa/Luanda', lat: -8.86, lon: 13.23 },
+    'AXA': { name: 'Clayton J. Lloyd International', city: 'The Valley', country: 'Anguilla', zone: 'America/Anguilla', lat: 18.2, lon: -63.06 },
+    'ANU': { name: 'V. C. Bird International', city: 'St John\'s', country: 'Antigua and Barbuda', zone: 'America/Antigua', lat: 17.14, lon: -61.79 },
+    'EZE': { name: 'Ministro Pistarini (Ezeiza)', city: 'Buenos Aires', country: 'Argentina', zone: 'America/Argentina/Buenos_Aires', lat: -34.82, lon: -58.54 },
+    'AEP': { name: 'Jorge Newbery Aeroparque', city: 'Buenos Aires', country: 'Argentina', zone: 'America/Argentina/Buenos_Aires', lat: -34.56, lon: -58.42 },
+    'EVN': { name: 'Zvartnots International', city: 'Yerevan', country: 'Armenia', zone: 'Asia/Yerevan', lat: 40.15, lon: 44.4 },
+    'AUA': { name: 'Queen Beatrix International', city: 'Oranjestad', country: 'Aruba', zone: 'America/Aruba', lat: 12.5, lon: -70.02 },
+    'SYD': { name: 'Sydney Kingsford Smith', city: 'Sydney', country: 'Australia', zone: 'Australia/Sydney', lat: -33.95, lon: 151.18 },
+    'CBR': { name: 'Canberra', city: 'Canberra', country: 'Australia', zone: 'Australia/Sydney', lat: -35.31, lon: 149.19 },
+    'MEL': { name: 'Melbourne', city: 'Melbourne', country: 'Australia', zone: 'Australia/Melbourne', lat: -37.67, lon: 144.84 },
+    'BNE': { name: 'Brisbane', city: 'Brisbane', country: 'Australia', zone: 'Australia/Brisbane', lat: -27.38, lon: 153.12 },
+    'PER': { name: 'Perth', city: 'Perth', country: 'Australia', zone: 'Australia/Perth', lat: -31.94, lon: 115.97 },
+    'VIE': { name: 'Vienna International', city: 'Vienna', country: 'Austria', zone: 'Europe/Vienna', lat: 48.11, lon: 16.57 },
+    'GYD': { name: 'Heydar Aliyev International', city: 'Baku', country: 'Azerbaijan', zone: 'Asia/Baku', lat: 40.47, lon: 50.05 },
+    'NAS': { name: 'Lynden Pindling International', city: 'Nassau', country: 'Bahamas', zone: 'America/Nassau', lat: 25.04, lon: -77.47 },
+    'BAH': { name: 'Bahrain International', city: 'Manama', country: 'Bahrain', zone: 'Asia/Bahrain', lat: 26.27, lon: 50.63 },
+    'DAC': { name: 'Hazrat Shahjalal International', city: 'Dhaka', country: 'Bangladesh', zone: 'Asia/Dhaka', lat: 23.84, lon: 90.4 },
+    'BGI': { name: 'Grantley Adams International', city: 'Bridgetown', country: 'Barbados', zone: 'America/Barbados', lat: 13.07, lon: -59.49 },
+    'MSQ': { name: 'Minsk National', city: 'Minsk', country: 'Belarus', zone: 'Europe/Minsk', lat: 53.88, lon: 28.03 },
+    'BRU': { name: 'Brussels', city: 'Brussels', country: 'Belgium', zone: 'Europe/Brussels', lat: 50.9, lon: 4.48 },
+    'BZE': { name: 'Philip S. W. Goldson International', city: 'Belize City', country: 'Belize', zone: 'America/Belize', lat: 17.54, lon: -88.31 },
+    'COO': { name: 'Cadjehoun', city: 'Cotonou', country: 'Benin', zone: 'Africa/Porto-Novo', lat: 6.36, lon: 2.38 },
+    'PBH': { name: 'Paro International', city: 'Paro', country: 'Bhutan', zone: 'Asia/Thimphu', lat: 27.4, lon: 89.43 },
+    'LPB': { name: 'El Alto International', city: 'La Paz', country: 'Bolivia', zone: 'America/La_Paz', lat: -16.51, lon: -68.19 },
+    'VVI': { name: 'Viru Viru International', city: 'Santa Cruz', country: 'Bolivia', zone: 'America/La_Paz', lat: -17.64, lon: -63.14 },
+    'SJJ': { name: 'Sarajevo International', city: 'Sarajevo', country: 'Bosnia and Herzegovina', zone: 'Europe/Sarajevo', lat: 43.82, lon: 18.33 },
+    'GBE': { name: 'Sir Seretse Khama International', city: 'Gaborone', country: 'Botswana', zone: 'Africa/Gaborone', lat: -24.56, lon: 25.92 },
+    'GRU': { name: 'Sao Paulo Guarulhos International', city: 'Sao Paulo', country: 'Brazil', zone: 'America/Sao_Paulo', lat: -23.43, lon: -46.47 },
+    'BSB': { name: 'Brasilia International', city: 'Brasilia', country: 'Brazil', zone: 'America/Sao_Paulo', lat: -15.87, lon: -47.92 },
+    'GIG': { name: 'Rio de Janeiro Galeao International', city: 'Rio de Janeiro', country: 'Brazil', zone: 'America/Sao_Paulo', lat: -22.81, lon: -43.25 },
+    'EIS': { name: 'Terrance B. Lettsome International', city: 'Road Town', country: 'British Virgin Islands', zone: 'America/Tortola', lat: 18.44, lon: -64.54 },
+    'BWN': { name: 'Brunei International', city: 'Bandar Seri Begawan', country: 'Brunei', zone: 'Asia/Brunei', lat: 4.94, lon: 114.93 },
+    'SOF': { name: 'Sofia', city: 'Sofia', country: 'Bulgaria', zone: 'Europe/Sofia', lat: 42.7, lon: 23.41 },
+    'OUA': { name: 'Ouagadougou', city: 'Ouagadougou', country: 'Burkina Faso', zone: 'Africa/Ouagadougou', lat: 12.35, lon: -1.51 },
+    'BJM': { name: 'Melchior Ndadaye International', city: 'Bujumbura', country: 'Burundi', zone: 'Africa/Bujumbura', lat: -3.32, lon: 29.32 },
+    'PNH': { name: 'Phnom Penh International', city: 'Phnom Penh', country: 'Cambodia', zone: 'Asia/Phnom_Penh', lat: 11.55, lon: 104.84 },
+    'DLA': { name: 'Douala International', city: 'Douala', country: 'Cameroon', zone: 'Africa/Douala', lat: 4.01, lon: 9.72 },
+    'NSI': { name: 'Yaounde Nsimalen International', city: 'Yaounde', country: 'Cameroon', zone: 'Africa/Douala', lat: 3.72, lon: 11.55 },
+    'YYZ': { name: 'Toronto Pearson International', city: 'Toronto', country: 'Canada', zone: 'America/Toronto', lat: 43.68, lon: -79.63 },
+    'YOW': { name: 'Ottawa Macdonald-Cartier International', city: 'Ottawa', country: 'Canada', zone: 'America/Toronto', lat: 45.32, lon: -75.67 },
+    'YUL': { name: 'Montreal Trudeau International', city: 'Montreal', country: 'Canada', zone: 'America/Toronto', lat: 45.47, lon: -73.74 },
+    'YVR': { name: 'Vancouver International', city: 'Vancouver', country: 'Canada', zone: 'America/Vancouver', lat: 49.19, lon: -123.18 },
+    'RAI': { name: 'Nelson Mandela International', city: 'Praia', country: 'Cape Verde', zone: 'Atlantic/Cape_Verde', lat: 14.94, lon: -23.49 },
+    'GCM': { name: 'Owen Roberts International', city: 'George Town', country: 'Cayman Islands', zone: 'America/Cayman', lat: 19.29, lon: -81.36 },
+    'BGF': { name: 'Bangui M\'Poko International', city: 'Bangui', country: 'Central African Rep.', zone: 'Africa/Bangui', lat: 4.4, lon: 18.52 },
+    'NDJ': { name: 'N\'Djamena International', city: 'N\'Djamena', country: 'Chad', zone: 'Africa/Ndjamena', lat: 12.13, lon: 15.03 },
+    'SCL': { name: 'Arturo Merino Benitez International', city: 'Santiago', country: 'Chile', zone: 'America/Santiago', lat: -33.39, lon: -70.79 },
+    'PEK': { name: 'Beijing Capital International', city: 'Beijing', country: 'China', zone: 'Asia/Shanghai', lat: 40.08, lon: 116.58 },
+    'PKX': { name: 'Beijing Daxing International', city: 'Beijing', country: 'China', zone: 'Asia/Shanghai', lat: 39.51, lon: 116.41 },
+    'PVG': { name: 'Shanghai Pudong International', city: 'Shanghai', country: 'China', zone: 'Asia/Shanghai', lat: 31.14, lon: 121.81 },
+    'CAN': { name: 'Guangzhou Baiyun International', city: 'Guangzhou', country: 'China', zone: 'Asia/Shanghai', lat: 23.39, lon: 113.3 },
+    'HKG': { name: 'Hong Kong International', city: 'Hong Kong', country: 'China, Hong Kong', zone: 'Asia/Hong_Kong', lat: 22.31, lon: 113.91 },
+    'MFM': { name: 'Macau International', city: 'Macau', country: 'China, Macau', zone: 'Asia/Macau', lat: 22.15, lon: 113.59 },
+    'BOG': { name: 'El Dorado International', city: 'Bogota', country: 'Colombia', zone: 'America/Bogota', lat: 4.7, lon: -74.15 },
+    'HAH': { name: 'Prince Said Ibrahim International', city: 'Moroni', country: 'Comoros', zone: 'Indian/Comoro', lat: -11.53, lon: 43.27 },
+    'BZV': { name: 'Maya-Maya', city: 'Brazzaville', country: 'Congo', zone: 'Africa/Brazzaville', lat: -4.25, lon: 15.25 },
+    'FIH': { name: 'N\'djili International', city: 'Kinshasa', country: 'Congo, Dem. Rep.', zone: 'Africa/Kinshasa', lat: -4.39, lon: 15.44 },
+    'FBM': { name: 'Lubumbashi International', city: 'Lubumbashi', country: 'Congo, Dem. Rep.', zone: 'Africa/Lubumbashi', lat: -11.59, lon: 27.53 },
+    'SJO': { name: 'Juan Santamaria International', city: 'San Jose', country: 'Costa Rica', zone: 'America/Costa_Rica', lat: 9.99, lon: -84.2 },
+    'ABJ': { name: 'Felix Houphouet-Boigny International', city: 'Abidjan', country: 'Cote d\'Ivoire', zone: 'Africa/Abidjan', lat: 5.26, lon: -3.93 },
+    'ZAG': { name: 'Franjo Tudman', city: 'Zagreb', country: 'Croatia', zone: 'Europe/Zagreb', lat: 45.74, lon: 16.07 },
+    'HAV': { name: 'Jose Marti International', city: 'Havana', country: 'Cuba', zone: 'America/Havana', lat: 22.99, lon: -82.41 },
+    'CUR': { name: 'Curacao International', city: 'Willemstad', country: 'Curacao', zone: 'America/Curacao', lat: 12.19, lon: -68.96 },
+    'LCA': { name: 'Larnaca International', city: 'Larnaca', country: 'Cyprus', zone: 'Asia/Nicosia', lat: 34.88, lon: 33.63 },
+    'PRG': { name: 'Vaclav Havel Prague', city: 'Prague', country: 'Czech Republic', zone: 'Europe/Prague', lat: 50.1, lon: 14.26 },
+    'CPH': { name: 'Copenhagen Kastrup', city: 'Copenhagen', country: 'Denmark', zone: 'Europe/Copenhagen', lat: 55.62, lon: 12.65 },
+    'JIB': { name: 'Djibouti-Ambouli International', city: 'Djibouti', country: 'Djibouti', zone: 'Africa/Djibouti', lat: 11.55, lon: 43.16 },
+    'DOM': { name: 'Douglas-Charles', city: 'Roseau', country: 'Dominica', zone: 'America/Dominica', lat: 15.55, lon: -61.3 },
+    'SDQ': { name: 'Las Americas International', city: 'Santo Domingo', country: 'Dominican Republic', zone: 'America/Santo_Domingo', lat: 18.43, lon: -69.67 },
+    'UIO': { name: 'Mariscal Sucre International', city: 'Quito', country: 'Ecuador', zone: 'America/Guayaquil', lat: -0.13, lon: -78.36 },
+    'CAI': { name: 'Cairo International', city: 'Cairo', country: 'Egypt', zone: 'Africa/Cairo', lat: 30.12, lon: 31.41 },
+    'SAL': { name: 'El Salvador International', city: 'San Salvador', country: 'El Salvador', zone: 'America/El_Salvador', lat: 13.44, lon: -89.06 },
+    'SSG': { name: 'Malabo International', city: 'Malabo', country: 'Equatorial Guinea', zone: 'Africa/Malabo', lat: 3.76, lon: 8.71 },
+    'ASM': { name: 'Asmara International', city: 'Asmara', country: 'Eritrea', zone: 'Africa/Asmara', lat: 15.29, lon: 38.91 },
+    'TLL': { name: 'Tallinn Lennart Meri', city: 'Tallinn', country: 'Estonia', zone: 'Europe/Tallinn', lat: 59.41, lon: 24.83 },
+    'SHO': { name: 'King Mswati III International', city: 'Manzini', country: 'Eswatini', zone: 'Africa/Mbabane', lat: -26.36, lon: 31.72 },
+    'ADD': { name: 'Addis Ababa Bole International', city: 'Addis Ababa', country: 'Ethiopia', zone: 'Africa/Addis_Ababa', lat: 8.98, lon: 38.8 },
+    'NAN': { name: 'Nadi International', city: 'Nadi', country: 'Fiji', zone: 'Pacific/Fiji', lat: -17.76, lon: 177.44 },
+    'SUV': { name: 'Nausori International', city: 'Suva', country: 'Fiji', zone: 'Pacific/Fiji', lat: -18.04, lon: 178.56 },
+    'HEL': { name: 'Helsinki-Vantaa', city: 'Helsinki', country: 'Finland', zone: 'Europe/Helsinki', lat: 60.32, lon: 24.96 },
+    'CDG': { name: 'Paris Charles de Gaulle', city: 'Paris', country: 'France', zone: 'Europe/Paris', lat: 49.01, lon: 2.55 },
+    'ORY': { name: 'Paris Orly', city: 'Paris', country: 'France', zone: 'Europe/Paris', lat: 48.72, lon: 2.38 },
+    'NCE': { name: 'Nice Cote d\'Azur', city: 'Nice', country: 'France', zone: 'Europe/Paris', lat: 43.66, lon: 7.22 },
+    'LBV': { name: 'Leon M\'ba International', city: 'Libreville', country: 'Gabon', zone: 'Africa/Libreville', lat: 0.46, lon: 9.41 },
+    'BJL': { name: 'Banjul International', city: 'Banjul', country: 'Gambia', zone: 'Africa/Banjul', lat: 13.34, lon: -16.65 },
+    'TBS': { name: 'Tbilisi International', city: 'Tbilisi', country: 'Georgia', zone: 'Asia/Tbilisi', lat: 41.67, lon: 44.95 },
+    'FRA': { name: 'Frankfurt', city: 'Frankfurt', country: 'Germany', zone: 'Europe/Berlin', lat: 50.03, lon: 8.56 },
+    'MUC': { name: 'Munich', city: 'Munich', country: 'Germany', zone: 'Europe/Berlin', lat: 48.35, lon: 11.79 },
+    'BER': { name: 'Berlin Brandenburg', city: 'Berlin', country: 'Germany', zone: 'Europe/Berlin', lat: 52.37, lon: 13.52 },
+    'ACC': { name: 'Kotoka International', city: 'Accra', country: 'Ghana', zone: 'Africa/Accra', lat: 5.61, lon: -0.17 },
+    'GIB': { name: 'Gibraltar International', city: 'Gibraltar', country: 'Gibraltar', zone: 'Europe/Gibraltar', lat: 36.15, lon: -5.35 },
+    'ATH': { name: 'Athens Eleftherios Venizelos International', city: 'Athens', country: 'Greece', zone: 'Europe/Athens', lat: 37.94, lon: 23.94 },
+    'GND': { name: 'Maurice Bishop International', city: 'St George\'s', country: 'Grenada', zone: 'America/Grenada', lat: 12, lon: -61.79 },
+    'GUM': { name: 'Antonio B. Won Pat International', city: 'Hagatna', country: 'Guam', zone: 'Pacific/Guam', lat: 13.48, lon: 144.8 },
+    'GUA': { name: 'La Aurora International', city: 'Guatemala City', country: 'Guatemala', zone: 'America/Guatemala', lat: 14.58, lon: -90.53 },
+    'CKY': { name: 'Conakry International', city: 'Conakry', country: 'Guinea', zone: 'Africa/Conakry', lat: 9.58, lon: -13.61 },
+    'OXB': { name: 'Osvaldo Vieira International', city: 'Bissau', country: 'Guinea Bissau', zone: 'Africa/Bissau', lat: 11.89, lon: -15.65 },
+    'GEO': { name: 'Cheddi Jagan International', city: 'Georgetown', country: 'Guyana', zone: 'America/Guyana', lat: 6.5, lon: -58.25 },
+    'PAP': { name: 'Toussaint Louverture International', city: 'Port-au-Prince', country: 'Haiti', zone: 'America/Port-au-Prince', lat: 18.58, lon: -72.29 },
+    'TGU': { name: 'Toncontin International', city: 'Tegucigalpa', country: 'Honduras', zone: 'America/Tegucigalpa', lat: 14.06, lon: -87.22 },
+    'XPL': { name: 'Palmerola International', city: 'Tegucigalpa', country: 'Honduras', zone: 'America/Tegucigalpa', lat: 14.38, lon: -87.62 },
+    'BUD': { name: 'Budapest Ferenc Liszt International', city: 'Budapest', country: 'Hungary', zone: 'Europe/Budapest', lat: 47.44, lon: 19.26 },
+    'KEF': { name: 'Keflavik International', city: 'Reykjavik', country: 'Iceland', zone: 'Atlantic/Reykjavik', lat: 63.99, lon: -22.62 },
+    'DEL': { name: 'Indira Gandhi International', city: 'New Delhi', country: 'India', zone: 'Asia/Kolkata', lat: 28.56, lon: 77.1 },
+    'BOM': { name: 'Chhatrapati Shivaji Maharaj International', city: 'Mumbai', country: 'India', zone: 'Asia/Kolkata', lat: 19.09, lon: 72.87 },
+    'CGK': { name: 'Soekarno-Hatta International', city: 'Jakarta', country: 'Indonesia', zone: 'Asia/Jakarta', lat: -6.13, lon: 106.66 },
+    'IKA': { name: 'Imam Khomeini International', city: 'Tehran', country: 'Iran', zone: 'Asia/Tehran', lat: 35.42, lon: 51.15 },
+    'BGW': { name: 'Baghdad International', city: 'Baghdad', country: 'Iraq', zone: 'Asia/Baghdad', lat: 33.26, lon: 44.23 },
+    'DUB': { name: 'Dublin', city: 'Dublin', country: 'Ireland', zone: 'Europe/Dublin', lat: 53.42, lon: -6.27 },
+    'TLV': { name: 'Ben Gurion', city: 'Tel Aviv', country: 'Israel', zone: 'Asia/Jerusalem', lat: 32.01, lon: 34.89 },
+    'FCO': { name: 'Rome Fiumicino', city: 'Rome', country: 'Italy', zone: 'Europe/Rome', lat: 41.8, lon: 12.25 },
+    'MXP': { name: 'Milan Malpensa', city: 'Milan', country: 'Italy', zone: 'Europe/Rome', lat: 45.63, lon: 8.72 },
+    'KIN': { name: 'Norman Manley International', city: 'Kingston', country: 'Jamaica', zone: 'America/Jamaica', lat: 17.94, lon: -76.79 },
+    'NRT': { name: 'Tokyo Narita International', city: 'Tokyo', country: 'Japan', zone: 'Asia/Tokyo', lat: 35.77, lon: 140.39 },
+    'HND': { name: 'Tokyo Haneda', city: 'Tokyo', country: 'Japan', zone: 'Asia/Tokyo', lat: 35.55, lon: 139.78 },
+    'AMM': { name: 'Queen Alia International', city: 'Amman', country: 'Jordan', zone: 'Asia/Amman', lat: 31.72, lon: 35.99 },
+    'NQZ': { name: 'Astana International', city: 'Astana', country: 'Kazakhstan', zone: 'Asia/Almaty', lat: 51.02, lon: 71.47 },
+    'ALA': { name: 'Almaty International', city: 'Almaty', country: 'Kazakhstan', zone: 'Asia/Almaty', lat: 43.35, lon: 77.04 },
+    'NBO': { name: 'Jomo Kenyatta International', city: 'Nairobi', country: 'Kenya', zone: 'Africa/Nairobi', lat: -1.32, lon: 36.93 },
+    'MBA': { name: 'Moi International', city: 'Mombasa', country: 'Kenya', zone: 'Africa/Nairobi', lat: -4.03, lon: 39.59 },
+    'TRW': { name: 'Bonriki International', city: 'Tarawa', country: 'Kiribati', zone: 'Pacific/Tarawa', lat: 1.38, lon: 173.15 },
+    'FNJ': { name: 'Pyongyang Sunan International', city: 'Pyongyang', country: 'North Korea', zone: 'Asia/Pyongyang', lat: 39.22, lon: 125.67 },
+    'ICN': { name: 'Seoul Incheon International', city: 'Seoul', country: 'South Korea', zone: 'Asia/Seoul', lat: 37.46, lon: 126.44 },
+    'KWI': { name: 'Kuwait International', city: 'Kuwait City', country: 'Kuwait', zone: 'Asia/Kuwait', lat: 29.24, lon: 47.97 },
+    'FRU': { name: 'Manas International', city: 'Bishkek', country: 'Kyrgyzstan', zone: 'Asia/Bishkek', lat: 43.06, lon: 74.48 },
+    'VTE': { name: 'Wattay International', city: 'Vientiane', country: 'Lao Peo', zone: 'Asia/Vientiane', lat: 17.99, lon: 102.56 },
+    'RIX': { name: 'Riga International', city: 'Riga', country: 'Latvia', zone: 'Europe/Riga', lat: 56.92, lon: 23.97 },
+    'BEY': { name: 'Beirut-Rafic Hariri International', city: 'Beirut', country: 'Lebanon', zone: 'Asia/Beirut', lat: 33.82, lon: 35.49 },
+    'MSU': { name: 'Moshoeshoe I International', city: 'Maseru', country: 'Lesotho', zone: 'Africa/Maseru', lat: -29.46, lon: 27.55 },
+    'ROB': { name: 'Roberts International', city: 'Monrovia', country: 'Liberia', zone: 'Africa/Monrovia', lat: 6.23, lon: -10.36 },
+    'MJI': { name: 'Mitiga International', city: 'Tripoli', country: 'Libya', zone: 'Africa/Tripoli', lat: 32.66, lon: 13.16 },
+    'VNO': { name: 'Vilnius International', city: 'Vilnius', country: 'Lithuania', zone: 'Europe/Vilnius', lat: 54.63, lon: 25.29 },
+    'LUX': { name: 'Luxembourg Findel', city: 'Luxembourg', country: 'Luxembourg', zone: 'Europe/Luxembourg', lat: 49.63, lon: 6.21 },
+    'TNR': { name: 'Ivato International', city: 'Antananarivo', country: 'Madagascar', zone: 'Indian/Antananarivo', lat: -18.8, lon: 47.48 },
+    'LLW': { name: 'Kamuzu International', city: 'Lilongwe', country: 'Malawi', zone: 'Africa/Blantyre', lat: -13.79, lon: 33.78 },
+    'BLZ': { name: 'Chileka International', city: 'Blantyre', country: 'Malawi', zone: 'Africa/Blantyre', lat: -15.68, lon: 34.97 },
+    'KUL': { name: 'Kuala Lumpur International', city: 'Kuala Lumpur', country: 'Malaysia', zone: 'Asia/Kuala_Lumpur', lat: 2.75, lon: 101.71 },
+    'MLE': { name: 'Velana International', city: 'Male', country: 'Maldives', zone: 'Indian/Maldives', lat: 4.19, lon: 73.53 },
+    'BKO': { name: 'Modibo Keita International', city: 'Bamako', country: 'Mali', zone: 'Africa/Bamako', lat: 12.53, lon: -7.95 },
+    'MLA': { name: 'Malta International', city: 'Valletta', country: 'Malta', zone: 'Europe/Malta', lat: 35.86, lon: 14.48 },
+    'MAJ': { name: 'Amata Kabua International', city: 'Majuro', country: 'Marshall Islands', zone: 'Pacific/Majuro', lat: 7.06, lon: 171.27 },
+    'NKC': { name: 'Nouakchott-Oumtounsy International', city: 'Nouakchott', country: 'Mauritania', zone: 'Africa/Nouakchott', lat: 18.31, lon: -15.97 },
+    'MRU': { name: 'Sir Seewoosagur Ramgoolam International', city: 'Port Louis', country: 'Mauritius', zone: 'Indian/Mauritius', lat: -20.43, lon: 57.68 },
+    'MEX': { name: 'Mexico City International', city: 'Mexico City', country: 'Mexico', zone: 'America/Mexico_City', lat: 19.44, lon: -99.07 },
+    'PNI': { name: 'Pohnpei International', city: 'Pohnpei', country: 'Micronesia', zone: 'Pacific/Pohnpei', lat: 6.98, lon: 158.21 },
+    'RMO': { name: 'Chisinau International', city: 'Chisinau', country: 'Moldova', zone: 'Europe/Chisinau', lat: 46.93, lon: 28.93 },
+    'UBN': { name: 'Chinggis Khaan International', city: 'Ulaanbaatar', country: 'Mongolia', zone: 'Asia/Ulaanbaatar', lat: 47.65, lon: 106.82 },
+    'TGD': { name: 'Podgorica', city: 'Podgorica', country: 'Montenegro', zone: 'Europe/Podgorica', lat: 42.36, lon: 19.25 },
+    'CMN': { name: 'Mohammed V International', city: 'Casablanca', country: 'Morocco', zone: 'Africa/Casablanca', lat: 33.37, lon: -7.59 },
+    'RBA': { name: 'Rabat-Sale', city: 'Rabat', country: 'Morocco', zone: 'Africa/Casablanca', lat: 34.05, lon: -6.75 },
+    'MPM': { name: 'Maputo International', city: 'Maputo', country: 'Mozambique', zone: 'Africa/Maputo', lat: -25.92, lon: 32.57 },
+    'BEW': { name: 'Beira', city: 'Beira', country: 'Mozambique', zone: 'Africa/Maputo', lat: -19.8, lon: 34.91 },
+    'RGN': { name: 'Yangon International', city: 'Yangon', country: 'Myanmar', zone: 'Asia/Yangon', lat: 16.91, lon: 96.13 },
+    'WDH': { name: 'Hosea Kutako International', city: 'Windhoek', country: 'Namibia', zone: 'Africa/Windhoek', lat: -22.48, lon: 17.47 },
+    'INU': { name: 'Nauru International', city: 'Yaren', country: 'Nauru', zone: 'Pacific/Nauru', lat: -0.55, lon: 166.92 },
+    'KTM': { name: 'Tribhuvan International', city: 'Kathmandu', country: 'Nepal', zone: 'Asia/Kathmandu', lat: 27.7, lon: 85.36 },
+    'AMS': { name: 'Amsterdam Schiphol', city: 'Amsterdam', country: 'Netherlands', zone: 'Europe/Amsterdam', lat: 52.31, lon: 4.76 },
+    'AKL': { name: 'Auckland', city: 'Auckland', country: 'New Zealand', zone: 'Pacific/Auckland', lat: -37.01, lon: 174.79 },
+    'WLG': { name: 'Wellington', city: 'Wellington', country: 'New Zealand', zone: 'Pacific/Auckland', lat: -41.33, lon: 174.81 },
+    'MGA': { name: 'Augusto C. Sandino International', city: 'Managua', country: 'Nicaragua', zone: 'America/Managua', lat: 12.14, lon: -86.17 },
+    'NIM': { name: 'Diori Hamani International', city: 'Niamey', country: 'Niger', zone: 'Africa/Niamey', lat: 13.48, lon: 2.18 },
+    'ABV': { name: 'Nnamdi Azikiwe International', city: 'Abuja', country: 'Nigeria', zone: 'Africa/Lagos', lat: 9.01, lon: 7.26 },
+    'LOS': { name: 'Murtala Muhammed International', city: 'Lagos', country: 'Nigeria', zone: 'Africa/Lagos', lat: 6.58, lon: 3.32 },
+    'IUE': { name: 'Niue International', city: 'Alofi', country: 'Niue', zone: 'Pacific/Niue', lat: -19.08, lon: -169.93 },
+    'OSL': { name: 'Oslo Gardermoen', city: 'Oslo', country: 'Norway', zone: 'Europe/Oslo', lat: 60.19, lon: 11.1 },
+    'MCT': { name: 'Muscat International', city: 'Muscat', country: 'Oman', zone: 'Asia/Muscat', lat: 23.59, lon: 58.28 },
+    'ISB': { name: 'Islamabad International', city: 'Islamabad', country: 'Pakistan', zone: 'Asia/Karachi', lat: 33.55, lon: 72.83 },
+    'KHI': { name: 'Jinnah International', city: 'Karachi', country: 'Pakistan', zone: 'Asia/Karachi', lat: 24.91, lon: 67.16 },
+    'ROR': { name: 'Roman Tmetuchl International', city: 'Koror', country: 'Palau', zone: 'Pacific/Palau', lat: 7.37, lon: 134.54 },
+    'PTY': { name: 'Tocumen International', city: 'Panama City', country: 'Panama', zone: 'America/Panama', lat: 9.07, lon: -79.38 },
+    'POM': { name: 'Jacksons International', city: 'Port Moresby', country: 'Papua New Guinea', zone: 'Pacific/Port_Moresby', lat: -9.44, lon: 147.22 },
+    'ASU': { name: 'Silvio Pettirossi International', city: 'Asuncion', country: 'Paraguay', zone: 'America/Asuncion', lat: -25.24, lon: -57.52 },
+    'LIM': { name: 'Jorge Chavez International', city: 'Lima', country: 'Peru', zone: 'America/Lima', lat: -12.02, lon: -77.11 },
+    'MNL': { name: 'Ninoy Aquino International', city: 'Manila', country: 'Philippines', zone: 'Asia/Manila', lat: 14.51, lon: 121.02 },
+    'WAW': { name: 'Warsaw Chopin', city: 'Warsaw', country: 'Poland', zone: 'Europe/Warsaw', lat: 52.17, lon: 20.97 },
+    'LIS': { name: 'Lisbon Humberto Delgado', city: 'Lisbon', country: 'Portugal', zone: 'Europe/Lisbon', lat: 38.77, lon: -9.13 },
+    'DOH': { name: 'Hamad International', city: 'Doha', country: 'Qatar', zone: 'Asia/Qatar', lat: 25.27, lon: 51.61 },
+    'OTP': { name: 'Bucharest Henri Coanda International', city: 'Bucharest', country: 'Romania', zone: 'Europe/Bucharest', lat: 44.57, lon: 26.08 },
+    'SVO': { name: 'Moscow Sheremetyevo International', city: 'Moscow', country: 'Russian Federation', zone: 'Europe/Moscow', lat: 55.97, lon: 37.41 },
+    'DME': { name: 'Moscow Domodedovo International', city: 'Moscow', country: 'Russian Federation', zone: 'Europe/Moscow', lat: 55.41, lon: 37.9 },
+    'LED': { name: 'St Petersburg Pulkovo', city: 'St Petersburg', country: 'Russian Federation', zone: 'Europe/Moscow', lat: 59.8, lon: 30.26 },
+    'KGL': { name: 'Kigali International', city: 'Kigali', country: 'Rwanda', zone: 'Africa/Kigali', lat: -1.97, lon: 30.14 },
+    'SXM': { name: 'Princess Juliana International', city: 'Philipsburg', country: 'Saint Maarteen', zone: 'America/Lower_Princes', lat: 18.04, lon: -63.11 },
+    'UVF': { name: 'Hewanorra International', city: 'Castries', country: 'Saint Lucia', zone: 'America/St_Lucia', lat: 13.73, lon: -60.95 },
+    'SKB': { name: 'Robert L. Bradshaw International', city: 'Basseterre', country: 'Saint Kitts and Nevis', zone: 'America/St_Kitts', lat: 17.31, lon: -62.72 },
+    'SVD': { name: 'Argyle International', city: 'Kingstown', country: 'Saint Vincent-Grenadines', zone: 'America/St_Vincent', lat: 13.14, lon: -61.21 },
+    'APW': { name: 'Faleolo International', city: 'Apia', country: 'Samoa', zone: 'Pacific/Apia', lat: -13.83, lon: -172.01 },
+    'TMS': { name: 'Sao Tome International', city: 'Sao Tome', country: 'Sao Tome and Principe', zone: 'Africa/Sao_Tome', lat: 0.38, lon: 6.71 },
+    'RUH': { name: 'King Khalid International', city: 'Riyadh', country: 'Saudi Arabia', zone: 'Asia/Riyadh', lat: 24.96, lon: 46.7 },
+    'JED': { name: 'King Abdulaziz International', city: 'Jeddah', country: 'Saudi Arabia', zone: 'Asia/Riyadh', lat: 21.68, lon: 39.16 },
+    'DSS': { name: 'Blaise Diagne International', city: 'Dakar', country: 'Senegal', zone: 'Africa/Dakar', lat: 14.74, lon: -17.49 },
+    'BEG': { name: 'Belgrade Nikola Tesla', city: 'Belgrade', country: 'Serbia', zone: 'Europe/Belgrade', lat: 44.82, lon: 20.31 },
+    'SEZ': { name: 'Seychelles International', city: 'Victoria', country: 'Seychelles', zone: 'Indian/Mahe', lat: -4.67, lon: 55.52 },
+    'FNA': { name: 'Freetown International (Lungi)', city: 'Freetown', country: 'Sierra Leone', zone: 'Africa/Freetown', lat: 8.62, lon: -13.2 },
+    'SIN': { name: 'Singapore Changi', city: 'Singapore', country: 'Singapore', zone: 'Asia/Singapore', lat: 1.36, lon: 103.99 },
+    'BTS': { name: 'Bratislava M. R. Stefanik', city: 'Bratislava', country: 'Slovak Republic', zone: 'Europe/Bratislava', lat: 48.17, lon: 17.21 },
+    'LJU': { name: 'Ljubljana Joze Pucnik', city: 'Ljubljana', country: 'Slovenia', zone: 'Europe/Ljubljana', lat: 46.22, lon: 14.46 },
+    'HIR': { name: 'Honiara International', city: 'Honiara', country: 'Solomon Islands', zone: 'Pacific/Guadalcanal', lat: -9.43, lon: 160.05 },
+    'MGQ': { name: 'Aden Adde International', city: 'Mogadishu', country: 'Somalia', zone: 'Africa/Mogadishu', lat: 2.01, lon: 45.3 },
+    'JNB': { name: 'O. R. Tambo International', city: 'Johannesburg', country: 'South Africa', zone: 'Africa/Johannesburg', lat: -26.14, lon: 28.25 },
+    'CPT': { name: 'Cape Town International', city: 'Cape Town', country: 'South Africa', zone: 'Africa/Johannesburg', lat: -33.97, lon: 18.6 },
+    'DUR': { name: 'King Shaka International', city: 'Durban', country: 'South Africa', zone: 'Africa/Johannesburg', lat: -29.61, lon: 31.12 },
+    'JUB': { name: 'Juba International', city: 'Juba', country: 'South Sudan', zone: 'Africa/Juba', lat: 4.87, lon: 31.6 },
+    'MAD': { name: 'Adolfo Suarez Madrid-Barajas', city: 'Madrid', country: 'Spain', zone: 'Europe/Madrid', lat: 40.47, lon: -3.57 },
+    'BCN': { name: 'Barcelona-El Prat', city: 'Barcelona', country: 'Spain', zone: 'Europe/Madrid', lat: 41.3, lon: 2.08 },
+    'CMB': { name: 'Bandaranaike International', city: 'Colombo', country: 'Sri Lanka', zone: 'Asia/Colombo', lat: 7.18, lon: 79.88 },
+    'KRT': { name: 'Khartoum International', city: 'Khartoum', country: 'Sudan', zone: 'Africa/Khartoum', lat: 15.59, lon: 32.55 },
+    'PZU': { name: 'Port Sudan New International', city: 'Port Sudan', country: 'Sudan', zone: 'Africa/Khartoum', lat: 19.43, lon: 37.23 },
+    'PBM': { name: 'Johan Adolf Pengel International', city: 'Paramaribo', country: 'Suriname', zone: 'America/Paramaribo', lat: 5.45, lon: -55.19 },
+    'ARN': { name: 'Stockholm Arlanda', city: 'Stockholm', country: 'Sweden', zone: 'Europe/Stockholm', lat: 59.65, lon: 17.92 },
+    'ZRH': { name: 'Zurich', city: 'Zurich', country: 'Switzerland', zone: 'Europe/Zurich', lat: 47.46, lon: 8.55 },
+    'GVA': { name: 'Geneva', city: 'Geneva', country: 'Switzerland', zone: 'Europe/Zurich', lat: 46.24, lon: 6.11 },
+    'DAM': { name: 'Damascus International', city: 'Damascus', country: 'Syrian Arabic Republic', zone: 'Asia/Damascus', lat: 33.41, lon: 36.52 },
+    'TPE': { name: 'Taiwan Taoyuan International', city: 'Taipei', country: 'Taiwan', zone: 'Asia/Taipei', lat: 25.08, lon: 121.23 },
+    'DYU': { name: 'Dushanbe International', city: 'Dushanbe', country: 'Tajikistan', zone: 'Asia/Dushanbe', lat: 38.54, lon: 68.82 },
+    'DAR': { name: 'Julius Nyerere International', city: 'Dar es Salaam', country: 'Tanzania', zone: 'Africa/Dar_es_Salaam', lat: -6.88, lon: 39.2 },
+    'JRO': { name: 'Kilimanjaro International', city: 'Kilimanjaro', country: 'Tanzania', zone: 'Africa/Dar_es_Salaam', lat: -3.43, lon: 37.07 },
+    'ZNZ': { name: 'Abeid Amani Karume International', city: 'Zanzibar', country: 'Tanzania', zone: 'Africa/Dar_es_Salaam', lat: -6.22, lon: 39.22 },
+    'BKK': { name: 'Bangkok Suvarnabhumi', city: 'Bangkok', country: 'Thailand', zone: 'Asia/Bangkok', lat: 13.69, lon: 100.75 },
+    'SKP': { name: 'Skopje International', city: 'Skopje', country: 'The Republic of North Macedonia', zone: 'Europe/Skopje', lat: 41.96, lon: 21.62 },
+    'DIL': { name: 'Presidente Nicolau Lobato International', city: 'Dili', country: 'Timor-Leste', zone: 'Asia/Dili', lat: -8.55, lon: 125.52 },
+    'LFW': { name: 'Lome-Tokoin International', city: 'Lome', country: 'Togo', zone: 'Africa/Lome', lat: 6.17, lon: 1.25 },
+    'POS': { name: 'Piarco International', city: 'Port of Spain', country: 'Trinidad and Tobago', zone: 'America/Port_of_Spain', lat: 10.6, lon: -61.34 },
+    'TUN': { name: 'Tunis-Carthage International', city: 'Tunis', country: 'Tunisia', zone: 'Africa/Tunis', lat: 36.85, lon: 10.23 },
+    'IST': { name: 'Istanbul', city: 'Istanbul', country: 'Turkey', zone: 'Europe/Istanbul', lat: 41.26, lon: 28.74 },
+    'ESB': { name: 'Ankara Esenboga International', city: 'Ankara', country: 'Turkey', zone: 'Europe/Istanbul', lat: 40.13, lon: 32.99 },
+    'ASB': { name: 'Ashgabat International', city: 'Ashgabat', country: 'Turkmenistan', zone: 'Asia/Ashgabat', lat: 37.99, lon: 58.36 },
+    'PLS': { name: 'Providenciales International', city: 'Providenciales', country: 'Turks and Caicos Islands', zone: 'America/Grand_Turk', lat: 21.77, lon: -72.27 },
+    'FUN': { name: 'Funafuti International', city: 'Funafuti', country: 'Tuvalu', zone: 'Pacific/Funafuti', lat: -8.53, lon: 179.2 },
+    'EBB': { name: 'Entebbe International', city: 'Entebbe', country: 'Uganda', zone: 'Africa/Kampala', lat: 0.04, lon: 32.44 },
+    'KBP': { name: 'Kyiv Boryspil International', city: 'Kyiv', country: 'Ukraine', zone: 'Europe/Kyiv', lat: 50.35, lon: 30.89 },
+    'DXB': { name: 'Dubai International', city: 'Dubai', country: 'United Arab Emirates', zone: 'Asia/Dubai', lat: 25.25, lon: 55.36 },
+    'AUH': { name: 'Zayed International', city: 'Abu Dhabi', country: 'United Arab Emirates', zone: 'Asia/Dubai', lat: 24.43, lon: 54.65 },
+    'LHR': { name: 'London Heathrow', city: 'London', country: 'United Kingdom', zone: 'Europe/London', lat: 51.47, lon: -0.45 },
+    'LGW': { name: 'London Gatwick', city: 'London', country: 'United Kingdom', zone: 'Europe/London', lat: 51.15, lon: -0.19 },
+    'MAN': { name: 'Manchester', city: 'Manchester', country: 'United Kingdom', zone: 'Europe/London', lat: 53.35, lon: -2.27 },
+    'MVD': { name: 'Carrasco International', city: 'Montevideo', country: 'Uruguay', zone: 'America/Montevideo', lat: -34.84, lon: -56.03 },
+    'JFK': { name: 'John F. Kennedy International', city: 'New York', country: 'USA', zone: 'America/New_York', lat: 40.64, lon: -73.78 },
+    'EWR': { name: 'Newark Liberty International', city: 'New York', country: 'USA', zone: 'America/New_York', lat: 40.69, lon: -74.17 },
+    'IAD': { name: 'Washington Dulles International', city: 'Washington DC', country: 'USA', zone: 'America/New_York', lat: 38.95, lon: -77.46 },
+    'DCA': { name: 'Ronald Reagan Washington National', city: 'Washington DC', country: 'USA', zone: 'America/New_York', lat: 38.85, lon: -77.04 },
+    'ATL': { name: 'Hartsfield-Jackson Atlanta International', city: 'Atlanta', country: 'USA', zone: 'America/New_York', lat: 33.64, lon: -84.43 },
+    'ORD': { name: 'Chicago O\'Hare International', city: 'Chicago', country: 'USA', zone: 'America/Chicago', lat: 41.98, lon: -87.9 },
+    'IAH': { name: 'Houston George Bush Intercontinental', city: 'Houston', country: 'USA', zone: 'America/Chicago', lat: 29.98, lon: -95.34 },
+    'LAX': { name: 'Los Angeles International', city: 'Los Angeles', country: 'USA', zone: 'America/Los_Angeles', lat: 33.94, lon: -118.41 },
+    'TAS': { name: 'Tashkent International', city: 'Tashkent', country: 'Uzbekistan', zone: 'Asia/Tashkent', lat: 41.26, lon: 69.28 },
+    'VLI': { name: 'Bauerfield International', city: 'Port Vila', country: 'Vanuatu', zone: 'Pacific/Efate', lat: -17.7, lon: 168.32 },
+    'STT': { name: 'Cyril E. King', city: 'Charlotte Amalie', country: 'Virgin Islands', zone: 'America/St_Thomas', lat: 18.34, lon: -64.97 },
+    'HAN': { name: 'Noi Bai International', city: 'Hanoi', country: 'Vietnam', zone: 'Asia/Ho_Chi_Minh', lat: 21.22, lon: 105.81 },
+    'SGN': { name: 'Tan Son Nhat International', city: 'Ho Chi Minh City', country: 'Vietnam', zone: 'Asia/Ho_Chi_Minh', lat: 10.82, lon: 106.65 },
+    'EUN': { name: 'Hassan I', city: 'Laayoune', country: 'Western Sahara', zone: 'Africa/El_Aaiun', lat: 27.15, lon: -13.22 },
+    'SAH': { name: 'Sanaa International', city: 'Sanaa', country: 'Yemen', zone: 'Asia/Aden', lat: 15.48, lon: 44.22 },
+    'ADE': { name: 'Aden International', city: 'Aden', country: 'Yemen', zone: 'Asia/Aden', lat: 12.83, lon: 45.03 },
+    'LUN': { name: 'Kenneth Kaunda International', city: 'Lusaka', country: 'Zambia', zone: 'Africa/Lusaka', lat: -15.33, lon: 28.45 },
+    'NLA': { name: 'Simon Mwansa Kapwepwe International', city: 'Ndola', country: 'Zambia', zone: 'Africa/Lusaka', lat: -13, lon: 28.66 },
+    'LVI': { name: 'Harry Mwanga Nkumbula International', city: 'Livingstone', country: 'Zambia', zone: 'Africa/Lusaka', lat: -17.82, lon: 25.82 },
+    'HRE': { name: 'Robert Gabriel Mugabe International', city: 'Harare', country: 'Zimbabwe', zone: 'Africa/Harare', lat: -17.93, lon: 31.09 },
+    'BUQ': { name: 'Joshua Mqabuko Nkomo International', city: 'Bulawayo', country: 'Zimbabwe', zone: 'Africa/Harare', lat: -20.02, lon: 28.62 },
+    'VFA': { name: 'Victoria Falls International', city: 'Victoria Falls', country: 'Zimbabwe', zone: 'Africa/Harare', lat: -18.1, lon: 25.84 }
+};
+
+// Get an airport by IATA code (any case): { code, name, city, country, zone, lat, lon }, or null if unknown
+function getAirport(code) {
+    const key = String(code || '').trim().toUpperCase();
+    return airports[key] ? Object.assign({ code: key }, airports[key]) : null;
+}
+
+// Airport list entry, e.g. "JNB – O. R. Tambo International, Johannesburg"
+function formatAirport(airport) {
+    return `${airport.code} – ${airport.name}, ${airport.city}`;
+}
+
+// Find the airport a user typed: an IATA code, a list entry (see formatAirport), or an airport or city name
+// that matches only one airport (exactly, else as part of the name). Returns the airport or null
+function findAirport(text) {
+    const query = String(text || '').trim();
+    if (!query) return null;
+
+    const codeMatch = query.match(/^([A-Za-z]{3})(\s+[–-]\s+.*)?$/);
+    if (codeMatch && getAirport(codeMatch[1])) {
+        return getAirport(codeMatch[1]);
+    }
+
+    const lowerQuery = query.toLowerCase();
+    const codes = Object.keys(airports);
+    const exact = codes.filter(code => airports[code].name.toLowerCase() === lowerQuery || airports[code].city.toLowerCase() === lowerQuery);
+    if (exact.length === 1) return getAirport(exact[0]);
+    if (exact.length > 1) return null;
+
+    const partial = codes.filter(code => airports[code].name.toLowerCase().includes(lowerQuery) || airports[code].city.toLowerCase().includes(lowerQuery));
+    return partial.length === 1 ? getAirport(partial[0]) : null;
+}
@@ -0,0 +1,163 @@
+// Day-by-day export: the breakdown as CSV rows for spreadsheets, one row per day, then the totals,
+// what the host provided, the adjustments and a summary by country. Numbers are plain decimals (no currency signs or thousands separators)
+
+// Amount columns, in order: day allowance components, then representation
+const breakdownAmountColumns = [
+    { key: 'breakfast', label: 'Breakfast' },
+    { key: 'lunch', label: 'Lunch' },
+    { key: 'dinner', label: 'Dinner' },
+    { key: 'accommodation', label: 'Accommodation' },
+    { key: 'other', label: 'Other Expenses' },
+    { key: 'representation', label: 'Representation' }
+];
+
+const breakdownStatusLabels = {
+    outbound_travel: 'Outbound travel',
+    destination: 'At destination',
+    return_travel: 'Return travel'
+};
+
+// A day's amount for a column (0 when not eligible)
+function getDayAmount(dayRow, key) {
+    const allowance = dayRow.allowances[key];
+    return allowance && allowance.eligible ? allowance.amount : 0;
+}
+
+// The lines that take the day-by-day total (with day adjustments) to the amount claimed, ending with the amount claimed:
+// [{ label, amount }]. The day rows carry the DSA and representation, so only supplementary and the adjustments to
+// components and the total are left; lines that come to nothing are left out
+// summary is the trip's summariseAdjustments() result
+function reconcileDayTotals(trip, summary) {
+    const daysAdjustment = Object.keys(summary.dayAdjustments).reduce((sum, dayNumber) => sum + summary.dayAdjustments[dayNumber], 0);
+    const otherAdjustments = summary.difference - daysAdjustment;
+    const lines = [];
+    if (trip.fundingSource === 'external') {
+        lines.push({ label: `Supplementary allowance (${trip.supplementaryDays.toFixed(2)} days, not in the day totals)`, amount: trip.supplementaryAllowance });
+    }
+    if (Math.abs(otherAdjustments) >= 0.005) {
+        lines.push({ label: 'Adjustments to components and the total', amount: otherAdjustments });
+    }
+    lines.push({ label: 'Total claimed', amount: summary.adjustedTotal });
+    return lines;
+}
+
+// Rows (arrays of cells) for a computeTrip() result's day-by-day breakdown with its adjustments and
+// advances (see tripAdjustments and tripAdvances); with an exchange rate (see getPaymentCurrency) the
+// adjusted amounts are also given in the payment currency
+function dayByDayToRows(trip, adjustments, advances, exchangeRate) {
+    const formatAmount = (amount) => amount.toFixed(2);
+    const convertedColumn = (amount) => exchangeRate ? [formatAmount(amount * exchangeRate.rate)] : [];
+    const summary = summariseAdjustments(trip, adjustments);
+    const dayAdjustment = (dayRow) => summary.dayAdjustments[dayRow.dayNumber] || 0;
+    const rows = [[
+        'Day', 'Date', 'Status', 'Country', 'City', 'Rate Location', 'Rate Schedule', 'Per Diem Base', 'Grade Multiplier',
+        'Stay Day', 'Stay Rate %'
+    ].concat(breakdownAmountColumns.map(column => column.label), ['Day Total', 'Adjustment', 'Adjusted Day Total'],
+        exchangeRate ? [`Adjusted Day Total (${exchangeRate.currency})`] : [])];
+
+    trip.days.forEach(dayRow => {
+        rows.push([
+            dayRow.dayNumber,
+            formatDateTime(dayRow.date).slice(0, 10),
+            breakdownStatusLabels[dayRow.status] || dayRow.status,
+            dayRow.location,
+            dayRow.city || '',
+            dayRow.rateLocation,
+            dayRow.rateSchedule,
+            formatAmount(dayRow.perDiem),
+            formatAmount(dayRow.gradeMultiplier),
+            dayRow.stayDay || '',
+            dayRow.stayDay ? (dayRow.stayTier ? dayRow.stayTier.percentage : 100) : ''
+        ].concat(
+            breakdownAmountColumns.map(column => formatAmount(getDayAmount(dayRow, column.key))),
+            [formatAmount(dayRow.total), formatAmount(dayAdjustment(dayRow)), formatAmount(getAdjustedDayTotal(dayRow, summary))],
+            convertedColumn(getAdjustedDayTotal(dayRow, summary))
+        ));
+    });
+
+    // Totals, lined up under the amount columns
+    const columnTotals = breakdownAmountColumns.map(column => trip.days.reduce((sum, dayRow) => sum + getDayAmount(dayRow, column.key), 0));
+    const leadingBlanks = ['', '', '', '', '', '', '', '', ''];
+    rows.push([]);
+    const daysAdjustment = trip.days.reduce((sum, dayRow) => sum + dayAdjustment(dayRow), 0);
+    rows.push([`Total (${trip.days.length} days)`].concat(leadingBlanks, [''], columnTotals.map(formatAmount),
+        [formatAmount(trip.daysTotal), formatAmount(daysAdjustment), formatAmount(trip.daysTotal + daysAdjustment)],
+        convertedColumn(trip.daysTotal + daysAdjustment)));
+    // Reconciled to the amount claimed under the Adjusted Day Total column
+    reconcileDayTotals(trip, summary).forEach(line => {
+        rows.push([line.label].concat(leadingBlanks, [''], breakdownAmountColumns.map(() => ''), ['', '', formatAmount(line.amount)],
+            convertedColumn(line.amount)));
+    });
+
+    // The amount claimed, and every adjustment that makes up the difference
+    rows.push([]);
+    rows.push(['Calculated Total', formatAmount(summary.calculatedTotal)]);
+    rows.push(['Adjusted Total', formatAmount(summary.adjustedTotal)]);
+    rows.push(['Difference', formatAmount(summary.difference)]);
+    if (exchangeRate) {
+        rows.push([`Adjusted Total (${exchangeRate.currency})`, formatAmount(summary.adjustedTotal * exchangeRate.rate)]);
+        rows.push(['Exchange Rate', exchangeRate.rate.toFixed(4), exchangeRate.rateDate, exchangeRate.source]);
+    }
+    if (advances.length > 0) {
+        const advanceSummary = summariseAdvances(summary.adjustedTotal, advances);
+        advances.forEach(advance => {
+            rows.push([`Advance Paid ${formatAdvanceDate(advance.paidOn)} (${describeAdvanceBasis(advance)})`, formatAmount(advance.amount)]);
+        });
+        rows.push(['Advances Paid', formatAmount(advanceSummary.advancesTotal)]);
+        rows.push([advanceSummary.balance < 0 ? 'Balance Due From Officer' : 'Balance Due To Officer', formatAmount(Math.abs(advanceSummary.balance))]
+            .concat(convertedColumn(Math.abs(advanceSummary.balance))));
+    }
+    if (trip.deductions.length > 0) {
+        rows.push([]);
+        rows.push(['Provided By Host (Day)', 'Date', 'Deducted', 'Amount', 'Reason']);
+        trip.deductions.forEach(deduction => {
+            rows.push([
+                deduction.dayNumber,
+                formatDateTime(deduction.date).slice(0, 10),
+                adjustmentComponentLabels[deduction.component],
+                formatAmount(deduction.amount),
+                deduction.reason
+            ]);
+        });
+    }
+    if (adjustments.length > 0) {
+        rows.push([]);
+        rows.push(['Adjustment Applies To', 'Amount', 'Reason', 'Recorded', 'Applied']);
+        adjustments.forEach(adjustment => {
+            rows.push([
+                describeAdjustment(adjustment, trip),
+                formatAmount(adjustment.amount),
+                adjustment.reason,
+                adjustment.createdAt ? formatLocalDateTime(new Date(adjustment.createdAt)) : '',
+                summary.applied.includes(adjustment) ? 'Yes' : 'No (day not in the trip)'
+            ]);
+        });
+    }
+
+    // Summary by country from the trip's country totals, as in the results and the claim JSON, in the order first
+    // visited; representation, supplementary and the adjustments are not split by country and follow as lines of their own
+    const dsaColumns = breakdownAmountColumns.filter(column => column.key !== 'representation');
+    const summaryLine = (label, amount) => [label].concat(dsaColumns.map(() => ''), [formatAmount(amount)]);
+    rows.push([]);
+    rows.push(['Country'].concat(dsaColumns.map(column => column.label), ['Total']));
+    Object.keys(trip.countryTotals).forEach(country => {
+        const entry = trip.countryTotals[country];
+        rows.push([country].concat(dsaColumns.map(column => formatAmount(entry[column.key])), [formatAmount(entry.total)]));
+    });
+    rows.push(summaryLine('Representation allowance', trip.representationAllowance));
+    if (trip.fundingSource === 'external') {
+        rows.push(summaryLine('Supplementary allowance', trip.supplementaryAllowance));
+    }
+    if (Math.abs(summary.difference) >= 0.005) {
+        rows.push(summaryLine('Adjustments', summary.difference));
+    }
+    rows.push(summaryLine('Total claimed', summary.adjustedTotal));
+
+    return rows;
+}
+
+// Download the calculated trip's day-by-day breakdown as CSV
+function exportDayByDayCsv() {
+    if (!calculatedTrip) return;
+    downloadFile(`day-by-day-${formatDateTime(calculatedTrip.startDate).slice(0, 10)}.csv`, formatCsv(dayByDayToRows(calculatedTrip, tripAdjustments, tripAdvances, getPaymentCurrency())), 'text/csv');
+}
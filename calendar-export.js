@@ -0,0 +1,128 @@
+// Calendar export: the calculated trip as an iCalendar (.ics) file with one timed event per flight leg
+// and one all-day event per stay, each listing the allowance days from the day-by-day breakdown
+
+// Escape text for an iCalendar property value
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to 75 octets, continuing on lines that start with a space
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const character of line) {
+        const codePoint = character.codePointAt(0);
+        const octets = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += character;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// UTC date-time (e.g. 20261102T060000Z) of an instant in ms
+function formatIcsUtc(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Date value (e.g. 20261102) of a wall-clock date
+function formatIcsDate(date) {
+    return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Allowance line for a day-by-day row, e.g. "Day 3 – Kenya – US$312.00"
+function formatDayAllowanceLine(dayRow) {
+    return `Day ${dayRow.dayNumber} – ${formatLocation(dayRow.location, dayRow.city)} – US$${dayRow.total.toFixed(2)}`;
+}
+
+// Day-by-day rows dated from one wall-clock date to another (inclusive)
+function getTripDaysBetween(trip, fromDate, toDate) {
+    const first = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+    const last = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate());
+    return trip.days.filter(dayRow => dayRow.date >= first && dayRow.date <= last);
+}
+
+// A leg endpoint for event titles: the airport code and city where one was entered, else the location
+function formatCalendarEndpoint(country, city, airportCode) {
+    const airport = getAirport(airportCode);
+    return airport ? `${airport.city} (${airport.code})` : formatLocation(country, city);
+}
+
+/**
+ * Build an iCalendar file for a computeTrip() result
+ * Legs are timed events in UTC; stays are all-day events from the arrival date to the departure date
+ * @param {Object} trip - Calculated trip
+ * @param {Date} now - Time stamp for the events
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+function tripToIcs(trip, now = new Date()) {
+    const stamp = formatIcsUtc(now.getTime());
+    const tripId = `${formatIcsUtc(trip.legs[0].departureInstant)}-${trip.legs.length}`;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Ministry of Finance Zimbabwe//T&S Calculator//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    const addEvent = (uid, properties, descriptionLines) => {
+        lines.push('BEGIN:VEVENT', `UID:${uid}@ts-calculator`, `DTSTAMP:${stamp}`);
+        properties.forEach(property => lines.push(property));
+        lines.push(`DESCRIPTION:${escapeIcsText(descriptionLines.join('\n'))}`, 'END:VEVENT');
+    };
+
+    const itinerary = trip.legs.filter(leg => leg.direction === 'outbound').concat(trip.legs.filter(leg => leg.direction === 'return'));
+    itinerary.forEach((leg, index) => {
+        const from = formatCalendarEndpoint(leg.from, leg.fromCity, leg.fromAirport);
+        const to = formatCalendarEndpoint(leg.to, leg.toCity, leg.toAirport);
+        const departureAirport = getAirport(leg.fromAirport);
+        addEvent(`${tripId}-leg-${index + 1}`, [
+            `DTSTART:${formatIcsUtc(leg.departureInstant)}`,
+            `DTEND:${formatIcsUtc(leg.arrivalInstant)}`,
+            `SUMMARY:${escapeIcsText(`Flight ${from} → ${to}`)}`,
+            `LOCATION:${escapeIcsText(departureAirport ? formatAirport(departureAirport) : formatLocation(leg.from, leg.fromCity))}`
+        ], [
+            `Departs ${formatLocalDateTime(leg.departureDate)} local time (${leg.departureZone})`,
+            `Arrives ${formatLocalDateTime(leg.arrivalDate)} local time (${leg.arrivalZone})`,
+            '',
+            ...getTripDaysBetween(trip, leg.departureDate, leg.arrivalDate).map(formatDayAllowanceLine)
+        ]);
+    });
+
+    trip.stops.forEach((stop, index) => {
+        const endDate = new Date(stop.departureDate.getFullYear(), stop.departureDate.getMonth(), stop.departureDate.getDate() + 1);
+        const place = formatCalendarEndpoint(stop.country, stop.city, stop.airport);
+        addEvent(`${tripId}-stay-${index + 1}`, [
+            `DTSTART;VALUE=DATE:${formatIcsDate(stop.arrivalDate)}`,
+            `DTEND;VALUE=DATE:${formatIcsDate(endDate)}`,
+            `SUMMARY:${escapeIcsText(`Stay: ${place}`)}`,
+            `LOCATION:${escapeIcsText(formatLocation(stop.country, stop.city))}`,
+            'TRANSP:TRANSPARENT'
+        ], [
+            `Stay allowance at the ${stop.location} rate: US$${stop.total.toFixed(2)}`,
+            '',
+            ...getTripDaysBetween(trip, stop.arrivalDate, stop.departureDate).map(formatDayAllowanceLine)
+        ]);
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Download the calculated trip as an .ics file
+function exportTripCalendar() {
+    if (!calculatedTrip) return;
+    downloadFile(`trip-${formatIcsDate(calculatedTrip.startDate)}.ics`, tripToIcs(calculatedTrip), 'text/calendar');
+}
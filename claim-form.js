@@ -0,0 +1,322 @@
+// Claim form: the calculated trip laid out as the official T&S claim, printed on A4 in place of the
+// interactive page. It is drawn into #claimForm just before printing and the page is left as it was
+
+const wordOnes = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
+    'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const wordTens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const wordScales = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+// A whole number in words, British style: 1205 is "one thousand two hundred and five"
+function integerToWords(number) {
+    const belowThousand = (value) => {
+        const parts = [];
+        const hundreds = Math.floor(value / 100);
+        const rest = value % 100;
+        if (hundreds) parts.push(`${wordOnes[hundreds]} hundred`);
+        if (rest) parts.push(rest < 20 ? wordOnes[rest] : wordTens[Math.floor(rest / 10)] + (rest % 10 ? `-${wordOnes[rest % 10]}` : ''));
+        return parts.join(' and ');
+    };
+
+    const words = [];
+    let remaining = number;
+    wordScales.forEach(([scale, name]) => {
+        const count = Math.floor(remaining / scale);
+        if (count) words.push(`${integerToWords(count)} ${name}`);
+        remaining %= scale;
+    });
+    if (remaining) words.push((words.length > 0 && remaining < 100 ? 'and ' : '') + belowThousand(remaining));
+    return words.length > 0 ? words.join(' ') : wordOnes[0];
+}
+
+// A US$ amount in words, e.g. "Three hundred and twelve United States dollars and five cents"
+function amountInWords(amount) {
+    const totalCents = Math.round(amount * 100);
+    const dollars = Math.floor(totalCents / 100);
+    const cents = totalCents % 100;
+    const text = `${integerToWords(dollars)} United States dollar${dollars === 1 ? '' : 's'}` +
+        (cents ? ` and ${integerToWords(cents)} cent${cents === 1 ? '' : 's'}` : ' only');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// US$ with thousands separators, for the printed form
+function formatClaimAmount(amount) {
+    return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Form heading: the ministry, the title and the rate schedules used
+function claimFormHeader(title, trip) {
+    return `
+        <div class="claim-header">
+            <img src="logo.jpeg" alt="" class="claim-logo">
+            <div>
+                <div class="claim-ministry">Ministry of Finance, Economic Development and Investment Promotion</div>
+                <h1>${title}</h1>
+                <div class="claim-meta">
+                    Prepared ${formatLocalDateTime(new Date()).slice(0, 10)} ·
+                    Rates: ${escapeHtml(trip.rateSchedules.map(schedule => `${schedule.version} (effective ${schedule.effectiveFrom})`).join(', '))}
+                </div>
+            </div>
+        </div>`;
+}
+
+// Traveller details table; details left blank get a line to write them in
+function claimTravellerTable(trip, traveller) {
+    const optionText = (selectId, value) => {
+        const option = document.querySelector(`#${selectId} option[value="${value}"]`);
+        return option ? option.textContent : value;
+    };
+    const detail = (value) => value ? escapeHtml(value) : '<span class="claim-blank"></span>';
+    return `
+        <table class="claim-details">
+            <tr><th>Name</th><td>${detail(traveller.name)}</td><th>EC Number</th><td>${detail(traveller.ecNumber)}</td></tr>
+            <tr><th>Designation</th><td>${detail(traveller.designation)}</td><th>Department</th><td>${detail(traveller.department)}</td></tr>
+            <tr><th>Grade</th><td>${escapeHtml(optionText('grade', trip.grade))}</td><th>Funding</th><td>${escapeHtml(optionText('fundingSource', trip.fundingSource))}</td></tr>
+            <tr><th>Purpose</th><td colspan="3">${escapeHtml(trip.purpose)}</td></tr>
+        </table>`;
+}
+
+// A leg endpoint, with the airport code where one was entered
+function claimPlace(country, city, airportCode) {
+    const airport = getAirport(airportCode);
+    return escapeHtml(airport ? `${formatLocation(country, city)} · ${airport.code}` : formatLocation(country, city));
+}
+
+// Itinerary table: outbound legs, then return legs, in local times
+function claimItineraryTable(trip) {
+    const itinerary = trip.legs.filter(leg => leg.direction === 'outbound').concat(trip.legs.filter(leg => leg.direction === 'return'));
+    const legNumbers = { outbound: 0, return: 0 };
+    const legLabels = { outbound: 'Outbound', return: 'Return' };
+    return `
+        <table>
+            <thead>
+                <tr><th>Leg</th><th>From</th><th>Departs (local)</th><th>To</th><th>Arrives (local)</th><th class="number">Flight Time</th></tr>
+            </thead>
+            <tbody>
+                ${itinerary.map(leg => `
+                <tr>
+                    <td>${legLabels[leg.direction]} ${++legNumbers[leg.direction]}</td>
+                    <td>${claimPlace(leg.from, leg.fromCity, leg.fromAirport)}</td>
+                    <td>${formatLocalDateTime(leg.departureDate)}</td>
+                    <td>${claimPlace(leg.to, leg.toCity, leg.toAirport)}</td>
+                    <td>${formatLocalDateTime(leg.arrivalDate)}</td>
+                    <td class="number">${formatHours((leg.arrivalInstant - leg.departureInstant) / (1000 * 60 * 60))}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+// Signature block with lines for name, signature and date
+function claimSignatureBlock(title, statement) {
+    return `
+        <div class="claim-signature">
+            <h3>${title}</h3>
+            <p>${statement}</p>
+            <div class="claim-signature-line"><span>Name</span></div>
+            <div class="claim-signature-line"><span>Signature</span></div>
+            <div class="claim-signature-line"><span>Date</span></div>
+        </div>`;
+}
+
+/**
+ * Draw the claim form for a computeTrip() result
+ * @param {Object} trip - Calculated trip
+ * @param {Array} adjustments - Adjustments to the calculated amounts (see tripAdjustments)
+ * @param {Array} advances - Advances paid (see tripAdvances)
+ * @param {Object|null} exchangeRate - Exchange rate of the payment currency, or null when paid in US$ only (see getPaymentCurrency)
+ * @param {Object} traveller - Traveller details (see readTravellerDetails)
+ */
+function renderClaimForm(trip, adjustments, advances, exchangeRate, traveller) {
+    const container = document.getElementById('claimForm');
+    const { components } = trip;
+    const summary = summariseAdjustments(trip, adjustments);
+    const advanceSummary = summariseAdvances(summary.adjustedTotal, advances);
+    const adjusted = summary.applied.length > 0;
+    // Amounts in the payment currency, next to the US$ amounts
+    const converted = (amount) => formatClaimAmount(amount * exchangeRate.rate);
+    // Summary rows: with adjustments, the calculated amount, the adjustment and the amount claimed
+    // (amount is null for a row that is only an adjustment)
+    const summaryRow = (label, quantity, amount, adjustment = 0, className = '') => `
+                <tr class="${className}">
+                    <td>${label}</td><td class="number">${quantity}</td>
+                    ${adjusted ? `<td class="number">${amount === null ? '' : formatClaimAmount(amount)}</td><td class="number">${adjustment ? formatClaimAmount(adjustment) : ''}</td>` : ''}
+                    <td class="number">${formatClaimAmount((amount || 0) + adjustment)}</td>
+                    ${exchangeRate ? `<td class="number">${converted((amount || 0) + adjustment)}</td>` : ''}
+                </tr>`;
+    const componentAdjustment = (component) => summary.componentAdjustments[component] || 0;
+    const dsaAdjustment = ['breakfast', 'lunch', 'dinner', 'accommodation', 'other'].reduce((sum, component) => sum + componentAdjustment(component), 0);
+    const daysAdjustment = trip.days.reduce((sum, dayRow) => sum + (summary.dayAdjustments[dayRow.dayNumber] || 0), 0);
+    // Days paid at a long-stay tier show their day of stay and the percentage paid
+    const longStay = trip.days.some(dayRow => dayRow.stayTier);
+    // Quantities note what the host provided, e.g. "4 meals (1 provided)"
+    const quantity = (component, unit) => {
+        const provided = getHostDeduction(trip, component).count;
+        return `${components[component].count} ${unit}${provided ? ` (${provided} provided)` : ''}`;
+    };
+
+    container.innerHTML = `
+        ${claimFormHeader('Travel and Subsistence Allowance Claim', trip)}
+
+        <h2>1. Traveller</h2>
+        ${claimTravellerTable(trip, traveller)}
+
+        <h2>2. Itinerary</h2>
+        ${claimItineraryTable(trip)}
+        <p class="claim-note">
+            Away ${trip.durations.totalDays.toFixed(2)} days (${formatHours(trip.durations.totalHours)}), of which
+            ${trip.durations.fullDaysAtDestination} full days at destination.
+        </p>
+
+        <h2>3. Allowance Summary</h2>
+        <table class="claim-summary">
+            <thead>
+                <tr>
+                    <th>Item</th><th class="number">Quantity</th>
+                    ${adjusted ? '<th class="number">Calculated (US$)</th><th class="number">Adjustment (US$)</th>' : ''}
+                    <th class="number">Amount (US$)</th>
+                    ${exchangeRate ? `<th class="number">Amount (${exchangeRate.currency})</th>` : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${summaryRow('Breakfast', quantity('breakfast', 'meals'), components.breakfast.amount, componentAdjustment('breakfast'))}
+                ${summaryRow('Lunch', quantity('lunch', 'meals'), components.lunch.amount, componentAdjustment('lunch'))}
+                ${summaryRow('Dinner', quantity('dinner', 'meals'), components.dinner.amount, componentAdjustment('dinner'))}
+                ${summaryRow('Accommodation', quantity('accommodation', 'nights'), components.accommodation.amount, componentAdjustment('accommodation'))}
+                ${summaryRow('Other expenses', '', components.other.amount, componentAdjustment('other'))}
+                ${summaryRow('Daily subsistence allowance', '', trip.totalDSA, dsaAdjustment, 'claim-subtotal')}
+                ${summaryRow('Representation allowance', trip.representationPercentage ? `${trip.representationPercentage}%` : '', trip.representationAllowance, componentAdjustment('representation'))}
+                ${trip.fundingSource === 'external' || componentAdjustment('supplementary') ? summaryRow('Supplementary allowance (US$50/day)', `${trip.supplementaryDays.toFixed(2)} days`, trip.supplementaryAllowance, componentAdjustment('supplementary')) : ''}
+                ${daysAdjustment ? summaryRow('Day adjustments (see section 4)', '', null, daysAdjustment) : ''}
+                ${summary.totalAdjustment ? summaryRow('Adjustment to the total', '', null, summary.totalAdjustment) : ''}
+                ${summaryRow(adjusted ? 'Total claimed' : 'Calculated total', '', summary.calculatedTotal, summary.difference, 'claim-subtotal')}
+            </tbody>
+        </table>
+        ${exchangeRate ? `<p class="claim-note">${exchangeRate.currency} amounts at ${escapeHtml(describeExchangeRate(exchangeRate))}.</p>` : ''}
+        ${trip.deductions.length > 0 ? `
+        <table class="claim-adjustments">
+            <thead>
+                <tr><th>Provided by host</th><th>Date</th><th class="number">Deducted (US$)</th><th>Reason</th></tr>
+            </thead>
+            <tbody>
+                ${trip.deductions.map(deduction => `
+                <tr>
+                    <td>Day ${deduction.dayNumber}: ${escapeHtml(adjustmentComponentLabels[deduction.component])}</td>
+                    <td>${formatLocalDateTime(deduction.date).slice(0, 10)}</td>
+                    <td class="number">${formatClaimAmount(deduction.amount)}</td>
+                    <td>${escapeHtml(deduction.reason)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <p class="claim-note">The amounts above are after these deductions.</p>` : ''}
+        ${adjusted ? `
+        <table class="claim-adjustments">
+            <thead>
+                <tr><th>Adjustment to</th><th class="number">Amount (US$)</th><th>Reason</th><th>Recorded</th></tr>
+            </thead>
+            <tbody>
+                ${summary.applied.map(adjustment => `
+                <tr>
+                    <td>${escapeHtml(describeAdjustment(adjustment, trip))}</td>
+                    <td class="number">${formatClaimAmount(adjustment.amount)}</td>
+                    <td>${escapeHtml(adjustment.reason)}</td>
+                    <td>${adjustment.createdAt ? formatLocalDateTime(new Date(adjustment.createdAt)) : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>` : ''}
+
+        <h2>4. Day-by-Day Breakdown</h2>
+        <table class="claim-days">
+            <thead>
+                <tr>
+                    <th>Day</th><th>Date</th><th>Status</th><th>Location</th>
+                    ${longStay ? '<th class="number">Stay Day</th>' : ''}
+                    ${breakdownAmountColumns.map(column => `<th class="number">${column.label}</th>`).join('')}
+                    <th class="number">Total</th>
+                    ${daysAdjustment ? '<th class="number">Adjustment</th><th class="number">Adjusted</th>' : ''}
+                    ${exchangeRate ? `<th class="number">${exchangeRate.currency}</th>` : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${trip.days.map(dayRow => `
+                <tr>
+                    <td>${dayRow.dayNumber}</td>
+                    <td>${formatLocalDateTime(dayRow.date).slice(0, 10)}</td>
+                    <td>${escapeHtml(breakdownStatusLabels[dayRow.status] || dayRow.status)}</td>
+                    <td>${escapeHtml(formatLocation(dayRow.location, dayRow.city))}</td>
+                    ${longStay ? `<td class="number">${dayRow.stayDay ? `${dayRow.stayDay}${dayRow.stayTier ? ` (${dayRow.stayTier.percentage}%)` : ''}` : ''}</td>` : ''}
+                    ${breakdownAmountColumns.map(column => `<td class="number">${formatClaimAmount(getDayAmount(dayRow, column.key))}</td>`).join('')}
+                    <td class="number">${formatClaimAmount(dayRow.total)}</td>
+                    ${daysAdjustment ? `
+                    <td class="number">${summary.dayAdjustments[dayRow.dayNumber] ? formatClaimAmount(summary.dayAdjustments[dayRow.dayNumber]) : ''}</td>
+                    <td class="number">${formatClaimAmount(getAdjustedDayTotal(dayRow, summary))}</td>` : ''}
+                    ${exchangeRate ? `<td class="number">${converted(getAdjustedDayTotal(dayRow, summary))}</td>` : ''}
+                </tr>`).join('')}
+                <tr class="claim-subtotal">
+                    <td colspan="${longStay ? 5 : 4}">Total (${trip.days.length} days)</td>
+                    ${breakdownAmountColumns.map(column => `<td class="number">${formatClaimAmount(trip.days.reduce((sum, dayRow) => sum + getDayAmount(dayRow, column.key), 0))}</td>`).join('')}
+                    <td class="number">${formatClaimAmount(trip.daysTotal)}</td>
+                    ${daysAdjustment ? `
+                    <td class="number">${formatClaimAmount(daysAdjustment)}</td>
+                    <td class="number">${formatClaimAmount(trip.daysTotal + daysAdjustment)}</td>` : ''}
+                    ${exchangeRate ? `<td class="number">${converted(trip.daysTotal + daysAdjustment)}</td>` : ''}
+                </tr>
+                ${reconcileDayTotals(trip, summary).map((line, index, lines) => `
+                <tr class="${index === lines.length - 1 ? 'claim-subtotal' : ''}">
+                    <td colspan="${(longStay ? 5 : 4) + breakdownAmountColumns.length + (daysAdjustment ? 2 : 0)}">${escapeHtml(line.label)}</td>
+                    <td class="number">${formatClaimAmount(line.amount)}</td>
+                    ${exchangeRate ? `<td class="number">${converted(line.amount)}</td>` : ''}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+
+        <div class="claim-keep-together">
+            <h2>5. Total Claimed</h2>
+            <table class="claim-details">
+                ${adjusted ? `
+                <tr><th>Calculated</th><td>US$${formatClaimAmount(summary.calculatedTotal)}</td></tr>
+                <tr><th>Difference</th><td>US$${formatClaimAmount(summary.difference)} (adjustments in section 3)</td></tr>` : ''}
+                <tr><th>In figures</th><td><strong>US$${formatClaimAmount(summary.adjustedTotal)}</strong></td></tr>
+                <tr><th>In words</th><td><strong>${escapeHtml(amountInWords(summary.adjustedTotal))}</strong></td></tr>
+                ${exchangeRate ? `
+                <tr><th>In ${exchangeRate.currency}</th><td><strong>${escapeHtml(formatCurrencyAmount(summary.adjustedTotal * exchangeRate.rate, exchangeRate.currency))}</strong></td></tr>
+                <tr><th>Exchange rate</th><td>${escapeHtml(describeExchangeRate(exchangeRate))}</td></tr>` : ''}
+            </table>
+            ${advances.length > 0 ? `
+            <h3>Advances and Balance</h3>
+            <table>
+                <tbody>
+                    <tr><td>Total entitlement</td><td class="number">${formatClaimAmount(advanceSummary.entitlement)}</td></tr>
+                    ${advances.map(advance => `
+                    <tr><td>Less advance paid ${formatAdvanceDate(advance.paidOn)} (${escapeHtml(describeAdvanceBasis(advance))})</td><td class="number">${formatClaimAmount(-advance.amount)}</td></tr>`).join('')}
+                    <tr class="claim-subtotal"><td>${describeAdvanceBalance(advanceSummary.balance)}</td><td class="number">${formatClaimAmount(Math.abs(advanceSummary.balance))}</td></tr>
+                    <tr><td colspan="2">${escapeHtml(amountInWords(Math.abs(advanceSummary.balance)))}</td></tr>
+                    ${exchangeRate ? `
+                    <tr><td>Balance in ${exchangeRate.currency}</td><td class="number">${converted(Math.abs(advanceSummary.balance))}</td></tr>` : ''}
+                </tbody>
+            </table>` : ''}
+        </div>
+
+        <div class="claim-keep-together">
+            <h2>6. Certification and Approval</h2>
+            <div class="claim-signatures">
+                ${claimSignatureBlock('Claimant', 'I certify that the journey was made on official business as stated above and that this claim is correct.')}
+                ${claimSignatureBlock('Supervisor', 'I certify that the journey was authorised and made on official business.')}
+                ${claimSignatureBlock('Accounting Officer', 'I approve this claim for payment.')}
+            </div>
+        </div>
+    `;
+}
+
+// Printing the page prints the claim form for the calculated trip (the page itself prints when there is none)
+// Printing the acquittal or the mission budget (see acquittal.js, delegation.js) prints that document instead
+window.addEventListener('beforeprint', () => {
+    if (!calculatedTrip || document.body.classList.contains('printing-acquittal') ||
+        document.body.classList.contains('printing-delegation')) return;
+    renderClaimForm(calculatedTrip, tripAdjustments, tripAdvances, getPaymentCurrency(), readTravellerDetails());
+    document.body.classList.add('printing-claim');
+});
+
+window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-claim');
+});
@@ -0,0 +1,300 @@
+// Claim files: the calculated trip as a JSON document (claim.schema.json) holding the inputs and every
+// output of the calculation, for finance systems to read; importing one restores the trip and checks
+// that recalculating it gives the same totals
+
+// Format name and version written to every claim file
+const claimFormat = 'ts-calculator-claim';
+const claimVersion = 1;
+
+// Versions this page can read
+const supportedClaimVersions = [1];
+
+// Amounts closer than this count as the same
+const claimAmountTolerance = 0.005;
+
+const claimComponentLabels = {
+    breakfast: 'Breakfast',
+    lunch: 'Lunch',
+    dinner: 'Dinner',
+    accommodation: 'Accommodation',
+    other: 'Other expenses'
+};
+
+// A wall-clock date as yyyy-mm-dd
+function formatClaimDate(date) {
+    return formatDateTime(date).slice(0, 10);
+}
+
+/**
+ * Build the claim document for a computeTrip() result
+ * Dates are local wall-clock times (datetime-local values, or yyyy-mm-dd for days) in the zone given with them
+ * @param {Object} trip - Calculated trip
+ * @param {Array} adjustments - Adjustments to the calculated total (see tripAdjustments)
+ * @param {Array} advances - Advances paid (see tripAdvances)
+ * @param {Object|null} exchangeRate - Exchange rate of the payment currency, or null when paid in US$ only (see getPaymentCurrency)
+ * @param {Object} traveller - Traveller details (see readTravellerDetails)
+ * @param {Date} now - Export time
+ * @returns {Object} - Claim document (see claim.schema.json)
+ */
+function tripToClaim(trip, adjustments, advances, exchangeRate, traveller, now = new Date()) {
+    const summary = summariseAdjustments(trip, adjustments);
+    const advanceSummary = summariseAdvances(summary.adjustedTotal, advances);
+    const claim = {
+        format: claimFormat,
+        version: claimVersion,
+        exportedAt: now.toISOString(),
+        inputs: {
+            traveller,
+            grade: trip.grade,
+            purpose: trip.purpose,
+            fundingSource: trip.fundingSource,
+            legs: trip.legs.map(leg => ({
+                direction: leg.direction,
+                from: leg.from,
+                fromCity: leg.fromCity,
+                fromAirport: leg.fromAirport,
+                to: leg.to,
+                toCity: leg.toCity,
+                toAirport: leg.toAirport,
+                departureDate: formatDateTime(leg.departureDate),
+                arrivalDate: formatDateTime(leg.arrivalDate),
+                departureZone: leg.departureZone,
+                arrivalZone: leg.arrivalZone
+            })),
+            provisions: trip.provisions
+        },
+        outputs: {
+            gradeMultiplier: trip.gradeMultiplier,
+            rateSchedules: trip.rateSchedules,
+            startDate: formatDateTime(trip.startDate),
+            endDate: formatDateTime(trip.endDate),
+            durations: trip.durations,
+            destination: trip.destination,
+            countriesVisited: trip.countriesVisited,
+            stops: trip.stops.map(stop => Object.assign({}, stop, {
+                arrivalDate: formatDateTime(stop.arrivalDate),
+                departureDate: formatDateTime(stop.departureDate),
+                stayStart: stop.stayStart ? formatDateTime(stop.stayStart) : null
+            })),
+            components: trip.components,
+            countryTotals: trip.countryTotals,
+            totalDSA: trip.totalDSA,
+            representationPercentage: trip.representationPercentage,
+            representationAllowance: trip.representationAllowance,
+            supplementaryDays: trip.supplementaryDays,
+            supplementaryAllowance: trip.supplementaryAllowance,
+            totalPayment: trip.totalPayment,
+            stayTiers: trip.stayTiers,
+            deductions: trip.deductions.map(deduction => Object.assign({}, deduction, { date: formatClaimDate(deduction.date) })),
+            days: trip.days.map(dayRow => Object.assign({}, dayRow, {
+                date: formatClaimDate(dayRow.date),
+                deductions: dayRow.deductions.map(deduction => Object.assign({}, deduction, { date: formatClaimDate(deduction.date) }))
+            })),
+            daysTotal: trip.daysTotal,
+            explanations: trip.explanations
+        },
+        claim: {
+            calculatedTotal: summary.calculatedTotal,
+            totalPayment: summary.adjustedTotal,
+            difference: summary.difference,
+            overridden: summary.difference !== 0,
+            adjustments: adjustments.map(adjustment => Object.assign({}, adjustment, {
+                applied: summary.applied.includes(adjustment)
+            })),
+            advances,
+            advancesTotal: advanceSummary.advancesTotal,
+            balance: advanceSummary.balance
+        }
+    };
+    if (exchangeRate) {
+        claim.claim.paymentCurrency = Object.assign({}, exchangeRate, {
+            totalPayment: roundAmount(summary.adjustedTotal * exchangeRate.rate),
+            balance: roundAmount(advanceSummary.balance * exchangeRate.rate)
+        });
+    }
+    return claim;
+}
+
+// Check the parts of a claim document the import relies on; returns a list of problems
+function validateClaim(claim) {
+    if (!claim || typeof claim !== 'object' || claim.format !== claimFormat) {
+        return ['This is not a T&S claim file'];
+    }
+    if (!supportedClaimVersions.includes(claim.version)) {
+        return [`Claim file version ${claim.version} is not supported; it may have been made by a newer version of the calculator`];
+    }
+
+    const errors = [];
+    const inputs = claim.inputs || {};
+    ['grade', 'purpose', 'fundingSource'].forEach(field => {
+        if (typeof inputs[field] !== 'string') errors.push(`inputs.${field} is missing`);
+    });
+    if (!Array.isArray(inputs.legs) || inputs.legs.length === 0) {
+        errors.push('inputs.legs is missing');
+    } else {
+        inputs.legs.forEach((leg, index) => {
+            ['from', 'to', 'departureDate', 'arrivalDate'].forEach(field => {
+                if (typeof leg[field] !== 'string' || !leg[field]) errors.push(`inputs.legs[${index}].${field} is missing`);
+            });
+        });
+    }
+    if (!claim.outputs || typeof claim.outputs.totalPayment !== 'number') {
+        errors.push('outputs.totalPayment is missing');
+    }
+    return errors;
+}
+
+// The adjustments in a claim file (older files only have the edited total)
+function readClaimAdjustments(claim) {
+    const claimPart = claim.claim || {};
+    if (Array.isArray(claimPart.adjustments)) {
+        return claimPart.adjustments.map(normaliseAdjustment).filter(Boolean);
+    }
+    if (!claimPart.overridden || typeof claimPart.totalPayment !== 'number') return [];
+    const editedTotal = editedTotalToAdjustment(claimPart.totalPayment, claim.outputs.totalPayment, claim.exportedAt);
+    return editedTotal ? [editedTotal] : [];
+}
+
+// The payment currency and rate in a claim file, or null when it is paid in US$ only
+function readClaimPaymentCurrency(claim) {
+    return normaliseExchangeRate(claim.claim && claim.claim.paymentCurrency);
+}
+
+// Totals in a claim's outputs next to the same totals recalculated now
+// Returns [{ label, saved, recalculated, matches }]
+function compareClaimTotals(outputs, trip) {
+    const rows = [];
+    const add = (label, saved, recalculated) => rows.push({
+        label,
+        saved,
+        recalculated,
+        matches: typeof saved === 'number' && Math.abs(saved - recalculated) < claimAmountTolerance
+    });
+    const savedComponents = outputs.components || {};
+    Object.keys(trip.components).forEach(component => {
+        const saved = savedComponents[component] || {};
+        const label = claimComponentLabels[component] || component;
+        add(`${label} (US$)`, saved.amount, trip.components[component].amount);
+        if (trip.components[component].count !== undefined) {
+            add(`${label} (count)`, saved.count, trip.components[component].count);
+        }
+    });
+    const savedCountries = outputs.countryTotals || {};
+    Array.from(new Set(Object.keys(savedCountries).concat(Object.keys(trip.countryTotals)))).forEach(country => {
+        add(`${country} (US$)`, savedCountries[country] ? savedCountries[country].total : 0, trip.countryTotals[country] ? trip.countryTotals[country].total : 0);
+    });
+    add('Total DSA (US$)', outputs.totalDSA, trip.totalDSA);
+    add('Representation allowance (US$)', outputs.representationAllowance, trip.representationAllowance);
+    add('Supplementary allowance (US$)', outputs.supplementaryAllowance, trip.supplementaryAllowance);
+    add('Day-by-day total (US$)', outputs.daysTotal, trip.daysTotal);
+    add('Calculated T&S payment (US$)', outputs.totalPayment, trip.totalPayment);
+    return rows;
+}
+
+// Download the calculated trip as a claim file
+function exportClaimJson() {
+    if (!calculatedTrip) return;
+    const claim = tripToClaim(calculatedTrip, tripAdjustments, tripAdvances, getPaymentCurrency(), readTravellerDetails());
+    downloadFile(`claim-${formatClaimDate(calculatedTrip.startDate)}.json`, JSON.stringify(claim, null, 2), 'application/json');
+}
+
+// Show the outcome of an import: the recalculated totals against the file's
+// paymentCurrency is the file's payment currency (null when it was paid in US$ only)
+function renderClaimImportResult(fileName, rows, paymentCurrency) {
+    const result = document.getElementById('claimImportResult');
+    const mismatches = rows.filter(row => !row.matches);
+    const formatValue = (value) => typeof value === 'number' ? (Number.isInteger(value) ? String(value) : value.toFixed(2)) : '—';
+    result.innerHTML = `
+        ${mismatches.length === 0 ? `
+        <div class="success-box">
+            <strong>${escapeHtml(fileName)} restored.</strong> Recalculating gives the same totals as the file.
+        </div>` : `
+        <div class="error-box">
+            <strong>${escapeHtml(fileName)} restored, but recalculating gives different totals</strong>
+            (${mismatches.length} of ${rows.length} differ). The rate tables may have changed since the claim was exported.
+        </div>`}
+        ${tripAdjustments.length > 0 ? `
+        <div class="info-box">
+            ${tripAdjustments.length} adjustment${tripAdjustments.length === 1 ? '' : 's'} restored with ${tripAdjustments.length === 1 ? 'its reason' : 'their reasons'};
+            the adjusted total is US$${summariseAdjustments(calculatedTrip, tripAdjustments).adjustedTotal.toFixed(2)}.
+        </div>` : ''}
+        ${tripAdvances.length > 0 ? `
+        <div class="info-box">
+            ${tripAdvances.length} advance${tripAdvances.length === 1 ? '' : 's'} of US$${getTripAdvanceSummary(calculatedTrip).advancesTotal.toFixed(2)} restored.
+        </div>` : ''}
+        ${paymentCurrency ? `
+        <div class="info-box">
+            ${!getPaymentCurrency()
+                ? `The file is paid in ${escapeHtml(paymentCurrency.currency)}, which is not in the exchange rates; amounts are shown in US$ only.`
+                : describeExchangeRate(getPaymentCurrency()) === describeExchangeRate(paymentCurrency)
+                    ? `Paid in ${escapeHtml(paymentCurrency.currency)} at ${escapeHtml(describeExchangeRate(paymentCurrency))}, as in the file.`
+                    : `Paid in ${escapeHtml(paymentCurrency.currency)}; amounts are converted at the current rate (${escapeHtml(describeExchangeRate(getPaymentCurrency()))}),
+                       not the file's (${escapeHtml(describeExchangeRate(paymentCurrency))}).`}
+        </div>` : ''}
+        <table class="data-table claim-check">
+            <thead>
+                <tr><th>Total</th><th class="number">In File</th><th class="number">Recalculated</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr class="${row.matches ? '' : 'mismatch'}">
+                    <td>${escapeHtml(row.label)}</td>
+                    <td class="number">${formatValue(row.saved)}</td>
+                    <td class="number">${formatValue(row.recalculated)}</td>
+                    <td>${row.matches ? '✓ Same' : '✗ Different'}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Restore a claim file into the form, calculate it and compare the totals
+function importClaimJson(file) {
+    if (!file) return;
+    const result = document.getElementById('claimImportResult');
+    readFileAsText(file).then(text => {
+        let claim;
+        try {
+            claim = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`not valid JSON (${error.message})`);
+        }
+        const errors = validateClaim(claim);
+        if (errors.length > 0) {
+            result.innerHTML = `
+                <div class="error-box">
+                    <strong>${escapeHtml(file.name)} could not be imported:</strong>
+                    <ul>${errors.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+                </div>
+            `;
+            return;
+        }
+
+        // Restored as a new trip in My Trips
+        resetForm();
+        fillTravellerDetails(claim.inputs.traveller);
+        document.getElementById('grade').value = claim.inputs.grade;
+        document.getElementById('purpose').value = claim.inputs.purpose;
+        document.getElementById('fundingSource').value = claim.inputs.fundingSource;
+        document.getElementById('fundingSource').dispatchEvent(new Event('change'));
+        fillItinerary(claim.inputs.legs);
+        tripProvisions = normaliseProvisions(claim.inputs.provisions);
+        tripAdjustments = readClaimAdjustments(claim);
+        tripAdvances = ((claim.claim && claim.claim.advances) || []).map(normaliseAdvance).filter(Boolean);
+        const paymentCurrency = readClaimPaymentCurrency(claim);
+        document.getElementById('paymentCurrency').value = paymentCurrency && getExchangeRate(paymentCurrency.currency) ? paymentCurrency.currency : 'USD';
+        calculate();
+        if (!calculatedTrip) {
+            result.innerHTML = `
+                <div class="error-box">
+                    <strong>${escapeHtml(file.name)} restored, but it no longer calculates.</strong> See the problems marked in the form.
+                </div>
+            `;
+            return;
+        }
+
+        renderClaimImportResult(file.name, compareClaimTotals(claim.outputs, calculatedTrip), paymentCurrency);
+    }).catch(error => {
+        result.innerHTML = `<div class="error-box">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</div>`;
+    });
+}
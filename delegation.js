@@ -0,0 +1,226 @@
+// Delegation: officials travelling together on the same itinerary, e.g. a minister with a director and
+// two officers. The itinerary is entered once; each member is priced on the same legs at their own
+// grade, and the delegation's budget (members by allowance) prints as a single mission budget
+
+// Other members of the delegation, besides the traveller in the form: [{ name, grade }]
+let tripDelegation = [];
+
+// Check a member read from a saved trip; returns it in the stored shape, or null
+function normaliseDelegationMember(member) {
+    if (!member || typeof member.name !== 'string' || !member.name.trim()) return null;
+    if (!rateSchedules.some(schedule => schedule.gradeMultipliers[member.grade])) return null;
+    return { name: member.name.trim(), grade: member.grade };
+}
+
+// Columns of the budget: the allowances paid to a member, with supplementary only for externally funded trips
+function getDelegationColumns(fundingSource) {
+    const columns = ['breakfast', 'lunch', 'dinner', 'accommodation', 'other'].map(component => ({
+        label: adjustmentComponentLabels[component],
+        amount: (trip) => trip.components[component].amount
+    }));
+    columns.push({ label: 'Representation', amount: (trip) => trip.representationAllowance });
+    if (fundingSource === 'external') {
+        columns.push({ label: 'Supplementary', amount: (trip) => trip.supplementaryAllowance });
+    }
+    return columns;
+}
+
+/**
+ * Price every member of the delegation on the calculated trip's itinerary
+ * Members get the same legs and host provisions at their own grade multiplier and representation percentage;
+ * adjustments and advances belong to the claim in the form and are not included
+ * @param {Object} trip - Calculated trip (the traveller in the form)
+ * @param {string} travellerName - Name of the traveller in the form
+ * @param {Array} members - Other members (see tripDelegation)
+ * @returns {Object} - { columns, rows: [{ name, grade, inForm, trip, amounts, total }], columnTotals, grandTotal }
+ */
+function summariseDelegation(trip, travellerName, members) {
+    const columns = getDelegationColumns(trip.fundingSource);
+    const priced = [{ name: travellerName, grade: trip.grade, inForm: true, trip }].concat(members.map(member => ({
+        name: member.name,
+        grade: member.grade,
+        inForm: false,
+        trip: computeTrip({
+            grade: member.grade,
+            purpose: trip.purpose,
+            fundingSource: trip.fundingSource,
+            legs: trip.legs,
+            provisions: trip.provisions
+        })
+    })));
+    const rows = priced.map(row => Object.assign(row, {
+        amounts: columns.map(column => column.amount(row.trip)),
+        total: row.trip.totalPayment
+    }));
+    return {
+        columns,
+        rows,
+        columnTotals: columns.map((column, index) => rows.reduce((sum, row) => sum + row.amounts[index], 0)),
+        grandTotal: rows.reduce((sum, row) => sum + row.total, 0)
+    };
+}
+
+// Show the delegation and its budget in the results card
+// Called by renderResults()
+function renderDelegation(trip) {
+    const list = document.getElementById('delegationList');
+    if (tripDelegation.length === 0) {
+        list.innerHTML = '<p class="muted">No other members. Add the officials travelling with the traveller in the form to budget the mission.</p>';
+        return;
+    }
+    const summary = summariseDelegation(trip, readTravellerDetails().name, tripDelegation);
+    list.innerHTML = `
+        <table class="data-table delegation-budget">
+            <thead>
+                <tr>
+                    <th>Member</th><th>Grade</th>
+                    ${summary.columns.map(column => `<th class="number">${column.label}</th>`).join('')}
+                    <th class="number">Total</th><th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${summary.rows.map((row, index) => `
+                <tr>
+                    <td>${row.inForm ? `${escapeHtml(row.name || 'Traveller in the form')} <span class="muted">(this claim)</span>` : escapeHtml(row.name)}</td>
+                    <td>${escapeHtml(getGradeLabel(row.grade))}</td>
+                    ${row.amounts.map(amount => `<td class="number">${amount.toFixed(2)}</td>`).join('')}
+                    <td class="number">${formatPaymentAmount(row.total)}</td>
+                    <td>${row.inForm ? '' : `<button type="button" class="btn-link" onclick="removeDelegationMember(${index - 1})">Remove</button>`}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td colspan="2"><strong>Mission total (${summary.rows.length} members)</strong></td>
+                    ${summary.columnTotals.map(amount => `<td class="number">${amount.toFixed(2)}</td>`).join('')}
+                    <td class="number"><strong>${formatPaymentAmount(summary.grandTotal)}</strong></td><td></td>
+                </tr>
+            </tfoot>
+        </table>
+        <p class="muted">Amounts in US$ as calculated, before adjustments to the claim in the form.</p>
+        <button type="button" class="btn-secondary" onclick="printDelegationBudget()">Print Mission Budget</button>
+    `;
+}
+
+// Add the member entered under the results; both the name and the grade are required
+function addDelegationMember() {
+    if (!calculatedTrip) return;
+    const nameInput = document.getElementById('delegationMemberName');
+    const gradeSelect = document.getElementById('delegationMemberGrade');
+    [nameInput, gradeSelect].forEach(clearFieldMessage);
+
+    const member = normaliseDelegationMember({ name: nameInput.value, grade: gradeSelect.value });
+    if (!member) {
+        if (!nameInput.value.trim()) showFieldMessage(nameInput, 'Enter the member\'s name', 'error');
+        if (!gradeSelect.value) showFieldMessage(gradeSelect, 'Select the member\'s grade', 'error');
+        return;
+    }
+
+    tripDelegation.push(member);
+    nameInput.value = '';
+    gradeSelect.value = '';
+    renderDelegation(calculatedTrip);
+    saveCurrentTrip();
+}
+
+function removeDelegationMember(index) {
+    if (!calculatedTrip) return;
+    tripDelegation.splice(index, 1);
+    renderDelegation(calculatedTrip);
+    saveCurrentTrip();
+}
+
+/**
+ * Draw the mission budget document
+ * @param {Object} trip - Calculated trip (the traveller in the form)
+ * @param {Object} traveller - Traveller details (see readTravellerDetails)
+ * @param {Array} members - Other members (see tripDelegation)
+ * @param {Object|null} exchangeRate - Exchange rate of the payment currency, or null when paid in US$ only (see getPaymentCurrency)
+ */
+function renderDelegationBudget(trip, traveller, members, exchangeRate) {
+    const summary = summariseDelegation(trip, traveller.name, members);
+    const optionText = (selectId, value) => {
+        const option = document.querySelector(`#${selectId} option[value="${value}"]`);
+        return option ? option.textContent : value;
+    };
+
+    document.getElementById('delegationBudget').innerHTML = `
+        ${claimFormHeader('Mission Budget', trip)}
+
+        <h2>1. Mission</h2>
+        <table class="claim-details">
+            <tr><th>Purpose</th><td colspan="3">${escapeHtml(trip.purpose)}</td></tr>
+            <tr><th>Funding</th><td>${escapeHtml(optionText('fundingSource', trip.fundingSource))}</td><th>Delegation</th><td>${summary.rows.length} members</td></tr>
+        </table>
+
+        <h2>2. Itinerary</h2>
+        ${claimItineraryTable(trip)}
+        <p class="claim-note">
+            Away ${trip.durations.totalDays.toFixed(2)} days (${formatHours(trip.durations.totalHours)}), of which
+            ${trip.durations.fullDaysAtDestination} full days at destination.
+        </p>
+
+        <h2>3. Budget by Member (US$)</h2>
+        <table class="claim-summary delegation-budget">
+            <thead>
+                <tr>
+                    <th>Member</th><th>Grade</th>
+                    ${summary.columns.map(column => `<th class="number">${column.label}</th>`).join('')}
+                    <th class="number">Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${summary.rows.map(row => `
+                <tr>
+                    <td>${row.name ? escapeHtml(row.name) : '<span class="claim-blank"></span>'}</td>
+                    <td>${escapeHtml(getGradeLabel(row.grade))}</td>
+                    ${row.amounts.map(amount => `<td class="number">${formatClaimAmount(amount)}</td>`).join('')}
+                    <td class="number">${formatClaimAmount(row.total)}</td>
+                </tr>`).join('')}
+                <tr class="claim-subtotal">
+                    <td colspan="2">Mission total</td>
+                    ${summary.columnTotals.map(amount => `<td class="number">${formatClaimAmount(amount)}</td>`).join('')}
+                    <td class="number">${formatClaimAmount(summary.grandTotal)}</td>
+                </tr>
+            </tbody>
+        </table>
+        <p class="claim-note">
+            Each member is priced on the itinerary above at their grade's daily allowance multiplier and representation percentage.
+            ${trip.deductions.length > 0 ? 'Meals and accommodation provided by the host are deducted for every member.' : ''}
+        </p>
+
+        <div class="claim-keep-together">
+            <table class="claim-details">
+                <tr><th>Mission total</th><td><strong>US$${formatClaimAmount(summary.grandTotal)}</strong></td></tr>
+                <tr><th>In words</th><td><strong>${escapeHtml(amountInWords(summary.grandTotal))}</strong></td></tr>
+                ${exchangeRate ? `
+                <tr><th>In ${exchangeRate.currency}</th><td>${formatClaimAmount(summary.grandTotal * exchangeRate.rate)}</td></tr>
+                <tr><th>Exchange rate</th><td>${escapeHtml(describeExchangeRate(exchangeRate))}</td></tr>` : ''}
+            </table>
+        </div>
+
+        <div class="claim-keep-together">
+            <h2>4. Approval</h2>
+            <div class="claim-signatures">
+                ${claimSignatureBlock('Head of Delegation', 'I certify that the members listed above travel on the mission as stated.')}
+                ${claimSignatureBlock('Accounting Officer', 'I approve the mission budget above.')}
+            </div>
+        </div>
+    `;
+}
+
+// Print the mission budget in place of the page (and instead of the claim form)
+function printDelegationBudget() {
+    if (!calculatedTrip) return;
+    renderDelegationBudget(calculatedTrip, readTravellerDetails(), tripDelegation, getPaymentCurrency());
+    document.body.classList.add('printing-delegation');
+    window.print();
+}
+
+window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-delegation');
+});
+
+// Members are graded from the same list as the traveller
+window.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('delegationMemberGrade').innerHTML = document.getElementById('grade').innerHTML;
+});
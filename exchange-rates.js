@@ -0,0 +1,192 @@
+// Exchange rates: a table of rates from US$ to the currencies allowances are paid in, each with the
+// date and source of the rate. A trip can be paid in one of them; results, the day-by-day breakdown
+// and the claim form then show the converted amount next to the US$ amount
+
+// localStorage key for the exchange-rate table kept in the Rate Tables card
+const exchangeRatesStorageKey = 'tsCalculator.exchangeRates';
+
+// Rate the open trip was saved at ({ currency, rate, rateDate, source }), or null to use the table's rate.
+// A saved trip keeps being paid at it when the table changes, until it is re-rated or its currency changed
+let tripExchangeRate = null;
+
+// Exchange-rate table: [{ currency, rate, rateDate, source }] sorted by currency, where currency is an
+// ISO 4217 code, rate is units of the currency per US$1 and rateDate is yyyy-mm-dd
+function loadExchangeRates() {
+    try {
+        return JSON.parse(localStorage.getItem(exchangeRatesStorageKey) || '[]');
+    } catch (error) {
+        // Unreadable storage: amounts are shown in US$ only
+        return [];
+    }
+}
+
+function saveExchangeRates(exchangeRates) {
+    try {
+        localStorage.setItem(exchangeRatesStorageKey, JSON.stringify(exchangeRates));
+    } catch (error) {
+        // Storage unavailable: the table is left as it was
+    }
+}
+
+function getExchangeRate(currency) {
+    return loadExchangeRates().find(exchangeRate => exchangeRate.currency === currency) || null;
+}
+
+// A rate as saved with a trip or in a claim file, or null when it is missing or malformed
+function normaliseExchangeRate(exchangeRate) {
+    if (!exchangeRate || typeof exchangeRate.currency !== 'string' || typeof exchangeRate.rate !== 'number' ||
+        typeof exchangeRate.rateDate !== 'string' || typeof exchangeRate.source !== 'string') {
+        return null;
+    }
+    return { currency: exchangeRate.currency, rate: exchangeRate.rate, rateDate: exchangeRate.rateDate, source: exchangeRate.source };
+}
+
+// Exchange rate of the currency the trip is paid in, or null when it is paid in US$
+// The rate saved with the trip (see tripExchangeRate) comes before the table's
+function getPaymentCurrency() {
+    const select = document.getElementById('paymentCurrency');
+    if (!select.value || select.value === 'USD') return null;
+    return tripExchangeRate && tripExchangeRate.currency === select.value ? tripExchangeRate : getExchangeRate(select.value);
+}
+
+// Whether the trip is paid at a saved rate other than the table's current one for its currency
+function isTripRateOutdated() {
+    const paymentCurrency = getPaymentCurrency();
+    return Boolean(paymentCurrency && paymentCurrency === tripExchangeRate &&
+        JSON.stringify(getExchangeRate(paymentCurrency.currency)) !== JSON.stringify(paymentCurrency));
+}
+
+// An amount in a currency with thousands separators, e.g. "ZAR 5,616.00"
+function formatCurrencyAmount(amount, currency) {
+    return `${currency} ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// A US$ amount with the amount in the payment currency beside it, e.g. "US$312.00 (ZAR 5,616.00)"
+function formatPaymentAmount(amount, exchangeRate = getPaymentCurrency()) {
+    const usd = `US$${amount.toFixed(2)}`;
+    return exchangeRate ? `${usd} (${formatCurrencyAmount(amount * exchangeRate.rate, exchangeRate.currency)})` : usd;
+}
+
+// The rate used, e.g. "US$1 = ZAR 18.2500, rate of 15/10/2026 (Reserve Bank)"
+function describeExchangeRate(exchangeRate) {
+    return `US$1 = ${exchangeRate.currency} ${exchangeRate.rate.toFixed(4)}, rate of ` +
+        `${formatLocalDateTime(parseScheduleDate(exchangeRate.rateDate)).slice(0, 10)} (${exchangeRate.source})`;
+}
+
+// Fill the payment currency list from the exchange-rate table, keeping the selection when it is still there
+// The open trip's saved currency stays listed after it is removed from the table
+function renderPaymentCurrencyOptions() {
+    const select = document.getElementById('paymentCurrency');
+    const selected = select.value;
+    const exchangeRates = loadExchangeRates();
+    if (tripExchangeRate && !exchangeRates.some(exchangeRate => exchangeRate.currency === tripExchangeRate.currency)) {
+        exchangeRates.push(tripExchangeRate);
+        exchangeRates.sort((a, b) => a.currency.localeCompare(b.currency));
+    }
+    select.innerHTML = '<option value="USD">US$ only</option>' + exchangeRates
+        .map(exchangeRate => `<option value="${escapeHtml(exchangeRate.currency)}">${escapeHtml(exchangeRate.currency)} (and US$)</option>`)
+        .join('');
+    select.value = select.querySelector(`option[value="${selected}"]`) ? selected : 'USD';
+}
+
+// Show the results again in the newly chosen payment currency
+function updatePaymentCurrency() {
+    if (calculatedTrip) renderResults(calculatedTrip);
+}
+
+// Pay the trip in the currency chosen in the form, at the table's rate
+function changePaymentCurrency() {
+    tripExchangeRate = null;
+    renderPaymentCurrencyOptions();
+    updatePaymentCurrency();
+}
+
+// Pay the trip at the table's current rate for its currency instead of the rate it was saved at
+// (in US$ when the currency has since been removed from the table), and save it at that rate
+function reRateTrip() {
+    tripExchangeRate = null;
+    renderPaymentCurrencyOptions();
+    updatePaymentCurrency();
+    saveCurrentTrip();
+}
+
+// List the exchange-rate table in the Rate Tables card
+function renderExchangeRates() {
+    const list = document.getElementById('exchangeRateList');
+    if (!list) return;
+    const exchangeRates = loadExchangeRates();
+    if (exchangeRates.length === 0) {
+        list.innerHTML = '<p class="muted">No exchange rates yet. Amounts are shown in US$ only.</p>';
+        return;
+    }
+    list.innerHTML = `
+        <table class="data-table exchange-rates">
+            <thead>
+                <tr><th>Currency</th><th class="number">Per US$1</th><th>Rate Date</th><th>Source</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${exchangeRates.map(exchangeRate => `
+                <tr>
+                    <td>${escapeHtml(exchangeRate.currency)}</td>
+                    <td class="number">${exchangeRate.rate.toFixed(4)}</td>
+                    <td>${formatLocalDateTime(parseScheduleDate(exchangeRate.rateDate)).slice(0, 10)}</td>
+                    <td>${escapeHtml(exchangeRate.source)}</td>
+                    <td><button type="button" class="btn-link" onclick="removeExchangeRate('${exchangeRate.currency}')">Remove</button></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Add the rate entered in the Rate Tables card, replacing the currency's previous rate
+function saveExchangeRate() {
+    const currencyInput = document.getElementById('exchangeRateCurrency');
+    const rateInput = document.getElementById('exchangeRateValue');
+    const dateInput = document.getElementById('exchangeRateDate');
+    const sourceInput = document.getElementById('exchangeRateSource');
+    [currencyInput, rateInput, dateInput, sourceInput].forEach(clearFieldMessage);
+
+    const currency = currencyInput.value.trim().toUpperCase();
+    const rate = parseFloat(rateInput.value);
+    const source = sourceInput.value.trim();
+    let valid = true;
+    if (!/^[A-Z]{3}$/.test(currency) || currency === 'USD') {
+        showFieldMessage(currencyInput, 'Enter a three-letter currency code other than USD (e.g. ZAR)', 'error');
+        valid = false;
+    }
+    if (isNaN(rate) || rate <= 0) {
+        showFieldMessage(rateInput, 'Enter how many units of the currency buy US$1', 'error');
+        valid = false;
+    }
+    if (!dateInput.value) {
+        showFieldMessage(dateInput, 'Enter the date of the rate', 'error');
+        valid = false;
+    }
+    if (!source) {
+        showFieldMessage(sourceInput, 'Enter where the rate comes from (e.g. Reserve Bank of Zimbabwe)', 'error');
+        valid = false;
+    }
+    if (!valid) return;
+
+    const exchangeRates = loadExchangeRates().filter(exchangeRate => exchangeRate.currency !== currency);
+    exchangeRates.push({ currency, rate, rateDate: dateInput.value, source });
+    exchangeRates.sort((a, b) => a.currency.localeCompare(b.currency));
+    saveExchangeRates(exchangeRates);
+    [currencyInput, rateInput, dateInput, sourceInput].forEach(input => input.value = '');
+
+    renderExchangeRates();
+    renderPaymentCurrencyOptions();
+    updatePaymentCurrency();
+}
+
+function removeExchangeRate(currency) {
+    saveExchangeRates(loadExchangeRates().filter(exchangeRate => exchangeRate.currency !== currency));
+    renderExchangeRates();
+    renderPaymentCurrencyOptions();
+    updatePaymentCurrency();
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+    renderPaymentCurrencyOptions();
+    renderExchangeRates();
+});
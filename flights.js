@@ -0,0 +1,451 @@
+// Offline flight data for suggesting arrival times and checking leg durations
+// Durations are scheduled block times in hours; pairs not listed are estimated from great-circle distance
+
+// Main international airport city for each country, with its coordinates (degrees)
+const countryGateways = {
+    'Afghanistan': { city: 'Kabul', lat: 34.57, lon: 69.21 },
+    'Albania': { city: 'Tirana', lat: 41.41, lon: 19.72 },
+    'Algeria': { city: 'Algiers', lat: 36.69, lon: 3.22 },
+    'Andorra': { city: 'Andorra la Vella', lat: 42.51, lon: 1.52 },
+    'Angola': { city: 'Luanda', lat: -8.86, lon: 13.23 },
+    'Anguilla': { city: 'The Valley', lat: 18.2, lon: -63.06 },
+    'Antigua and Barbuda': { city: 'St John\'s', lat: 17.14, lon: -61.79 },
+    'Argentina': { city: 'Buenos Aires', lat: -34.82, lon: -58.54 },
+    'Armenia': { city: 'Yerevan', lat: 40.15, lon: 44.4 },
+    'Aruba': { city: 'Oranjestad', lat: 12.5, lon: -70.02 },
+    'Australia': { city: 'Sydney', lat: -33.95, lon: 151.18 },
+    'Austria': { city: 'Vienna', lat: 48.11, lon: 16.57 },
+    'Azerbaijan': { city: 'Baku', lat: 40.47, lon: 50.05 },
+    'Bahamas': { city: 'Nassau', lat: 25.04, lon: -77.47 },
+    'Bahrain': { city: 'Manama', lat: 26.27, lon: 50.63 },
+    'Bangladesh': { city: 'Dhaka', lat: 23.84, lon: 90.4 },
+    'Barbados': { city: 'Bridgetown', lat: 13.07, lon: -59.49 },
+    'Belarus': { city: 'Minsk', lat: 53.88, lon: 28.03 },
+    'Belgium': { city: 'Brussels', lat: 50.9, lon: 4.48 },
+    'Belize': { city: 'Belize City', lat: 17.54, lon: -88.31 },
+    'Benin': { city: 'Cotonou', lat: 6.36, lon: 2.38 },
+    'Bhutan': { city: 'Paro', lat: 27.4, lon: 89.43 },
+    'Bolivia': { city: 'La Paz', lat: -16.51, lon: -68.19 },
+    'Bosnia and Herzegovina': { city: 'Sarajevo', lat: 43.82, lon: 18.33 },
+    'Botswana': { city: 'Gaborone', lat: -24.56, lon: 25.92 },
+    'Brazil': { city: 'Sao Paulo', lat: -23.43, lon: -46.47 },
+    'British Virgin Islands': { city: 'Road Town', lat: 18.44, lon: -64.54 },
+    'Brunei': { city: 'Bandar Seri Begawan', lat: 4.94, lon: 114.93 },
+    'Bulgaria': { city: 'Sofia', lat: 42.7, lon: 23.41 },
+    'Burkina Faso': { city: 'Ouagadougou', lat: 12.35, lon: -1.51 },
+    'Burundi': { city: 'Bujumbura', lat: -3.32, lon: 29.32 },
+    'Cambodia': { city: 'Phnom Penh', lat: 11.55, lon: 104.84 },
+    'Cameroon': { city: 'Douala', lat: 4.01, lon: 9.72 },
+    'Canada': { city: 'Toronto', lat: 43.68, lon: -79.63 },
+    'Cape Verde': { city: 'Praia', lat: 14.94, lon: -23.49 },
+    'Cayman Islands': { city: 'George Town', lat: 19.29, lon: -81.36 },
+    'Central African Rep.': { city: 'Bangui', lat: 4.4, lon: 18.52 },
+    'Chad': { city: 'N\'Djamena', lat: 12.13, lon: 15.03 },
+    'Chile': { city: 'Santiago', lat: -33.39, lon: -70.79 },
+    'China': { city: 'Beijing', lat: 40.08, lon: 116.58 },
+    'China, Hong Kong': { city: 'Hong Kong', lat: 22.31, lon: 113.91 },
+    'China, Macau': { city: 'Macau', lat: 22.15, lon: 113.59 },
+    'Colombia': { city: 'Bogota', lat: 4.7, lon: -74.15 },
+    'Comoros': { city: 'Moroni', lat: -11.53, lon: 43.27 },
+    'Congo': { city: 'Brazzaville', lat: -4.25, lon: 15.25 },
+    'Congo, Dem. Rep.': { city: 'Kinshasa', lat: -4.39, lon: 15.44 },
+    'Costa Rica': { city: 'San Jose', lat: 9.99, lon: -84.2 },
+    'Cote d\'Ivoire': { city: 'Abidjan', lat: 5.26, lon: -3.93 },
+    'Croatia': { city: 'Zagreb', lat: 45.74, lon: 16.07 },
+    'Cuba': { city: 'Havana', lat: 22.99, lon: -82.41 },
+    'Curacao': { city: 'Willemstad', lat: 12.19, lon: -68.96 },
+    'Cyprus': { city: 'Larnaca', lat: 34.88, lon: 33.63 },
+    'Czech Republic': { city: 'Prague', lat: 50.1, lon: 14.26 },
+    'Denmark': { city: 'Copenhagen', lat: 55.62, lon: 12.65 },
+    'Djibouti': { city: 'Djibouti', lat: 11.55, lon: 43.16 },
+    'Dominica': { city: 'Roseau', lat: 15.55, lon: -61.3 },
+    'Dominican Republic': { city: 'Santo Domingo', lat: 18.43, lon: -69.67 },
+    'Ecuador': { city: 'Quito', lat: -0.13, lon: -78.36 },
+    'Egypt': { city: 'Cairo', lat: 30.12, lon: 31.41 },
+    'El Salvador': { city: 'San Salvador', lat: 13.44, lon: -89.06 },
+    'Equatorial Guinea': { city: 'Malabo', lat: 3.76, lon: 8.71 },
+    'Eritrea': { city: 'Asmara', lat: 15.29, lon: 38.91 },
+    'Estonia': { city: 'Tallinn', lat: 59.41, lon: 24.83 },
+    'Eswatini': { city: 'Manzini', lat: -26.36, lon: 31.72 },
+    'Ethiopia': { city: 'Addis Ababa', lat: 8.98, lon: 38.8 },
+    'Fiji': { city: 'Nadi', lat: -17.76, lon: 177.44 },
+    'Finland': { city: 'Helsinki', lat: 60.32, lon: 24.96 },
+    'France': { city: 'Paris', lat: 49.01, lon: 2.55 },
+    'Gabon': { city: 'Libreville', lat: 0.46, lon: 9.41 },
+    'Gambia': { city: 'Banjul', lat: 13.34, lon: -16.65 },
+    'Georgia': { city: 'Tbilisi', lat: 41.67, lon: 44.95 },
+    'Germany': { city: 'Frankfurt', lat: 50.03, lon: 8.56 },
+    'Ghana': { city: 'Accra', lat: 5.61, lon: -0.17 },
+    'Gibraltar': { city: 'Gibraltar', lat: 36.15, lon: -5.35 },
+    'Greece': { city: 'Athens', lat: 37.94, lon: 23.94 },
+    'Grenada': { city: 'St George\'s', lat: 12, lon: -61.79 },
+    'Guam': { city: 'Hagatna', lat: 13.48, lon: 144.8 },
+    'Guatemala': { city: 'Guatemala City', lat: 14.58, lon: -90.53 },
+    'Guinea': { city: 'Conakry', lat: 9.58, lon: -13.61 },
+    'Guinea Bissau': { city: 'Bissau', lat: 11.89, lon: -15.65 },
+    'Guyana': { city: 'Georgetown', lat: 6.5, lon: -58.25 },
+    'Haiti': { city: 'Port-au-Prince', lat: 18.58, lon: -72.29 },
+    'Honduras': { city: 'Tegucigalpa', lat: 14.06, lon: -87.22 },
+    'Hungary': { city: 'Budapest', lat: 47.44, lon: 19.26 },
+    'Iceland': { city: 'Reykjavik', lat: 63.99, lon: -22.62 },
+    'India': { city: 'New Delhi', lat: 28.56, lon: 77.1 },
+    'Indonesia': { city: 'Jakarta', lat: -6.13, lon: 106.66 },
+    'Iran': { city: 'Tehran', lat: 35.42, lon: 51.15 },
+    'Iraq': { city: 'Baghdad', lat: 33.26, lon: 44.23 },
+    'Ireland': { city: 'Dublin', lat: 53.42, lon: -6.27 },
+    'Israel': { city: 'Tel Aviv', lat: 32.01, lon: 34.89 },
+    'Italy': { city: 'Rome', lat: 41.8, lon: 12.25 },
+    'Jamaica': { city: 'Kingston', lat: 17.94, lon: -76.79 },
+    'Japan': { city: 'Tokyo', lat: 35.77, lon: 140.39 },
+    'Jerusalem': { city: 'Tel Aviv', lat: 32.01, lon: 34.89 },
+    'Jordan': { city: 'Amman', lat: 31.72, lon: 35.99 },
+    'Kazakhstan': { city: 'Astana', lat: 51.02, lon: 71.47 },
+    'Kenya': { city: 'Nairobi', lat: -1.32, lon: 36.93 },
+    'Kiribati': { city: 'Tarawa', lat: 1.38, lon: 173.15 },
+    'North Korea': { city: 'Pyongyang', lat: 39.22, lon: 125.67 },
+    'South Korea': { city: 'Seoul', lat: 37.46, lon: 126.44 },
+    'Kuwait': { city: 'Kuwait City', lat: 29.24, lon: 47.97 },
+    'Kyrgyzstan': { city: 'Bishkek', lat: 43.06, lon: 74.48 },
+    'Lao Peo': { city: 'Vientiane', lat: 17.99, lon: 102.56 },
+    'Latvia': { city: 'Riga', lat: 56.92, lon: 23.97 },
+    'Lebanon': { city: 'Beirut', lat: 33.82, lon: 35.49 },
+    'Lesotho': { city: 'Maseru', lat: -29.46, lon: 27.55 },
+    'Liberia': { city: 'Monrovia', lat: 6.23, lon: -10.36 },
+    'Libya': { city: 'Tripoli', lat: 32.66, lon: 13.16 },
+    'Lithuania': { city: 'Vilnius', lat: 54.63, lon: 25.29 },
+    'Luxembourg': { city: 'Luxembourg', lat: 49.63, lon: 6.21 },
+    'Madagascar': { city: 'Antananarivo', lat: -18.8, lon: 47.48 },
+    'Malawi': { city: 'Lilongwe', lat: -13.79, lon: 33.78 },
+    'Malaysia': { city: 'Kuala Lumpur', lat: 2.75, lon: 101.71 },
+    'Maldives': { city: 'Male', lat: 4.19, lon: 73.53 },
+    'Mali': { city: 'Bamako', lat: 12.53, lon: -7.95 },
+    'Malta': { city: 'Valletta', lat: 35.86, lon: 14.48 },
+    'Marshall Islands': { city: 'Majuro', lat: 7.06, lon: 171.27 },
+    'Mauritania': { city: 'Nouakchott', lat: 18.31, lon: -15.97 },
+    'Mauritius': { city: 'Port Louis', lat: -20.43, lon: 57.68 },
+    'Mexico': { city: 'Mexico City', lat: 19.44, lon: -99.07 },
+    'Micronesia': { city: 'Pohnpei', lat: 6.98, lon: 158.21 },
+    'Moldova': { city: 'Chisinau', lat: 46.93, lon: 28.93 },
+    'Monaco': { city: 'Nice', lat: 43.66, lon: 7.22 },
+    'Mongolia': { city: 'Ulaanbaatar', lat: 47.65, lon: 106.82 },
+    'Montenegro': { city: 'Podgorica', lat: 42.36, lon: 19.25 },
+    'Morocco': { city: 'Casablanca', lat: 33.37, lon: -7.59 },
+    'Mozambique': { city: 'Maputo', lat: -25.92, lon: 32.57 },
+    'Myanmar': { city: 'Yangon', lat: 16.91, lon: 96.13 },
+    'Namibia': { city: 'Windhoek', lat: -22.48, lon: 17.47 },
+    'Nauru': { city: 'Yaren', lat: -0.55, lon: 166.92 },
+    'Nepal': { city: 'Kathmandu', lat: 27.7, lon: 85.36 },
+    'Netherlands': { city: 'Amsterdam', lat: 52.31, lon: 4.76 },
+    'New Zealand': { city: 'Auckland', lat: -37.01, lon: 174.79 },
+    'Nicaragua': { city: 'Managua', lat: 12.14, lon: -86.17 },
+    'Niger': { city: 'Niamey', lat: 13.48, lon: 2.18 },
+    'Nigeria': { city: 'Abuja', lat: 9.01, lon: 7.26 },
+    'Niue': { city: 'Alofi', lat: -19.08, lon: -169.93 },
+    'Norway': { city: 'Oslo', lat: 60.19, lon: 11.1 },
+    'Oman': { city: 'Muscat', lat: 23.59, lon: 58.28 },
+    'Pakistan': { city: 'Islamabad', lat: 33.55, lon: 72.83 },
+    'Palau': { city: 'Koror', lat: 7.37, lon: 134.54 },
+    'Palestine': { city: 'Ramallah', lat: 31.9, lon: 35.2 },
+    'Panama': { city: 'Panama City', lat: 9.07, lon: -79.38 },
+    'Papua New Guinea': { city: 'Port Moresby', lat: -9.44, lon: 147.22 },
+    'Paraguay': { city: 'Asuncion', lat: -25.24, lon: -57.52 },
+    'Peru': { city: 'Lima', lat: -12.02, lon: -77.11 },
+    'Philippines': { city: 'Manila', lat: 14.51, lon: 121.02 },
+    'Poland': { city: 'Warsaw', lat: 52.17, lon: 20.97 },
+    'Portugal': { city: 'Lisbon', lat: 38.77, lon: -9.13 },
+    'Qatar': { city: 'Doha', lat: 25.27, lon: 51.61 },
+    'Romania': { city: 'Bucharest', lat: 44.57, lon: 26.08 },
+    'Russian Federation': { city: 'Moscow', lat: 55.97, lon: 37.41 },
+    'Rwanda': { city: 'Kigali', lat: -1.97, lon: 30.14 },
+    'Saint Maarteen': { city: 'Philipsburg', lat: 18.04, lon: -63.11 },
+    'Saint Lucia': { city: 'Castries', lat: 13.73, lon: -60.95 },
+    'Saint Kitts and Nevis': { city: 'Basseterre', lat: 17.31, lon: -62.72 },
+    'Saint Vincent-Grenadines': { city: 'Kingstown', lat: 13.14, lon: -61.21 },
+    'Samoa': { city: 'Apia', lat: -13.83, lon: -172.01 },
+    'San Marino': { city: 'San Marino', lat: 43.94, lon: 12.46 },
+    'Sao Tome and Principe': { city: 'Sao Tome', lat: 0.38, lon: 6.71 },
+    'Saudi Arabia': { city: 'Riyadh', lat: 24.96, lon: 46.7 },
+    'Senegal': { city: 'Dakar', lat: 14.67, lon: -17.07 },
+    'Serbia': { city: 'Belgrade', lat: 44.82, lon: 20.31 },
+    'Seychelles': { city: 'Victoria', lat: -4.67, lon: 55.52 },
+    'Sierra Leone': { city: 'Freetown', lat: 8.62, lon: -13.2 },
+    'Singapore': { city: 'Singapore', lat: 1.36, lon: 103.99 },
+    'Slovak Republic': { city: 'Bratislava', lat: 48.17, lon: 17.21 },
+    'Slovenia': { city: 'Ljubljana', lat: 46.22, lon: 14.46 },
+    'Solomon Islands': { city: 'Honiara', lat: -9.43, lon: 160.05 },
+    'Somalia': { city: 'Mogadishu', lat: 2.01, lon: 45.3 },
+    'South Africa': { city: 'Johannesburg', lat: -26.14, lon: 28.25 },
+    'South Sudan': { city: 'Juba', lat: 4.87, lon: 31.6 },
+    'Spain': { city: 'Madrid', lat: 40.47, lon: -3.57 },
+    'Sri Lanka': { city: 'Colombo', lat: 7.18, lon: 79.88 },
+    'Sudan': { city: 'Khartoum', lat: 15.59, lon: 32.55 },
+    'Suriname': { city: 'Paramaribo', lat: 5.45, lon: -55.19 },
+    'Sweden': { city: 'Stockholm', lat: 59.65, lon: 17.92 },
+    'Switzerland': { city: 'Zurich', lat: 47.46, lon: 8.55 },
+    'Syrian Arabic Republic': { city: 'Damascus', lat: 33.41, lon: 36.52 },
+    'Taiwan': { city: 'Taipei', lat: 25.08, lon: 121.23 },
+    'Tajikistan': { city: 'Dushanbe', lat: 38.54, lon: 68.82 },
+    'Tanzania': { city: 'Dar es Salaam', lat: -6.88, lon: 39.2 },
+    'Thailand': { city: 'Bangkok', lat: 13.69, lon: 100.75 },
+    'The Republic of North Macedonia': { city: 'Skopje', lat: 41.96, lon: 21.62 },
+    'Timor-Leste': { city: 'Dili', lat: -8.55, lon: 125.52 },
+    'Togo': { city: 'Lome', lat: 6.17, lon: 1.25 },
+    'Tokelau': { city: 'Fakaofo', lat: -9.38, lon: -171.25 },
+    'Trinidad and Tobago': { city: 'Port of Spain', lat: 10.6, lon: -61.34 },
+    'Tunisia': { city: 'Tunis', lat: 36.85, lon: 10.23 },
+    'Turkey': { city: 'Istanbul', lat: 41.26, lon: 28.74 },
+    'Turkmenistan': { city: 'Ashgabat', lat: 37.99, lon: 58.36 },
+    'Turks and Caicos Islands': { city: 'Providenciales', lat: 21.77, lon: -72.27 },
+    'Tuvalu': { city: 'Funafuti', lat: -8.53, lon: 179.2 },
+    'Uganda': { city: 'Entebbe', lat: 0.04, lon: 32.44 },
+    'Ukraine': { city: 'Kyiv', lat: 50.35, lon: 30.89 },
+    'United Arab Emirates': { city: 'Dubai', lat: 25.25, lon: 55.36 },
+    'United Kingdom': { city: 'London', lat: 51.47, lon: -0.45 },
+    'Uruguay': { city: 'Montevideo', lat: -34.84, lon: -56.03 },
+    'USA': { city: 'New York', lat: 40.64, lon: -73.78 },
+    'Uzbekistan': { city: 'Tashkent', lat: 41.26, lon: 69.28 },
+    'Vanuatu': { city: 'Port Vila', lat: -17.7, lon: 168.32 },
+    'Virgin Islands': { city: 'Charlotte Amalie', lat: 18.34, lon: -64.97 },
+    'Vietnam': { city: 'Hanoi', lat: 21.22, lon: 105.81 },
+    'Western Sahara': { city: 'Laayoune', lat: 27.15, lon: -13.22 },
+    'Yemen': { city: 'Sanaa', lat: 15.48, lon: 44.22 },
+    'Zambia': { city: 'Lusaka', lat: -15.33, lon: 28.45 },
+    'Zimbabwe': { city: 'Harare', lat: -17.93, lon: 31.09 }
+};
+
+// Coordinates of other cities with their own rates (see cityRates in script.js)
+const cityCoordinates = {
+    'Geneva': { lat: 46.24, lon: 6.11 },
+    'Washington DC': { lat: 38.95, lon: -77.46 }
+};
+
+// Scheduled flight durations (hours) between cities
+// A pair is looked up in the direction flown first, so list both directions only where they differ
+const flightDurations = {
+    // Europe and North Atlantic
+    'London-New York': 8, 'New York-London': 7,
+    'London-Paris': 1.5,
+    'London-Frankfurt': 2,
+    'London-Madrid': 2.5,
+    'London-Rome': 2.5,
+    'London-Amsterdam': 1.5,
+    'London-Brussels': 1.5,
+    'London-Geneva': 1.75,
+    'London-Washington DC': 8.5, 'Washington DC-London': 7.25,
+    'London-Toronto': 8.5, 'Toronto-London': 7,
+    'London-Moscow': 3.75,
+    'London-Istanbul': 4,
+    'London-New Delhi': 9, 'New Delhi-London': 10,
+    'London-Beijing': 10.5, 'Beijing-London': 11.5,
+    'London-Hong Kong': 12.5, 'Hong Kong-London': 13.5,
+    'London-Singapore': 13.25,
+    'New York-Paris': 9,
+    'New York-Frankfurt': 9.5,
+    'New York-Madrid': 9,
+    'New York-Rome': 10,
+    'New York-Amsterdam': 8.5,
+    'New York-Brussels': 8.5,
+    'New York-Geneva': 7.75, 'Geneva-New York': 9,
+    'New York-Washington DC': 1.25,
+    'Washington DC-Frankfurt': 8, 'Frankfurt-Washington DC': 9,
+    'Paris-Frankfurt': 1.5,
+    'Paris-Madrid': 2,
+    'Paris-Rome': 1.5,
+    'Paris-Amsterdam': 1.5,
+    'Paris-Brussels': 1,
+    'Paris-Geneva': 1.25,
+    'Frankfurt-Madrid': 2.5,
+    'Frankfurt-Rome': 1.5,
+    'Frankfurt-Amsterdam': 1.5,
+    'Frankfurt-Brussels': 1.5,
+    'Frankfurt-Geneva': 1.25,
+    'Frankfurt-Beijing': 9.5,
+    'Madrid-Rome': 2,
+    'Madrid-Amsterdam': 2.5,
+    'Madrid-Brussels': 2,
+    'Rome-Amsterdam': 2,
+    'Rome-Brussels': 2,
+    'Amsterdam-Brussels': 0.5,
+    'Amsterdam-Geneva': 1.5,
+    'Brussels-Geneva': 1.25,
+    'Zurich-Geneva': 1,
+    'Istanbul-Geneva': 3.25,
+
+    // Southern and East Africa
+    'Harare-Johannesburg': 2,
+    'Harare-London': 10,
+    'Harare-Lusaka': 1,
+    'Harare-Lilongwe': 1.25,
+    'Harare-Maputo': 1.5,
+    'Harare-Gaborone': 1.5,
+    'Harare-Windhoek': 2.5,
+    'Harare-Dar es Salaam': 2.5,
+    'Harare-Nairobi': 3.25,
+    'Harare-Addis Ababa': 4.5,
+    'Harare-Dubai': 7.5,
+    'Harare-Cape Town': 2.5,
+    'Harare-Bulawayo': 1,
+    'Harare-Victoria Falls': 1.25,
+    'Johannesburg-Cape Town': 2.25,
+    'Johannesburg-Durban': 1.25,
+    'Johannesburg-Victoria Falls': 1.75,
+    'Johannesburg-Bulawayo': 1.5,
+    'Johannesburg-Livingstone': 1.75,
+    'Cape Town-London': 11.75, 'London-Cape Town': 11.5,
+    'Nairobi-Mombasa': 1,
+    'Nairobi-Kilimanjaro': 1,
+    'Nairobi-Zanzibar': 1.5,
+    'Dar es Salaam-Zanzibar': 0.5,
+    'Johannesburg-London': 11,
+    'Johannesburg-New York': 15, 'New York-Johannesburg': 16,
+    'Johannesburg-Washington DC': 17.5,
+    'Johannesburg-Lusaka': 2,
+    'Johannesburg-Lilongwe': 2.25,
+    'Johannesburg-Maputo': 1.25,
+    'Johannesburg-Gaborone': 1,
+    'Johannesburg-Windhoek': 2,
+    'Johannesburg-Manzini': 1,
+    'Johannesburg-Maseru': 1,
+    'Johannesburg-Dar es Salaam': 3.25,
+    'Johannesburg-Nairobi': 4,
+    'Johannesburg-Kigali': 3.75,
+    'Johannesburg-Entebbe': 3.75,
+    'Johannesburg-Luanda': 3,
+    'Johannesburg-Kinshasa': 4,
+    'Johannesburg-Antananarivo': 3.25,
+    'Johannesburg-Port Louis': 4,
+    'Johannesburg-Addis Ababa': 5.75,
+    'Johannesburg-Abuja': 6,
+    'Johannesburg-Accra': 6.5,
+    'Johannesburg-Cairo': 8,
+    'Johannesburg-Dubai': 8, 'Dubai-Johannesburg': 8.25,
+    'Johannesburg-Doha': 8.25,
+    'Johannesburg-Istanbul': 10,
+    'Johannesburg-Frankfurt': 10.75,
+    'Johannesburg-Paris': 11,
+    'Johannesburg-Amsterdam': 11,
+    'Johannesburg-Zurich': 10.5,
+    'Johannesburg-Singapore': 10.75,
+    'Johannesburg-Sydney': 11.5, 'Sydney-Johannesburg': 14,
+    'Johannesburg-Hong Kong': 13, 'Hong Kong-Johannesburg': 13.5,
+    'Nairobi-London': 9,
+    'Nairobi-Addis Ababa': 2,
+    'Nairobi-Kigali': 1.5,
+    'Nairobi-Entebbe': 1.25,
+    'Nairobi-Dar es Salaam': 1.25,
+    'Nairobi-Mogadishu': 2,
+    'Nairobi-Juba': 1.75,
+    'Nairobi-Kinshasa': 3.5,
+    'Nairobi-Cairo': 4.5,
+    'Nairobi-Abuja': 5.5,
+    'Nairobi-Accra': 6,
+    'Nairobi-Dubai': 5,
+    'Nairobi-Doha': 5.5,
+    'Nairobi-Amsterdam': 8.75,
+    'Nairobi-Bangkok': 9,
+    'Nairobi-New York': 15, 'New York-Nairobi': 14.25,
+    'Addis Ababa-London': 7, 'London-Addis Ababa': 8,
+    'Addis Ababa-Djibouti': 1.25,
+    'Addis Ababa-Khartoum': 2,
+    'Addis Ababa-Entebbe': 2,
+    'Addis Ababa-Juba': 2.25,
+    'Addis Ababa-Kigali': 2.75,
+    'Addis Ababa-Cairo': 3.5,
+    'Addis Ababa-Kinshasa': 5,
+    'Addis Ababa-Abuja': 5,
+    'Addis Ababa-Accra': 5.5,
+    'Addis Ababa-Dubai': 3.75,
+    'Addis Ababa-New Delhi': 6,
+    'Addis Ababa-Rome': 6.25,
+    'Addis Ababa-Frankfurt': 7.5,
+    'Addis Ababa-Paris': 7.5,
+    'Addis Ababa-Brussels': 8,
+    'Addis Ababa-Geneva': 7,
+    'Addis Ababa-Beijing': 11, 'Beijing-Addis Ababa': 12,
+    'Addis Ababa-New York': 15.5, 'New York-Addis Ababa': 13.5,
+    'Addis Ababa-Washington DC': 16.5, 'Washington DC-Addis Ababa': 15,
+
+    // Gulf hubs
+    'Dubai-London': 7.5, 'London-Dubai': 7,
+    'Dubai-Paris': 7.5,
+    'Dubai-Frankfurt': 6.75,
+    'Dubai-Geneva': 6.5,
+    'Dubai-Istanbul': 5,
+    'Dubai-Moscow': 5.5,
+    'Dubai-Cairo': 4,
+    'Dubai-Doha': 1.25,
+    'Dubai-Riyadh': 2,
+    'Dubai-Islamabad': 3.25,
+    'Dubai-New Delhi': 3.5,
+    'Dubai-Bangkok': 6.25,
+    'Dubai-Kuala Lumpur': 7,
+    'Dubai-Singapore': 7.5,
+    'Dubai-Beijing': 8,
+    'Dubai-Hong Kong': 8,
+    'Dubai-Tokyo': 9.75,
+    'Dubai-Sydney': 14, 'Sydney-Dubai': 15,
+    'Dubai-New York': 14, 'New York-Dubai': 12.5,
+    'Dubai-Washington DC': 14, 'Washington DC-Dubai': 12.75,
+    'Doha-London': 7, 'London-Doha': 6.5,
+    'Doha-Paris': 7,
+    'Doha-Geneva': 6.25,
+    'Doha-New York': 14, 'New York-Doha': 12.5,
+    'Doha-Washington DC': 14, 'Washington DC-Doha': 12.75
+};
+
+// Average block speed (km/h) and fixed taxi, climb and approach time (hours) for distance estimates
+const flightCruiseSpeedKmh = 800;
+const flightOverheadHours = 0.5;
+
+// City a location flies from, with its coordinates: the selected city (or an airport's city, see airports.js),
+// else the country's gateway
+function getFlightCity(country, city) {
+    if (city && cityCoordinates[city]) {
+        return Object.assign({ city }, cityCoordinates[city]);
+    }
+    if (city) {
+        const gateway = Object.values(countryGateways).find(candidate => candidate.city === city);
+        if (gateway) return gateway;
+        const airport = Object.values(airports).find(candidate => candidate.city === city && candidate.country === country);
+        if (airport) return { city, lat: airport.lat, lon: airport.lon };
+    }
+    return countryGateways[country] || null;
+}
+
+// Great-circle distance between two { lat, lon } points in km
+function greatCircleDistanceKm(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Expected flight duration between two locations (countries, or cities within them)
+// Returns { hours, basis: 'schedule' | 'distance', fromCity, toCity, distanceKm }, or null for an unknown location
+function estimateFlightDuration(fromCountry, toCountry, fromCity = null, toCity = null) {
+    const origin = getFlightCity(fromCountry, fromCity);
+    const destination = getFlightCity(toCountry, toCity);
+    if (!origin || !destination) return null;
+
+    const estimate = {
+        hours: 0,
+        basis: 'schedule',
+        fromCity: origin.city,
+        toCity: destination.city,
+        distanceKm: greatCircleDistanceKm(origin, destination)
+    };
+    if (origin.city === destination.city) {
+        return estimate;
+    }
+
+    const scheduled = flightDurations[`${origin.city}-${destination.city}`] || flightDurations[`${destination.city}-${origin.city}`];
+    if (scheduled) {
+        estimate.hours = scheduled;
+    } else {
+        estimate.hours = flightOverheadHours + estimate.distanceKm / flightCruiseSpeedKmh;
+        estimate.basis = 'distance';
+    }
+    return estimate;
+}
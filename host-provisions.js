@@ -0,0 +1,177 @@
+// Host provisions: meals and accommodation paid for by the host (a conference, a host government) on a
+// day of the trip. They are ticked on the day cards; the matching allowance is not paid for that day,
+// Other Expenses shrinks with it, and each deduction carries its reason to the totals and the claim
+
+// Components the host can provide
+const hostProvisionLabels = {
+    breakfast: 'Breakfast',
+    lunch: 'Lunch',
+    dinner: 'Dinner',
+    accommodation: 'Accommodation'
+};
+
+// What the host provides on each day of the trip in the form: { 'yyyy-mm-dd': { components: ['lunch', ...], note } }
+// note says who provided it (e.g. "AU summit conference package"); read into the trip spec by readTripSpec()
+let tripProvisions = {};
+
+// The reason a deduction was made, e.g. "Lunch provided by host (AU summit package)"
+function describeHostProvision(label, note) {
+    return `${label} provided by host${note ? ` (${note})` : ''}`;
+}
+
+// What the host provided on a date, or null
+function getHostProvision(provisions, date) {
+    return provisions[formatDateTime(date).slice(0, 10)] || null;
+}
+
+/**
+ * Take what the host provided off the amounts priced for one date in the trip totals (see computeTrip)
+ * A provided component is not paid; Other Expenses is reduced in the same proportion as the meals and
+ * accommodation, so a day with everything provided has none
+ * @param {Object} amounts - Amounts paid for the date by component ({ breakfast, lunch, dinner, accommodation, other };
+ *   missing components are not paid), updated in place
+ * @param {Date} date - Date the amounts are paid for
+ * @param {string} country - Country they are paid in
+ * @param {Object} provisions - What the host provided (see tripProvisions)
+ * @param {Object} counts - Meals or nights in each component's amount, when more than one
+ * @returns {Array} - Deductions: [{ date, country, component, amount, count, reason }], date at midnight
+ */
+function deductHostProvisions(amounts, date, country, provisions, counts = {}) {
+    const provision = getHostProvision(provisions, date);
+    if (!provision) return [];
+
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    const deductions = [];
+    const paid = () => Object.keys(hostProvisionLabels).reduce((sum, component) => sum + (amounts[component] || 0), 0);
+    const paidBefore = paid();
+    Object.keys(hostProvisionLabels).forEach(component => {
+        if (!provision.components.includes(component) || !amounts[component]) return;
+        deductions.push({ date: day, country, component, amount: amounts[component], count: counts[component] || 1, reason: describeHostProvision(hostProvisionLabels[component], provision.note) });
+        amounts[component] = 0;
+    });
+    const paidAfter = paid();
+    if (amounts.other && paidBefore > 0 && paidAfter < paidBefore) {
+        const reduction = amounts.other * (1 - paidAfter / paidBefore);
+        deductions.push({ date: day, country, component: 'other', amount: reduction, count: 0, reason: 'Other expenses reduced in proportion to the meals and accommodation provided' });
+        amounts.other -= reduction;
+    }
+    return deductions;
+}
+
+/**
+ * Mark what the host provided on the day-by-day rows, whose amounts already have it taken off (see computeTrip)
+ * @param {Array} days - Day rows from computeDayByDay(), updated in place (allowances marked provided or reduced, and
+ *   deductions: the trip's deductions for the day)
+ * @param {Array} deductions - The trip's deductions, numbered by their day (see deductHostProvisions)
+ */
+function applyHostProvisions(days, deductions) {
+    days.forEach(dayRow => {
+        dayRow.deductions = deductions.filter(deduction => deduction.dayNumber === dayRow.dayNumber);
+        dayRow.deductions.forEach(deduction => {
+            const allowance = dayRow.allowances[deduction.component];
+            if (deduction.component === 'other') {
+                allowance.reduced = true;
+            } else {
+                allowance.provided = true;
+            }
+        });
+    });
+}
+
+// Check provisions read from a saved trip or claim file; returns them in the stored shape
+function normaliseProvisions(provisions) {
+    const normalised = {};
+    Object.keys(provisions || {}).forEach(date => {
+        const provision = provisions[date];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !provision || !Array.isArray(provision.components)) return;
+        const components = provision.components.filter(component => hostProvisionLabels[component]);
+        const note = typeof provision.note === 'string' ? provision.note.trim() : '';
+        if (components.length > 0 || note) normalised[date] = { components, note };
+    });
+    return normalised;
+}
+
+// The deductions for a component: { amount, count }
+function getHostDeduction(trip, component) {
+    return trip.deductions
+        .filter(deduction => deduction.component === component)
+        .reduce((total, deduction) => ({ amount: total.amount + deduction.amount, count: total.count + deduction.count }), { amount: 0, count: 0 });
+}
+
+// What was taken off a component's count in the DSA breakdown, e.g. ", 2 meals provided by host"
+function describeComponentDeduction(trip, component, unit) {
+    const count = getHostDeduction(trip, component).count;
+    return count ? `, ${count} ${count === 1 ? unit.replace(/s$/, '') : unit} provided by host` : '';
+}
+
+// The "provided by host" tick boxes on a day card, for the components the day is paid
+function renderDayProvisions(dayRow) {
+    const date = formatDateTime(dayRow.date).slice(0, 10);
+    const components = Object.keys(hostProvisionLabels).filter(component => dayRow.allowances[component].eligible);
+    if (components.length === 0) return '';
+    const provision = tripProvisions[date] || { components: [], note: '' };
+    return `
+        <div class="day-provisions">
+            <span class="provision-label">Provided by host:</span>
+            ${components.map(component => `
+            <label><input type="checkbox" ${provision.components.includes(component) ? 'checked' : ''}
+                onchange="toggleHostProvision('${date}', '${component}', this.checked)"> ${hostProvisionLabels[component]}</label>`).join('')}
+            <input type="text" class="provision-note" value="${escapeHtml(provision.note)}" placeholder="Provided by (e.g. conference organisers)"
+                onchange="setHostProvisionNote('${date}', this.value)">
+        </div>`;
+}
+
+// List the deductions for what the host provided under the DSA breakdown
+function renderHostDeductions(trip) {
+    const container = document.getElementById('hostDeductions');
+    if (trip.deductions.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    const total = trip.deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+    container.innerHTML = `
+        <h3>Provided by Host</h3>
+        <table class="data-table host-deductions">
+            <thead>
+                <tr><th>Day</th><th>Deducted</th><th class="number">Amount</th><th>Reason</th></tr>
+            </thead>
+            <tbody>
+                ${trip.deductions.map(deduction => `
+                <tr>
+                    <td>Day ${deduction.dayNumber} (${formatLocalDateTime(deduction.date).slice(0, 10)})</td>
+                    <td>${escapeHtml(adjustmentComponentLabels[deduction.component])}</td>
+                    <td class="number">−${formatPaymentAmount(deduction.amount)}</td>
+                    <td>${escapeHtml(deduction.reason)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr><td colspan="2"><strong>Total deducted</strong></td><td class="number"><strong>−${formatPaymentAmount(total)}</strong></td><td></td></tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+function toggleHostProvision(date, component, provided) {
+    const provision = tripProvisions[date] || { components: [], note: '' };
+    provision.components = provision.components.filter(candidate => candidate !== component);
+    if (provided) provision.components.push(component);
+    if (provision.components.length > 0 || provision.note) {
+        tripProvisions[date] = provision;
+    } else {
+        delete tripProvisions[date];
+    }
+    recalculateResults();
+}
+
+// The note can be typed before or after the boxes are ticked
+function setHostProvisionNote(date, note) {
+    const provision = tripProvisions[date] || { components: [], note: '' };
+    provision.note = note.trim();
+    if (provision.components.length > 0 || provision.note) {
+        tripProvisions[date] = provision;
+    } else {
+        delete tripProvisions[date];
+    }
+    recalculateResults();
+}
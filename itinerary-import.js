@@ -0,0 +1,408 @@
+// Itinerary import: read flight segments from pasted e-ticket or travel agent text, or from an
+// iCalendar (.ics) file, show them for review and replace the form's itinerary with them
+
+// Itinerary parsed by the last preview, waiting to be applied
+let pendingItineraryImport = null;
+
+const importMonthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Flight numbers (airline designator and number, e.g. SA 023, EK713, 5Z 1234), blanked out before reading times
+const flightNumberPattern = /\b(?:[A-Z]{2}|[A-Z]\d|\d[A-Z])\s?\d{1,4}[A-Z]?\b(?![:.]\d)/g;
+
+// Known airport codes in a line: upper-case three-letter words in the airport list, in order
+// (a code repeated straight after itself, as in "HRE Harare (HRE)", counts once)
+function findAirportCodes(text) {
+    return (text.match(/\b[A-Z]{3}\b/g) || [])
+        .filter(code => airports[code])
+        .filter((code, index, codes) => code !== codes[index - 1]);
+}
+
+// Dates written in a line: [{ index, length, day, month (0-11), year (null when not given) }] in line order
+// Accepts 2026-11-02, 02/11/2026 and 02.11.2026 (day first), 02NOV, 02 Nov 2026, 2 November 26 and Nov 2, 2026
+function findDates(text) {
+    const monthIndex = (name) => importMonthNames.indexOf(name.slice(0, 3).toLowerCase());
+    const fullYear = (year) => year.length === 2 ? 2000 + Number(year) : Number(year);
+    const patterns = [
+        { regex: /(\d{4})-(\d{2})-(\d{2})/g, read: match => [Number(match[3]), Number(match[2]) - 1, Number(match[1])] },
+        { regex: /\b(\d{1,2})[./](\d{1,2})[./](\d{4})\b/g, read: match => [Number(match[1]), Number(match[2]) - 1, Number(match[3])] },
+        {
+            regex: /\b(\d{1,2})[ -]?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:[ -]?(20\d{2}|\d{2}(?![\d:.])))?/gi,
+            read: match => [Number(match[1]), monthIndex(match[2]), match[3] ? fullYear(match[3]) : null]
+        },
+        {
+            regex: /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})\b/gi,
+            read: match => [Number(match[2]), monthIndex(match[1]), Number(match[3])]
+        }
+    ];
+
+    const dates = [];
+    patterns.forEach(({ regex, read }) => {
+        for (const match of text.matchAll(regex)) {
+            const [day, month, year] = read(match);
+            const overlaps = dates.some(date => match.index < date.index + date.length && date.index < match.index + match[0].length);
+            if (overlaps || day < 1 || day > 31 || month < 0 || month > 11) continue;
+            dates.push({ index: match.index, length: match[0].length, day, month, year });
+        }
+    });
+    return dates.sort((a, b) => a.index - b.index);
+}
+
+// Times of day in a line (with dates and flight numbers blanked out): [{ index, hours, minutes }]
+// Accepts 08:00, 8.00, 08h00, 0800, 8:00 PM and 8pm
+function findTimes(text) {
+    const times = [];
+    for (const match of text.matchAll(/(?<![\w:./+])(\d{1,2})(?:[:.h](\d{2})|(\d{2}))?(?![\d:])(?:\s*([ap])\.?m\b\.?)?/gi)) {
+        const minutesText = match[2] || match[3];
+        const meridiem = match[4] ? match[4].toLowerCase() : null;
+        if (!minutesText && !meridiem) continue;
+
+        let hours = Number(match[1]);
+        const minutes = minutesText ? Number(minutesText) : 0;
+        if (meridiem) {
+            if (hours < 1 || hours > 12) continue;
+            hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) continue;
+        times.push({ index: match.index, hours, minutes });
+    }
+    return times;
+}
+
+// Airports, dates and times in one line of itinerary text; nextDay is set by a "+1" arrival marker
+function readLineFacts(line) {
+    const dates = findDates(line);
+    let rest = line;
+    dates.forEach(date => {
+        rest = rest.slice(0, date.index) + ' '.repeat(date.length) + rest.slice(date.index + date.length);
+    });
+    rest = rest.replace(flightNumberPattern, match => ' '.repeat(match.length));
+    const nextDay = /\+\s?1\b/.test(rest);
+    rest = rest.replace(/\+\s?\d\b/g, match => ' '.repeat(match.length));
+    return { airports: findAirportCodes(line), dates, times: findTimes(rest), nextDay };
+}
+
+// A date without a year is taken as its first occurrence on or after notBefore
+function resolveImportDate(date, time, notBefore) {
+    if (date.year !== null) {
+        return new Date(date.year, date.month, date.day, time.hours, time.minutes);
+    }
+    const startOfDay = new Date(notBefore.getFullYear(), notBefore.getMonth(), notBefore.getDate());
+    let year = notBefore.getFullYear();
+    if (new Date(year, date.month, date.day) < startOfDay) year++;
+    return new Date(year, date.month, date.day, time.hours, time.minutes);
+}
+
+// Build a leg from the facts gathered for one flight; null if they don't make one
+// The departure date is the last date before the departure time (else the first date); the arrival date is a
+// date written between the two times, else the departure date (moved a day on for "+1" or an overnight flight)
+function buildImportLeg(facts, notBefore) {
+    const [fromCode, toCode] = facts.airports;
+    if (fromCode === toCode) return null;
+
+    const [departureTime, arrivalTime] = facts.times;
+    const before = facts.dates.filter(date => date.order < departureTime.order);
+    const between = facts.dates.filter(date => date.order > departureTime.order && date.order < arrivalTime.order);
+    const departureDay = before.length > 0 ? before[before.length - 1] : facts.dates[0];
+    const arrivalDay = between.length > 0 ? between[between.length - 1] : null;
+
+    const departureDate = resolveImportDate(departureDay, departureTime, notBefore);
+    const arrivalDate = resolveImportDate(arrivalDay || departureDay, arrivalTime, departureDate);
+    const leg = {
+        from: getAirport(fromCode).country,
+        fromAirport: fromCode,
+        to: getAirport(toCode).country,
+        toAirport: toCode,
+        departureDate,
+        arrivalDate
+    };
+
+    if (!arrivalDay) {
+        const [normalised] = normaliseTripLegs([leg]);
+        if (facts.nextDay || normalised.arrivalInstant <= normalised.departureInstant) {
+            arrivalDate.setDate(arrivalDate.getDate() + 1);
+        }
+    }
+    return leg;
+}
+
+// Parse pasted itinerary text. A flight needs two airport codes, a date and two times (departure, then arrival),
+// on one line or over consecutive lines (e.g. a date line, a route line and a times line)
+// Returns { legs, lines } where each line is { number, text, status: 'leg' | 'unparsed' | 'ignored', legIndex }:
+// 'unparsed' lines mention airports or times but didn't make a complete flight
+function parseItineraryText(text, referenceDate = new Date()) {
+    const lines = text.split(/\r?\n/).map((line, index) => ({ number: index + 1, text: line, status: 'ignored', legIndex: null }));
+    const legs = [];
+    // Dates without a year are taken as upcoming, allowing for a claim prepared a few months after the trip
+    let notBefore = new Date(referenceDate.getTime() - 120 * 24 * 60 * 60 * 1000);
+    let pending = null;
+    let order = 0;
+
+    const flush = () => {
+        const flightLike = pending.airports.length > 0 || pending.times.length > 0;
+        pending.lines.forEach(line => { line.status = flightLike ? 'unparsed' : 'ignored'; });
+        pending = null;
+    };
+
+    lines.forEach(line => {
+        const facts = readLineFacts(line.text);
+        const complete = facts.airports.length === 2 && facts.dates.length > 0 && facts.times.length === 2;
+        if (facts.airports.length === 0 && facts.dates.length === 0 && !(pending && facts.times.length > 0)) return;
+
+        // A line holding a whole flight stands alone; otherwise facts gather until a flight is complete
+        if (pending && (complete || pending.airports.length + facts.airports.length > 2 || pending.times.length + facts.times.length > 2)) {
+            flush();
+        }
+        if (!pending) {
+            pending = { airports: [], dates: [], times: [], nextDay: false, lines: [] };
+        }
+        // Dates and times are numbered in reading order so they can be matched up across lines
+        facts.dates.concat(facts.times).sort((a, b) => a.index - b.index).forEach(fact => { fact.order = order++; });
+        pending.airports.push(...facts.airports);
+        pending.dates.push(...facts.dates);
+        pending.times.push(...facts.times);
+        pending.nextDay = pending.nextDay || facts.nextDay;
+        pending.lines.push(line);
+
+        if (pending.airports.length === 2 && pending.dates.length > 0 && pending.times.length === 2) {
+            const leg = buildImportLeg(pending, notBefore);
+            if (!leg) {
+                flush();
+                return;
+            }
+            leg.lineNumbers = pending.lines.map(pendingLine => pendingLine.number);
+            pending.lines.forEach(pendingLine => {
+                pendingLine.status = 'leg';
+                pendingLine.legIndex = legs.length;
+            });
+            legs.push(leg);
+            notBefore = leg.departureDate;
+            pending = null;
+        }
+    });
+    if (pending) flush();
+
+    return { legs, lines };
+}
+
+// Unfold an iCalendar file and read each VEVENT's properties: { NAME: { params, value } }
+function readIcsEvents(text) {
+    const unescapeText = (value) => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+    const events = [];
+    let current = null;
+
+    text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach(line => {
+        if (/^BEGIN:VEVENT\s*$/i.test(line)) {
+            current = {};
+        } else if (/^END:VEVENT\s*$/i.test(line)) {
+            if (current) events.push(current);
+            current = null;
+        } else if (current) {
+            const match = line.match(/^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+            if (!match) return;
+            const params = {};
+            match[2].split(';').slice(1).forEach(param => {
+                const [name, value = ''] = param.split('=');
+                params[name.toUpperCase()] = value.replace(/^"|"$/g, '');
+            });
+            current[match[1].toUpperCase()] = { params, value: unescapeText(match[3]) };
+        }
+    });
+    return events;
+}
+
+// The instant (UTC ms) of an iCalendar date-time property, or null for a date without a time
+// UTC (Z) and known TZID times are converted; floating times and unknown TZIDs are taken as local at fallbackZone
+function readIcsInstant(property, fallbackZone) {
+    const match = property && property.value.trim().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?(Z)?$/i);
+    if (!match) return null;
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(part => Number(part || 0));
+    if (match[7]) {
+        return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    }
+    const zone = timeZones[property.params.TZID] ? property.params.TZID : fallbackZone;
+    return zonedTimeToUtc(new Date(year, month - 1, day, hours, minutes, seconds), zone);
+}
+
+// Parse an iCalendar file with one event per flight: the airports come from the event's summary
+// (else its location and description) and the local times from its start and end at those airports
+// Returns { legs, lines } like parseItineraryText, with one line per event
+function parseItineraryIcs(text) {
+    const events = readIcsEvents(text).map((event, index) => {
+        const summary = event.SUMMARY ? event.SUMMARY.value : '';
+        const details = [summary, event.LOCATION ? event.LOCATION.value : '', event.DESCRIPTION ? event.DESCRIPTION.value : ''].join(' ');
+        const summaryCodes = findAirportCodes(summary);
+        const codes = summaryCodes.length >= 2 ? summaryCodes : findAirportCodes(details);
+        const from = getAirport(codes[0]);
+        const to = getAirport(codes[1]);
+        const departureInstant = from ? readIcsInstant(event.DTSTART, from.zone) : null;
+        const arrivalInstant = to ? readIcsInstant(event.DTEND, to.zone) : null;
+        return {
+            // Events that mention no airport (hotel bookings, meetings) aren't flights
+            line: { number: index + 1, text: summary || `Event ${index + 1}`, status: codes.length > 0 ? 'unparsed' : 'ignored', legIndex: null },
+            leg: from && to && from.code !== to.code && departureInstant !== null && arrivalInstant !== null ? {
+                from: from.country,
+                fromAirport: from.code,
+                to: to.country,
+                toAirport: to.code,
+                departureDate: utcToZonedTime(departureInstant, from.zone),
+                arrivalDate: utcToZonedTime(arrivalInstant, to.zone),
+                departureInstant
+            } : null
+        };
+    });
+
+    // Calendar events needn't be in order; legs are listed by departure
+    const legs = events.filter(event => event.leg)
+        .sort((a, b) => a.leg.departureInstant - b.leg.departureInstant)
+        .map((event, legIndex) => {
+            event.line.status = 'leg';
+            event.line.legIndex = legIndex;
+            const leg = event.leg;
+            delete leg.departureInstant;
+            leg.lineNumbers = [event.line.number];
+            return leg;
+        });
+    return { legs, lines: events.map(event => event.line) };
+}
+
+// Mark parsed legs as outbound or return: the return starts after the longest stop between two legs
+function assignImportDirections(legs) {
+    const normalised = normaliseTripLegs(legs);
+    let returnStart = legs.length;
+    let longestStop = -Infinity;
+    for (let i = 1; i < normalised.length; i++) {
+        const stop = normalised[i].departureInstant - normalised[i - 1].arrivalInstant;
+        if (stop > longestStop) {
+            longestStop = stop;
+            returnStart = i;
+        }
+    }
+    legs.forEach((leg, index) => {
+        leg.direction = index < returnStart ? 'outbound' : 'return';
+    });
+}
+
+// Parse pasted text or a file's content, as iCalendar if it is one
+function parseItinerary(text, referenceDate = new Date()) {
+    const parsed = /BEGIN:VCALENDAR/i.test(text) ? parseItineraryIcs(text) : parseItineraryText(text, referenceDate);
+    assignImportDirections(parsed.legs);
+    return parsed;
+}
+
+// Show or hide the itinerary import panel
+function toggleItineraryImport() {
+    const panel = document.getElementById('itineraryImport');
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+}
+
+// Render the parsed legs for review, with the source lines that weren't understood highlighted
+function renderItineraryImportPreview(parsed) {
+    const preview = document.getElementById('itineraryImportPreview');
+    const applyButton = document.getElementById('itineraryImportApply');
+    const unparsedCount = parsed.lines.filter(line => line.status === 'unparsed').length;
+    const endpoint = (code) => escapeHtml(formatAirport(getAirport(code)));
+
+    const linesList = `
+        <h4>Source${unparsedCount > 0 ? ` (${unparsedCount} line${unparsedCount > 1 ? 's' : ''} not understood)` : ''}</h4>
+        <ol class="import-lines">
+            ${parsed.lines.filter(line => line.text.trim()).map(line => `
+            <li value="${line.number}" class="import-line ${line.status}"${line.status === 'unparsed' ? ' title="Not understood: check this flight and enter it by hand"' : ''}>
+                ${line.legIndex !== null ? `<span class="import-leg-tag">Leg ${line.legIndex + 1}</span>` : ''}${escapeHtml(line.text)}
+            </li>`).join('')}
+        </ol>
+    `;
+
+    if (parsed.legs.length === 0) {
+        preview.innerHTML = `
+            <div class="error-box">
+                <strong>No flights found.</strong> Each flight needs its two airport codes (e.g. HRE JNB), a date and the
+                departure and arrival times.
+            </div>
+            ${linesList}
+        `;
+        applyButton.disabled = true;
+        return;
+    }
+
+    preview.innerHTML = `
+        <p>${parsed.legs.length} flight${parsed.legs.length > 1 ? 's' : ''} found. Check them and the direction of each leg;
+            applying replaces the routes in the form.</p>
+        <table class="data-table">
+            <thead>
+                <tr><th>Leg</th><th>Direction</th><th>From</th><th>Departs (local)</th><th>To</th><th>Arrives (local)</th></tr>
+            </thead>
+            <tbody>
+                ${parsed.legs.map((leg, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>
+                        <select id="itineraryImportDirection-${index}">
+                            <option value="outbound"${leg.direction === 'outbound' ? ' selected' : ''}>Outbound</option>
+                            <option value="return"${leg.direction === 'return' ? ' selected' : ''}>Return</option>
+                        </select>
+                    </td>
+                    <td>${endpoint(leg.fromAirport)}</td>
+                    <td>${formatLocalDateTime(leg.departureDate)}</td>
+                    <td>${endpoint(leg.toAirport)}</td>
+                    <td>${formatLocalDateTime(leg.arrivalDate)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ${linesList}
+    `;
+    applyButton.disabled = false;
+}
+
+// Parse the pasted (or loaded) itinerary and preview it
+function previewItineraryImport() {
+    const text = document.getElementById('itineraryImportText').value;
+    pendingItineraryImport = null;
+    document.getElementById('itineraryImportApply').disabled = true;
+
+    if (!text.trim()) {
+        document.getElementById('itineraryImportPreview').innerHTML = `
+            <div class="error-box">Paste the itinerary text, or choose an .ics or text file</div>
+        `;
+        return;
+    }
+
+    const parsed = parseItinerary(text);
+    renderItineraryImportPreview(parsed);
+    if (parsed.legs.length > 0) {
+        pendingItineraryImport = parsed;
+    }
+}
+
+// Load a chosen or dropped file into the text box and preview it
+function loadItineraryImportFile(file) {
+    if (!file) return;
+    readFileAsText(file).then(text => {
+        document.getElementById('itineraryImportText').value = text;
+        previewItineraryImport();
+    }).catch(error => {
+        document.getElementById('itineraryImportPreview').innerHTML = `
+            <div class="error-box">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</div>
+        `;
+    });
+}
+
+function dropItineraryImportFile(event) {
+    event.preventDefault();
+    loadItineraryImportFile(event.dataTransfer.files[0]);
+}
+
+// Replace the form's itinerary with the previewed legs, in the directions chosen in the review
+function applyItineraryImport() {
+    if (!pendingItineraryImport) return;
+
+    const legs = pendingItineraryImport.legs.map((leg, index) => Object.assign({}, leg, {
+        direction: document.getElementById(`itineraryImportDirection-${index}`).value
+    }));
+    fillItinerary(legs);
+
+    pendingItineraryImport = null;
+    document.getElementById('itineraryImportApply').disabled = true;
+    document.getElementById('itineraryImportPreview').innerHTML = `
+        <div class="success-box">${legs.length} leg${legs.length > 1 ? 's' : ''} imported into the form. Check the routes, then calculate.</div>
+    `;
+}
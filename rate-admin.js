@@ -0,0 +1,487 @@
+// Rate table administration: import rate sheets (CSV/JSON) as new rate schedules, preview the
+// changes against the schedule they replace, and export any schedule back to CSV/JSON
+
+// Columns of a rate sheet, in export order
+const rateSheetColumns = ['country', 'full_day', 'breakfast', 'lunch', 'dinner', 'accommodation'];
+
+// localStorage key for schedules imported through the admin screen
+const rateSchedulesStorageKey = 'tsCalculator.rateSchedules';
+
+// Rate sheet parsed by the last preview, waiting to be applied
+let pendingRateImport = null;
+
+// Validate rate sheet records ({ country, full_day, ... } with string or number values)
+// Returns { rates, errors } where rates is keyed by country like a schedule's countryRates
+function validateRateRecords(records) {
+    const rates = {};
+    const errors = [];
+
+    records.forEach((record, index) => {
+        const rowLabel = `Row ${index + 1}`;
+        const unknown = Object.keys(record).filter(column => !rateSheetColumns.includes(column));
+        if (unknown.length > 0) {
+            errors.push(`${rowLabel}: unknown column${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+            return;
+        }
+
+        const country = String(record.country === undefined ? '' : record.country).trim();
+        if (!country) {
+            errors.push(`${rowLabel}: country is missing`);
+            return;
+        }
+        if (rates[country]) {
+            errors.push(`${rowLabel}: duplicate country ${country}`);
+            return;
+        }
+
+        const entry = {};
+        let rowValid = true;
+        rateSheetColumns.slice(1).forEach(column => {
+            const raw = record[column];
+            const value = typeof raw === 'number' ? raw : parseFloat(String(raw === undefined ? '' : raw).trim());
+            if (raw === undefined || String(raw).trim() === '' || isNaN(value)) {
+                errors.push(`${rowLabel} (${country}): ${column} is missing or not a number`);
+                rowValid = false;
+            } else if (value < 0) {
+                errors.push(`${rowLabel} (${country}): ${column} cannot be negative`);
+                rowValid = false;
+            } else {
+                entry[column] = value;
+            }
+        });
+
+        if (rowValid) {
+            rates[country] = entry;
+        }
+    });
+
+    if (records.length === 0) {
+        errors.push('The rate sheet has no rows');
+    }
+
+    return { rates, errors };
+}
+
+// Parse a CSV rate sheet (header row naming the columns) into records
+function parseRateSheetCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return { records: [], errors: ['The file is empty'] };
+    }
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const unknown = header.filter(column => !rateSheetColumns.includes(column));
+    const missing = rateSheetColumns.filter(column => !header.includes(column));
+    const errors = [];
+    if (unknown.length > 0) errors.push(`Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    if (missing.length > 0) errors.push(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    if (errors.length > 0) return { records: [], errors };
+
+    const records = rows.slice(1).map(cells => {
+        const record = {};
+        header.forEach((column, index) => {
+            record[column] = cells[index];
+        });
+        return record;
+    });
+    return { records, errors };
+}
+
+// Parse a JSON rate sheet into records
+// Accepts an array of { country, ... } rows, a countryRates-style object, or an exported schedule
+function parseRateSheetJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { records: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    const table = data && !Array.isArray(data) && data.countryRates ? data.countryRates : data;
+    if (Array.isArray(table)) {
+        return { records: table, errors: [] };
+    }
+    if (table && typeof table === 'object') {
+        return { records: Object.keys(table).map(country => Object.assign({ country }, table[country])), errors: [] };
+    }
+    return { records: [], errors: ['Expected an array of rows or an object keyed by country'] };
+}
+
+// Parse and validate a rate sheet file; the format is taken from the file name, then the content
+function parseRateSheet(text, fileName) {
+    const isJson = /\.json$/i.test(fileName || '') || /^\s*[\[{]/.test(text);
+    const parsed = isJson ? parseRateSheetJson(text) : parseRateSheetCsv(text);
+    if (parsed.errors.length > 0) {
+        return { rates: {}, errors: parsed.errors };
+    }
+    return validateRateRecords(parsed.records);
+}
+
+// Compare two countryRates tables
+// Returns { added, removed, changed } where changed rows list each field's old and new value
+function diffRateTables(oldRates, newRates) {
+    const diff = { added: [], removed: [], changed: [] };
+
+    Object.keys(newRates).sort().forEach(country => {
+        if (!oldRates[country]) {
+            diff.added.push({ country, rates: newRates[country] });
+            return;
+        }
+        const changes = rateSheetColumns.slice(1)
+            .filter(column => oldRates[country][column] !== newRates[country][column])
+            .map(column => ({ column, oldValue: oldRates[country][column], newValue: newRates[country][column] }));
+        if (changes.length > 0) {
+            diff.changed.push({ country, changes });
+        }
+    });
+
+    Object.keys(oldRates).sort().forEach(country => {
+        if (!newRates[country]) {
+            diff.removed.push({ country, rates: oldRates[country] });
+        }
+    });
+
+    return diff;
+}
+
+// Countries whose zero rate is intentional (travel within Zimbabwe attracts no foreign DSA)
+const intentionalZeroRateCountries = ['Zimbabwe'];
+
+// Component columns checked against the dsaComponents split
+const rateComponentColumns = ['breakfast', 'lunch', 'dinner', 'accommodation'];
+
+// Amount a component should be for a full-day rate under the dsaComponents split
+function expectedComponentRate(fullDay, component) {
+    return Math.round(fullDay * dsaComponents[component]) / 100;
+}
+
+// Check every country's rates for missing or zero values and for components that don't
+// follow the dsaComponents split the engine prices with
+// Returns [{ country, problems: [message], normalisable }]
+function checkRateTableIntegrity(countryRates) {
+    const findings = [];
+    const isRate = (value) => typeof value === 'number' && !isNaN(value);
+
+    Object.keys(countryRates).sort().forEach(country => {
+        const rates = countryRates[country] || {};
+        const problems = [];
+        const zeroAllowed = intentionalZeroRateCountries.includes(country);
+
+        if (!isRate(rates.full_day)) {
+            problems.push('full_day rate is missing');
+        } else if (rates.full_day <= 0 && !zeroAllowed) {
+            problems.push('full_day rate is zero');
+        }
+
+        rateComponentColumns.forEach(column => {
+            if (!isRate(rates[column])) {
+                problems.push(`${column} rate is missing`);
+            } else if (isRate(rates.full_day)) {
+                const expected = expectedComponentRate(rates.full_day, column);
+                if (Math.abs(rates[column] - expected) > 0.005) {
+                    problems.push(`${column} is ${rates[column]}, expected ${expected} (${dsaComponents[column]}% of ${rates.full_day})`);
+                }
+            }
+        });
+
+        if (isRate(rates.full_day) && rateComponentColumns.every(column => isRate(rates[column]))) {
+            const componentsTotal = rateComponentColumns.reduce((sum, column) => sum + rates[column], 0);
+            if (componentsTotal > rates.full_day + 0.005) {
+                problems.push(`components add up to ${componentsTotal}, more than the full_day rate of ${rates.full_day}`);
+            }
+        }
+
+        if (problems.length > 0) {
+            findings.push({
+                country,
+                problems,
+                normalisable: isRate(rates.full_day) && (rates.full_day > 0 || zeroAllowed)
+            });
+        }
+    });
+
+    return findings;
+}
+
+// Copy of a countryRates table with every component recalculated from full_day
+function normaliseRateTable(countryRates) {
+    const normalised = {};
+    Object.keys(countryRates).forEach(country => {
+        const rates = countryRates[country];
+        normalised[country] = Object.assign({}, rates);
+        if (typeof rates.full_day === 'number' && !isNaN(rates.full_day)) {
+            rateComponentColumns.forEach(column => {
+                normalised[country][column] = expectedComponentRate(rates.full_day, column);
+            });
+        }
+    });
+    return normalised;
+}
+
+// Schedule an import with this effective-from date would be compared against:
+// the schedule it replaces (same date) or the one that would otherwise be in force
+function getScheduleReplacedBy(effectiveFrom) {
+    return rateSchedules.find(schedule => schedule.effectiveFrom === effectiveFrom)
+        || getRateSchedule(parseScheduleDate(effectiveFrom));
+}
+
+// Add a schedule, replacing any with the same effective-from date, and keep the list in date order
+function addRateSchedule(schedule) {
+    const existingIndex = rateSchedules.findIndex(candidate => candidate.effectiveFrom === schedule.effectiveFrom);
+    if (existingIndex >= 0) {
+        rateSchedules.splice(existingIndex, 1, schedule);
+    } else {
+        rateSchedules.push(schedule);
+    }
+    rateSchedules.sort((a, b) => parseScheduleDate(a.effectiveFrom) - parseScheduleDate(b.effectiveFrom));
+}
+
+// Save imported schedules to the browser so they survive a reload
+function saveStoredRateSchedules() {
+    try {
+        const imported = rateSchedules.filter(schedule => schedule.imported);
+        localStorage.setItem(rateSchedulesStorageKey, JSON.stringify(imported));
+    } catch (error) {
+        // Storage unavailable: the schedules last until the page is reloaded
+    }
+}
+
+// Load schedules imported in earlier sessions
+function loadStoredRateSchedules() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(rateSchedulesStorageKey) || '[]');
+        stored.forEach(schedule => addRateSchedule(schedule));
+    } catch (error) {
+        // Unreadable storage: only the built-in schedules are used
+    }
+}
+
+// Export a schedule's country rates as CSV
+function rateTableToCsv(countryRates) {
+    const rows = [rateSheetColumns];
+    Object.keys(countryRates).sort().forEach(country => {
+        const rates = countryRates[country];
+        rows.push([country].concat(rateSheetColumns.slice(1).map(column => rates[column])));
+    });
+    return formatCsv(rows);
+}
+
+// Export a schedule as JSON (re-importable)
+function rateScheduleToJson(schedule) {
+    return JSON.stringify({
+        version: schedule.version,
+        effectiveFrom: schedule.effectiveFrom,
+        countryRates: schedule.countryRates
+    }, null, 2);
+}
+
+// Rebuild the location options of every route select, keeping current selections
+function refreshCountrySelects() {
+    const locationOptions = buildLocationOptions(getActiveRateSchedule());
+    document.querySelectorAll('.departure-select, .destination-select, .return-departure-select, .return-destination-select').forEach(select => {
+        const selected = select.value;
+        select.innerHTML = locationOptions;
+        select.value = selected;
+    });
+}
+
+// Fill the schedule list used for export
+function renderRateScheduleList() {
+    const select = document.getElementById('rateScheduleSelect');
+    if (!select) return;
+    const active = getActiveRateSchedule();
+    select.innerHTML = '';
+    rateSchedules.forEach((schedule, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${schedule.version} — effective ${schedule.effectiveFrom}${schedule === active ? ' (in force today)' : ''}`;
+        option.selected = schedule === active;
+        select.appendChild(option);
+    });
+}
+
+// Show or hide the rate table admin card
+function toggleRateAdmin() {
+    const card = document.getElementById('rateAdmin');
+    const show = card.style.display === 'none';
+    card.style.display = show ? 'block' : 'none';
+    if (show) {
+        renderRateScheduleList();
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// Export the schedule chosen in the admin card
+function exportRateSchedule(format) {
+    const schedule = rateSchedules[document.getElementById('rateScheduleSelect').value];
+    if (!schedule) return;
+    const baseName = `dsa-rates-${schedule.effectiveFrom}`;
+    if (format === 'csv') {
+        downloadFile(`${baseName}.csv`, rateTableToCsv(schedule.countryRates), 'text/csv');
+    } else {
+        downloadFile(`${baseName}.json`, rateScheduleToJson(schedule), 'application/json');
+    }
+}
+
+// Markup listing the added, removed and changed countries between two rate tables
+function renderRateDiff(oldRates, newRates) {
+    const diff = diffRateTables(oldRates, newRates);
+    const formatRates = (rates) => rateSheetColumns.slice(1).map(column => `${column} ${rates[column]}`).join(', ');
+    const section = (title, rows) => `
+        <h4>${title} (${rows.length})</h4>
+        ${rows.length > 0 ? `<table class="data-table"><tbody>${rows.join('')}</tbody></table>` : '<p class="muted">None</p>'}
+    `;
+
+    return `
+        ${section('Added countries', diff.added.map(row => `
+            <tr class="diff-added"><td>${escapeHtml(row.country)}</td><td>${formatRates(row.rates)}</td></tr>`))}
+        ${section('Removed countries', diff.removed.map(row => `
+            <tr class="diff-removed"><td>${escapeHtml(row.country)}</td><td>${formatRates(row.rates)}</td></tr>`))}
+        ${section('Changed countries', diff.changed.map(row => `
+            <tr class="diff-changed"><td>${escapeHtml(row.country)}</td><td>${row.changes
+                .map(change => `${change.column}: ${change.oldValue} → ${change.newValue}`).join('<br>')}</td></tr>`))}
+    `;
+}
+
+// Render the validation errors or the change preview for a parsed rate sheet
+function renderRateImportPreview(parsed, baseSchedule) {
+    const preview = document.getElementById('rateImportPreview');
+    const applyButton = document.getElementById('rateImportApply');
+
+    if (parsed.errors.length > 0) {
+        preview.innerHTML = `
+            <div class="error-box">
+                <strong>The rate sheet cannot be imported (${parsed.errors.length} problem${parsed.errors.length > 1 ? 's' : ''}):</strong>
+                <ul>${parsed.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+            </div>
+        `;
+        applyButton.disabled = true;
+        return;
+    }
+
+    const findings = checkRateTableIntegrity(parsed.rates);
+    preview.innerHTML = `
+        <p>Compared with <strong>${escapeHtml(baseSchedule.version)}</strong> (effective ${baseSchedule.effectiveFrom}):
+            ${Object.keys(parsed.rates).length} countries in the sheet.</p>
+        ${findings.length > 0 ? `
+            <div class="info-box">
+                <strong>Integrity warning:</strong> ${findings.length} countr${findings.length > 1 ? 'ies' : 'y'} in this sheet
+                ${findings.length > 1 ? 'have' : 'has'} zero/missing rates or components that don't follow the
+                ${rateComponentColumns.map(column => dsaComponents[column]).join('/')} split
+                (${findings.map(finding => escapeHtml(finding.country)).join(', ')}).
+                Run the integrity check after applying to review and normalise them.
+            </div>` : ''}
+        ${renderRateDiff(baseSchedule.countryRates, parsed.rates)}
+    `;
+    applyButton.disabled = false;
+}
+
+// Read the chosen rate sheet, validate it and preview the changes
+function previewRateImport() {
+    const fileInput = document.getElementById('rateImportFile');
+    const version = document.getElementById('rateImportVersion').value.trim();
+    const effectiveFrom = document.getElementById('rateImportEffectiveFrom').value;
+    const file = fileInput.files[0];
+    pendingRateImport = null;
+    document.getElementById('rateImportApply').disabled = true;
+
+    const setupErrors = [];
+    if (!file) setupErrors.push('Choose a CSV or JSON rate sheet');
+    if (!version) setupErrors.push('Enter the schedule version (e.g. the Treasury circular number)');
+    if (!effectiveFrom) setupErrors.push('Enter the date the rates take effect');
+    if (setupErrors.length > 0) {
+        renderRateImportPreview({ rates: {}, errors: setupErrors }, null);
+        return;
+    }
+
+    readFileAsText(file).then(text => {
+        const parsed = parseRateSheet(text, file.name);
+        const baseSchedule = getScheduleReplacedBy(effectiveFrom);
+        renderRateImportPreview(parsed, baseSchedule);
+        if (parsed.errors.length === 0) {
+            pendingRateImport = { version, effectiveFrom, rates: parsed.rates, baseSchedule };
+        }
+    }).catch(error => {
+        renderRateImportPreview({ rates: {}, errors: [`Could not read ${file.name}: ${error.message}`] }, null);
+    });
+}
+
+// Check the schedule chosen in the admin card and list its problems
+function checkSelectedRateSchedule() {
+    const schedule = rateSchedules[document.getElementById('rateScheduleSelect').value];
+    const results = document.getElementById('rateCheckResults');
+    if (!schedule) return;
+
+    const findings = checkRateTableIntegrity(schedule.countryRates);
+    if (findings.length === 0) {
+        results.innerHTML = `
+            <div class="success-box">All ${Object.keys(schedule.countryRates).length} countries in ${escapeHtml(schedule.version)}
+                have rates and follow the ${rateComponentColumns.map(column => dsaComponents[column]).join('/')} component split.</div>
+        `;
+        return;
+    }
+
+    const normalisable = findings.filter(finding => finding.normalisable);
+    results.innerHTML = `
+        <div class="error-box">
+            <strong>${findings.length} countr${findings.length > 1 ? 'ies' : 'y'} in ${escapeHtml(schedule.version)} ${findings.length > 1 ? 'need' : 'needs'} attention.</strong>
+            Components should be ${rateComponentColumns.map(column => `${column} ${dsaComponents[column]}%`).join(', ')} of the full_day rate
+            (the remaining ${dsaComponents.other}% is other expenses).
+        </div>
+        <table class="data-table">
+            <thead><tr><th>Country</th><th>Problems</th></tr></thead>
+            <tbody>${findings.map(finding => `
+                <tr><td>${escapeHtml(finding.country)}</td><td>${finding.problems.map(escapeHtml).join('<br>')}</td></tr>`).join('')}
+            </tbody>
+        </table>
+        ${normalisable.length > 0 ? `
+            <button type="button" class="btn-secondary" onclick="previewRateNormalisation()">
+                Normalise components for ${normalisable.length} countr${normalisable.length > 1 ? 'ies' : 'y'}
+            </button>` : ''}
+        ${normalisable.length < findings.length ? `
+            <p class="muted">Zero or missing full_day rates can't be normalised; correct them in the rate sheet and re-import it.</p>` : ''}
+    `;
+}
+
+// Preview the chosen schedule with its components recalculated from full_day; applying it
+// replaces the schedule for the same effective-from date
+function previewRateNormalisation() {
+    const schedule = rateSchedules[document.getElementById('rateScheduleSelect').value];
+    if (!schedule) return;
+
+    const rates = normaliseRateTable(schedule.countryRates);
+    pendingRateImport = { version: schedule.version, effectiveFrom: schedule.effectiveFrom, rates, baseSchedule: schedule };
+    document.getElementById('rateImportVersion').value = schedule.version;
+    document.getElementById('rateImportEffectiveFrom').value = schedule.effectiveFrom;
+    renderRateImportPreview({ rates, errors: [] }, schedule);
+    document.getElementById('rateImportPreview').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Apply the previewed rate sheet as a schedule
+function applyRateImport() {
+    if (!pendingRateImport) return;
+    const { version, effectiveFrom, rates, baseSchedule } = pendingRateImport;
+
+    addRateSchedule({
+        version,
+        effectiveFrom,
+        countryRates: rates,
+        cityRates: JSON.parse(JSON.stringify(baseSchedule.cityRates || {})),
+        gradeMultipliers: Object.assign({}, baseSchedule.gradeMultipliers),
+        representationPercentages: Object.assign({}, baseSchedule.representationPercentages),
+        imported: true
+    });
+    saveStoredRateSchedules();
+    refreshCountrySelects();
+    renderRateScheduleList();
+
+    pendingRateImport = null;
+    document.getElementById('rateImportApply').disabled = true;
+    document.getElementById('rateCheckResults').innerHTML = '';
+    document.getElementById('rateImportPreview').innerHTML = `
+        <div class="success-box">${escapeHtml(version)} applied from ${effectiveFrom}.</div>
+    `;
+}
+
+// Schedules imported earlier are needed before the form is populated
+loadStoredRateSchedules();
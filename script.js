@@ -285,279 +285,259 @@ function calculateAllowance(arrival_country, departure_country, arrival_time, de
   return result;
 }
 
-// Country DSA rates (in US$) - meal-based structure
-// Structure: { full_day_rate, breakfast_rate, lunch_rate, dinner_rate, accommodation_rate }
-const countryRates = {
-    'Afghanistan': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Albania': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Algeria': { full_day: 370, breakfast: 37, lunch: 55.5, dinner: 55.5, accommodation: 185 },
-    'Andorra': { full_day: 200, breakfast: 20, lunch: 30, dinner: 30, accommodation: 100 },
-    'Angola': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
-    'Anguilla': { full_day: 530, breakfast: 53, lunch: 79.5, dinner: 79.5, accommodation: 265 },
-    'Antigua and Barbuda': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
-    'Argentina': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Armenia': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Aruba': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
-    'Australia': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
-    'Austria': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Azerbaijan': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
-    'Bahamas': { full_day: 450, breakfast: 45, lunch: 67.5, dinner: 67.5, accommodation: 225 },
-    'Bahrain': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
-    'Bangladesh': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Barbados': { full_day: 560, breakfast: 56, lunch: 84, dinner: 84, accommodation: 280 },
-    'Belarus': { full_day: 230, breakfast: 23, lunch: 34.5, dinner: 34.5, accommodation: 115 },
-    'Belgium': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
-    'Belize': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
-    'Benin': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Bhutan': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Bolivia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Bosnia and Herzegovina': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Botswana': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Brazil': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'British Virgin Islands': { full_day: 370, breakfast: 37, lunch: 55.5, dinner: 55.5, accommodation: 185 },
-    'Brunei': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Bulgaria': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Burkina Faso': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Burundi': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Cambodia': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Cameroon': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Canada': { full_day: 380, breakfast: 38, lunch: 57, dinner: 57, accommodation: 190 },
-    'Cape Verde': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Cayman Islands': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
-    'Central African Rep.': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Chad': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Chile': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
-    'China': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'China, Hong Kong': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'China, Macau': { full_day: 200, breakfast: 20, lunch: 30, dinner: 30, accommodation: 100 },
-    'Colombia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Comoros': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Congo': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
-    'Congo, Dem. Rep.': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Costa Rica': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Cote d\'Ivoire': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Croatia': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Cuba': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Curacao': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Cyprus': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Czech Republic': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Denmark': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
-    'Djibouti': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Dominica': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
-    'Dominican Republic': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Ecuador': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Egypt': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'El Salvador': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Equatorial Guinea': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Eritrea': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Estonia': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Eswatini': { full_day: 180, breakfast: 18, lunch: 27, dinner: 27, accommodation: 90 },
-    'Ethiopia': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Fiji': { full_day: 370, breakfast: 37, lunch: 55.5, dinner: 55.5, accommodation: 185 },
-    'Finland': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'France': { full_day: 380, breakfast: 38, lunch: 57, dinner: 57, accommodation: 190 },
-    'Gabon': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
-    'Gambia': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Georgia': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Germany': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'Ghana': { full_day: 410, breakfast: 41, lunch: 61.5, dinner: 61.5, accommodation: 205 },
-    'Gibraltar': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Greece': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Grenada': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Guam': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Guatemala': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Guinea': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Guinea Bissau': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Guyana': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Haiti': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Honduras': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Hungary': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Iceland': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'India': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'Indonesia': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Iran': { full_day: 230, breakfast: 23, lunch: 34.5, dinner: 34.5, accommodation: 115 },
-    'Iraq': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Ireland': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
-    'Israel': { full_day: 400, breakfast: 40, lunch: 60, dinner: 60, accommodation: 200 },
-    'Italy': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
-    'Jamaica': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
-    'Japan': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Jerusalem': { full_day: 430, breakfast: 43, lunch: 64.5, dinner: 64.5, accommodation: 215 },
-    'Jordan': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
-    'Kazakhstan': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Kenya': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Kiribati': { full_day: 140, breakfast: 14, lunch: 21, dinner: 21, accommodation: 70 },
-    'North Korea': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'South Korea': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
-    'Kuwait': { full_day: 510, breakfast: 51, lunch: 76.5, dinner: 76.5, accommodation: 255 },
-    'Kyrgyzstan': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Lao Peo': { full_day: 210, breakfast: 21, lunch: 31.5, dinner: 31.5, accommodation: 105 },
-    'Latvia': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Lebanon': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
-    'Lesotho': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Liberia': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Libya': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Lithuania': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Luxembourg': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Madagascar': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
-    'Malawi': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Malaysia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Maldives': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
-    'Mali': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Malta': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Marshall Islands': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Mauritania': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'Mauritius': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Mexico': { full_day: 410, breakfast: 41, lunch: 61.5, dinner: 61.5, accommodation: 205 },
-    'Micronesia': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Moldova': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Monaco': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
-    'Mongolia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Montenegro': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Morocco': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
-    'Mozambique': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Myanmar': { full_day: 190, breakfast: 19, lunch: 28.5, dinner: 28.5, accommodation: 95 },
-    'Namibia': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Nauru': { full_day: 230, breakfast: 23, lunch: 34.5, dinner: 34.5, accommodation: 115 },
-    'Nepal': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Netherlands': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'New Zealand': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
-    'Nicaragua': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Niger': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Nigeria': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Niue': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'Norway': { full_day: 400, breakfast: 40, lunch: 60, dinner: 60, accommodation: 200 },
-    'Oman': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'Pakistan': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Palau': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
-    'Palestine': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Panama': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Papua New Guinea': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Paraguay': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Peru': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Philippines': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Poland': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Portugal': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Qatar': { full_day: 400, breakfast: 40, lunch: 60, dinner: 60, accommodation: 200 },
-    'Romania': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Russian Federation': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
-    'Rwanda': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'Saint Maarteen': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'Saint Lucia': { full_day: 470, breakfast: 47, lunch: 70.5, dinner: 70.5, accommodation: 235 },
-    'Saint Kitts and Nevis': { full_day: 430, breakfast: 43, lunch: 64.5, dinner: 64.5, accommodation: 215 },
-    'Saint Vincent-Grenadines': { full_day: 470, breakfast: 47, lunch: 70.5, dinner: 70.5, accommodation: 235 },
-    'Samoa': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
-    'San Marino': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Sao Tome and Principe': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Saudi Arabia': { full_day: 480, breakfast: 48, lunch: 72, dinner: 72, accommodation: 240 },
-    'Senegal': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Serbia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Seychelles': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'Sierra Leone': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Singapore': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
-    'Slovak Republic': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Slovenia': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
-    'Solomon Islands': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
-    'Somalia': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'South Africa': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
-    'South Sudan': { full_day: 210, breakfast: 21, lunch: 31.5, dinner: 31.5, accommodation: 105 },
-    'Spain': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Sri Lanka': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Sudan': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Suriname': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Sweden': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
-    'Switzerland': { full_day: 430, breakfast: 43, lunch: 64.5, dinner: 64.5, accommodation: 215 },
-    'Syrian Arabic Republic': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Taiwan': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
-    'Tajikistan': { full_day: 180, breakfast: 18, lunch: 27, dinner: 27, accommodation: 90 },
-    'Tanzania': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Thailand': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'The Republic of North Macedonia': { full_day: 170, breakfast: 17, lunch: 25.5, dinner: 25.5, accommodation: 85 },
-    'Timor-Leste': { full_day: 210, breakfast: 21, lunch: 31.5, dinner: 31.5, accommodation: 105 },
-    'Togo': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Tokelau': { full_day: 130, breakfast: 13, lunch: 19.5, dinner: 19.5, accommodation: 65 },
-    'Trinidad and Tobago': { full_day: 380, breakfast: 38, lunch: 57, dinner: 57, accommodation: 190 },
-    'Tunisia': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Turkey': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Turkmenistan': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Turks and Caicos Islands': { full_day: 540, breakfast: 54, lunch: 81, dinner: 81, accommodation: 270 },
-    'Tuvalu': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
-    'Uganda': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
-    'Ukraine': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'United Arab Emirates': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
-    'United Kingdom': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
-    'Uruguay': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
-    'USA': { full_day: 460, breakfast: 46, lunch: 69, dinner: 69, accommodation: 230 },
-    'Uzbekistan': { full_day: 180, breakfast: 18, lunch: 27, dinner: 27, accommodation: 90 },
-    'Vanuatu': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
-    'Virgin Islands': { full_day: 500, breakfast: 50, lunch: 75, dinner: 75, accommodation: 250 },
-    'Vietnam': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
-    'Western Sahara': { full_day: 160, breakfast: 16, lunch: 24, dinner: 24, accommodation: 80 },
-    'Yemen': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
-    'Zambia': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
-    'Zimbabwe': { full_day: 0, breakfast: 0, lunch: 0, dinner: 0, accommodation: 0 }
-};
-
-// Flight duration database (in hours) - approximate average flight times
-const flightDurations = {
-    'United Kingdom-USA': 8, 'USA-United Kingdom': 7,
-    'United Kingdom-France': 1.5, 'France-United Kingdom': 1.5,
-    'United Kingdom-Germany': 2, 'Germany-United Kingdom': 2,
-    'United Kingdom-Spain': 2.5, 'Spain-United Kingdom': 2.5,
-    'United Kingdom-Italy': 2.5, 'Italy-United Kingdom': 2.5,
-    'United Kingdom-Netherlands': 1.5, 'Netherlands-United Kingdom': 1.5,
-    'United Kingdom-Belgium': 1.5, 'Belgium-United Kingdom': 1.5,
-    'USA-France': 9, 'France-USA': 9,
-    'USA-Germany': 9.5, 'Germany-USA': 9.5,
-    'USA-Spain': 9, 'Spain-USA': 9,
-    'USA-Italy': 10, 'Italy-USA': 10,
-    'USA-Netherlands': 8.5, 'Netherlands-USA': 8.5,
-    'USA-Belgium': 8.5, 'Belgium-USA': 8.5,
-    'France-Germany': 1.5, 'Germany-France': 1.5,
-    'France-Spain': 2, 'Spain-France': 2,
-    'France-Italy': 1.5, 'Italy-France': 1.5,
-    'France-Netherlands': 1.5, 'Netherlands-France': 1.5,
-    'France-Belgium': 1, 'Belgium-France': 1,
-    'Germany-Spain': 2.5, 'Spain-Germany': 2.5,
-    'Germany-Italy': 1.5, 'Italy-Germany': 1.5,
-    'Germany-Netherlands': 1.5, 'Netherlands-Germany': 1.5,
-    'Germany-Belgium': 1.5, 'Belgium-Germany': 1.5,
-    'Spain-Italy': 2, 'Italy-Spain': 2,
-    'Spain-Netherlands': 2.5, 'Netherlands-Spain': 2.5,
-    'Spain-Belgium': 2, 'Belgium-Spain': 2,
-    'Italy-Netherlands': 2, 'Netherlands-Italy': 2,
-    'Italy-Belgium': 2, 'Belgium-Italy': 2,
-    'Netherlands-Belgium': 0.5, 'Belgium-Netherlands': 0.5,
-    // African routes
-    'South Africa-United Kingdom': 11, 'United Kingdom-South Africa': 11,
-    'South Africa-USA': 15, 'USA-South Africa': 15,
-    'Zimbabwe-South Africa': 2, 'South Africa-Zimbabwe': 2,
-    'Zimbabwe-United Kingdom': 10, 'United Kingdom-Zimbabwe': 10,
-    'Kenya-United Kingdom': 9, 'United Kingdom-Kenya': 9,
-    'Ethiopia-United Kingdom': 7, 'United Kingdom-Ethiopia': 7
-};
-
-// Grade multipliers for daily allowance (times per diem base rate)
-const gradeMultipliers = {
-    'minister': 1.50,
-    'accounting': 1.45,
-    'accounting_non': 1.40,
-    'chief_director': 1.35,
-    'director': 1.30,
-    'deputy_director': 1.25,
-    'officer': 1.00
-};
-
-// Representation allowance percentages
-const representationPercentages = {
-    'minister': 10.0,
-    'accounting': 9.5,
-    'accounting_non': 8.5,
-    'chief_director': 8.0,
-    'director': 7.5,
-    'deputy_director': 5.0,
-    'officer': 0.0
-};
+// Effective-dated rate schedules, oldest first
+// When Treasury issues a new circular, append a schedule with its effective-from date rather than
+// editing an existing one: each trip day is priced with the schedule in force on that day
+const rateSchedules = [
+    {
+        version: 'Baseline',
+        effectiveFrom: '2000-01-01',
+        // Country DSA rates (in US$) - meal-based structure
+        // Structure: { full_day_rate, breakfast_rate, lunch_rate, dinner_rate, accommodation_rate }
+        countryRates: {
+            'Afghanistan': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Albania': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Algeria': { full_day: 370, breakfast: 37, lunch: 55.5, dinner: 55.5, accommodation: 185 },
+            'Andorra': { full_day: 200, breakfast: 20, lunch: 30, dinner: 30, accommodation: 100 },
+            'Angola': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
+            'Anguilla': { full_day: 530, breakfast: 53, lunch: 79.5, dinner: 79.5, accommodation: 265 },
+            'Antigua and Barbuda': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
+            'Argentina': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Armenia': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Aruba': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
+            'Australia': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
+            'Austria': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Azerbaijan': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
+            'Bahamas': { full_day: 450, breakfast: 45, lunch: 67.5, dinner: 67.5, accommodation: 225 },
+            'Bahrain': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
+            'Bangladesh': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Barbados': { full_day: 560, breakfast: 56, lunch: 84, dinner: 84, accommodation: 280 },
+            'Belarus': { full_day: 230, breakfast: 23, lunch: 34.5, dinner: 34.5, accommodation: 115 },
+            'Belgium': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
+            'Belize': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
+            'Benin': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Bhutan': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Bolivia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Bosnia and Herzegovina': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Botswana': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Brazil': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'British Virgin Islands': { full_day: 370, breakfast: 37, lunch: 55.5, dinner: 55.5, accommodation: 185 },
+            'Brunei': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Bulgaria': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Burkina Faso': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Burundi': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Cambodia': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Cameroon': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Canada': { full_day: 380, breakfast: 38, lunch: 57, dinner: 57, accommodation: 190 },
+            'Cape Verde': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Cayman Islands': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
+            'Central African Rep.': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Chad': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Chile': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
+            'China': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'China, Hong Kong': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'China, Macau': { full_day: 200, breakfast: 20, lunch: 30, dinner: 30, accommodation: 100 },
+            'Colombia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Comoros': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Congo': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
+            'Congo, Dem. Rep.': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Costa Rica': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Cote d\'Ivoire': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Croatia': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Cuba': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Curacao': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Cyprus': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Czech Republic': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Denmark': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
+            'Djibouti': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Dominica': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
+            'Dominican Republic': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Ecuador': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Egypt': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'El Salvador': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Equatorial Guinea': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Eritrea': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Estonia': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Eswatini': { full_day: 180, breakfast: 18, lunch: 27, dinner: 27, accommodation: 90 },
+            'Ethiopia': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Fiji': { full_day: 370, breakfast: 37, lunch: 55.5, dinner: 55.5, accommodation: 185 },
+            'Finland': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'France': { full_day: 380, breakfast: 38, lunch: 57, dinner: 57, accommodation: 190 },
+            'Gabon': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
+            'Gambia': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Georgia': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Germany': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'Ghana': { full_day: 410, breakfast: 41, lunch: 61.5, dinner: 61.5, accommodation: 205 },
+            'Gibraltar': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Greece': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Grenada': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Guam': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Guatemala': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Guinea': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Guinea Bissau': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Guyana': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Haiti': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Honduras': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Hungary': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Iceland': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'India': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'Indonesia': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Iran': { full_day: 230, breakfast: 23, lunch: 34.5, dinner: 34.5, accommodation: 115 },
+            'Iraq': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Ireland': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
+            'Israel': { full_day: 400, breakfast: 40, lunch: 60, dinner: 60, accommodation: 200 },
+            'Italy': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
+            'Jamaica': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
+            'Japan': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Jerusalem': { full_day: 430, breakfast: 43, lunch: 64.5, dinner: 64.5, accommodation: 215 },
+            'Jordan': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
+            'Kazakhstan': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Kenya': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Kiribati': { full_day: 140, breakfast: 14, lunch: 21, dinner: 21, accommodation: 70 },
+            'North Korea': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'South Korea': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
+            'Kuwait': { full_day: 510, breakfast: 51, lunch: 76.5, dinner: 76.5, accommodation: 255 },
+            'Kyrgyzstan': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Lao Peo': { full_day: 210, breakfast: 21, lunch: 31.5, dinner: 31.5, accommodation: 105 },
+            'Latvia': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Lebanon': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
+            'Lesotho': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Liberia': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Libya': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Lithuania': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Luxembourg': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Madagascar': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
+            'Malawi': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Malaysia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Maldives': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
+            'Mali': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Malta': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Marshall Islands': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Mauritania': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'Mauritius': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Mexico': { full_day: 410, breakfast: 41, lunch: 61.5, dinner: 61.5, accommodation: 205 },
+            'Micronesia': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Moldova': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Monaco': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
+            'Mongolia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Montenegro': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Morocco': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
+            'Mozambique': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Myanmar': { full_day: 190, breakfast: 19, lunch: 28.5, dinner: 28.5, accommodation: 95 },
+            'Namibia': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Nauru': { full_day: 230, breakfast: 23, lunch: 34.5, dinner: 34.5, accommodation: 115 },
+            'Nepal': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Netherlands': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'New Zealand': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
+            'Nicaragua': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Niger': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Nigeria': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Niue': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'Norway': { full_day: 400, breakfast: 40, lunch: 60, dinner: 60, accommodation: 200 },
+            'Oman': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'Pakistan': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Palau': { full_day: 320, breakfast: 32, lunch: 48, dinner: 48, accommodation: 160 },
+            'Palestine': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Panama': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Papua New Guinea': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Paraguay': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Peru': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Philippines': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Poland': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Portugal': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Qatar': { full_day: 400, breakfast: 40, lunch: 60, dinner: 60, accommodation: 200 },
+            'Romania': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Russian Federation': { full_day: 360, breakfast: 36, lunch: 54, dinner: 54, accommodation: 180 },
+            'Rwanda': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'Saint Maarteen': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'Saint Lucia': { full_day: 470, breakfast: 47, lunch: 70.5, dinner: 70.5, accommodation: 235 },
+            'Saint Kitts and Nevis': { full_day: 430, breakfast: 43, lunch: 64.5, dinner: 64.5, accommodation: 215 },
+            'Saint Vincent-Grenadines': { full_day: 470, breakfast: 47, lunch: 70.5, dinner: 70.5, accommodation: 235 },
+            'Samoa': { full_day: 300, breakfast: 30, lunch: 45, dinner: 45, accommodation: 150 },
+            'San Marino': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Sao Tome and Principe': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Saudi Arabia': { full_day: 480, breakfast: 48, lunch: 72, dinner: 72, accommodation: 240 },
+            'Senegal': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Serbia': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Seychelles': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'Sierra Leone': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Singapore': { full_day: 440, breakfast: 44, lunch: 66, dinner: 66, accommodation: 220 },
+            'Slovak Republic': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Slovenia': { full_day: 310, breakfast: 31, lunch: 46.5, dinner: 46.5, accommodation: 155 },
+            'Solomon Islands': { full_day: 350, breakfast: 35, lunch: 52.5, dinner: 52.5, accommodation: 175 },
+            'Somalia': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'South Africa': { full_day: 270, breakfast: 27, lunch: 40.5, dinner: 40.5, accommodation: 135 },
+            'South Sudan': { full_day: 210, breakfast: 21, lunch: 31.5, dinner: 31.5, accommodation: 105 },
+            'Spain': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Sri Lanka': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Sudan': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Suriname': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Sweden': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
+            'Switzerland': { full_day: 430, breakfast: 43, lunch: 64.5, dinner: 64.5, accommodation: 215 },
+            'Syrian Arabic Republic': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Taiwan': { full_day: 340, breakfast: 34, lunch: 51, dinner: 51, accommodation: 170 },
+            'Tajikistan': { full_day: 180, breakfast: 18, lunch: 27, dinner: 27, accommodation: 90 },
+            'Tanzania': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Thailand': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'The Republic of North Macedonia': { full_day: 170, breakfast: 17, lunch: 25.5, dinner: 25.5, accommodation: 85 },
+            'Timor-Leste': { full_day: 210, breakfast: 21, lunch: 31.5, dinner: 31.5, accommodation: 105 },
+            'Togo': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Tokelau': { full_day: 130, breakfast: 13, lunch: 19.5, dinner: 19.5, accommodation: 65 },
+            'Trinidad and Tobago': { full_day: 380, breakfast: 38, lunch: 57, dinner: 57, accommodation: 190 },
+            'Tunisia': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Turkey': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Turkmenistan': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Turks and Caicos Islands': { full_day: 540, breakfast: 54, lunch: 81, dinner: 81, accommodation: 270 },
+            'Tuvalu': { full_day: 220, breakfast: 22, lunch: 33, dinner: 33, accommodation: 110 },
+            'Uganda': { full_day: 280, breakfast: 28, lunch: 42, dinner: 42, accommodation: 140 },
+            'Ukraine': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'United Arab Emirates': { full_day: 420, breakfast: 42, lunch: 63, dinner: 63, accommodation: 210 },
+            'United Kingdom': { full_day: 390, breakfast: 39, lunch: 58.5, dinner: 58.5, accommodation: 195 },
+            'Uruguay': { full_day: 250, breakfast: 25, lunch: 37.5, dinner: 37.5, accommodation: 125 },
+            'USA': { full_day: 460, breakfast: 46, lunch: 69, dinner: 69, accommodation: 230 },
+            'Uzbekistan': { full_day: 180, breakfast: 18, lunch: 27, dinner: 27, accommodation: 90 },
+            'Vanuatu': { full_day: 330, breakfast: 33, lunch: 49.5, dinner: 49.5, accommodation: 165 },
+            'Virgin Islands': { full_day: 500, breakfast: 50, lunch: 75, dinner: 75, accommodation: 250 },
+            'Vietnam': { full_day: 260, breakfast: 26, lunch: 39, dinner: 39, accommodation: 130 },
+            'Western Sahara': { full_day: 160, breakfast: 16, lunch: 24, dinner: 24, accommodation: 80 },
+            'Yemen': { full_day: 290, breakfast: 29, lunch: 43.5, dinner: 43.5, accommodation: 145 },
+            'Zambia': { full_day: 240, breakfast: 24, lunch: 36, dinner: 36, accommodation: 120 },
+            'Zimbabwe': { full_day: 0, breakfast: 0, lunch: 0, dinner: 0, accommodation: 0 }
+        },
+        // City rates (in US$) by country, used instead of the country rate for cities whose cost
+        // is far from the national average; same structure as countryRates
+        cityRates: {
+            'Switzerland': {
+                'Geneva': { full_day: 540, breakfast: 54, lunch: 81, dinner: 81, accommodation: 270 }
+            },
+            'USA': {
+                'New York': { full_day: 600, breakfast: 60, lunch: 90, dinner: 90, accommodation: 300 },
+                'Washington DC': { full_day: 520, breakfast: 52, lunch: 78, dinner: 78, accommodation: 260 }
+            }
+        },
+        // Grade multipliers for daily allowance (times per diem base rate)
+        gradeMultipliers: {
+            'minister': 1.50,
+            'accounting': 1.45,
+            'accounting_non': 1.40,
+            'chief_director': 1.35,
+            'director': 1.30,
+            'deputy_director': 1.25,
+            'officer': 1.00
+        },
+
+        // Representation allowance percentages
+        representationPercentages: {
+            'minister': 10.0,
+            'accounting': 9.5,
+            'accounting_non': 8.5,
+            'chief_director': 8.0,
+            'director': 7.5,
+            'deputy_director': 5.0,
+            'officer': 0.0
+        }
+    }
+];
 
 // DSA component percentages
 const dsaComponents = {
@@ -568,10 +548,89 @@ const dsaComponents = {
     other: 10
 };
 
-function getFlightDuration(from, to) {
-    if (from === to) return 0;
-    const key = `${from}-${to}`;
-    return flightDurations[key] || 3; // Default to 3 hours if route not found
+// Parse a schedule's effective-from date (YYYY-MM-DD) as local midnight
+function parseScheduleDate(value) {
+    return new Date(`${value}T00:00`);
+}
+
+// Get the rate schedule in force on a date (the earliest schedule for dates before any took effect)
+function getRateSchedule(date) {
+    let schedule = null;
+    rateSchedules.forEach(candidate => {
+        const effectiveFrom = parseScheduleDate(candidate.effectiveFrom);
+        if (effectiveFrom <= date && (!schedule || effectiveFrom >= parseScheduleDate(schedule.effectiveFrom))) {
+            schedule = candidate;
+        }
+    });
+    if (schedule) return schedule;
+    return rateSchedules.reduce((earliest, candidate) =>
+        parseScheduleDate(candidate.effectiveFrom) < parseScheduleDate(earliest.effectiveFrom) ? candidate : earliest);
+}
+
+// Get every rate schedule in force at some time from one date to another, in the order they take effect
+function getRateSchedulesBetween(startDate, endDate) {
+    const schedules = [getRateSchedule(startDate)];
+    rateSchedules
+        .map(candidate => parseScheduleDate(candidate.effectiveFrom))
+        .filter(effectiveFrom => effectiveFrom > startDate && effectiveFrom <= endDate)
+        .sort((a, b) => a - b)
+        .forEach(effectiveFrom => {
+            const schedule = getRateSchedule(effectiveFrom);
+            if (!schedules.includes(schedule)) schedules.push(schedule);
+        });
+    return schedules;
+}
+
+// Get the rate schedule in force today (used for the country lists and per diem hints in the form)
+function getActiveRateSchedule() {
+    return getRateSchedule(new Date());
+}
+
+// Get a country's rates from a schedule
+function getScheduleRates(schedule, country) {
+    const rates = schedule.countryRates[country];
+    if (!rates) {
+        throw new Error(`Country rates not found for ${country} in the ${schedule.version} rate schedule`);
+    }
+    return rates;
+}
+
+// Route selects hold either a country or "country|city" for a location with its own city rate
+function parseLocation(value) {
+    const [country, city] = String(value || '').split('|');
+    return { country, city: city || null };
+}
+
+function locationValue(country, city) {
+    return city ? `${country}|${city}` : country;
+}
+
+// Display name of a location, e.g. "New York (USA)"
+function formatLocation(country, city) {
+    return city ? `${city} (${country})` : country;
+}
+
+// Get the rates for a location from a schedule: the city rate when the schedule has one,
+// otherwise the country rate. Returns { rates, location, isCityRate }
+function getLocationRates(schedule, country, city) {
+    const cityRates = city && schedule.cityRates && schedule.cityRates[country] && schedule.cityRates[country][city];
+    if (cityRates) {
+        return { rates: cityRates, location: formatLocation(country, city), isCityRate: true };
+    }
+    return { rates: getScheduleRates(schedule, country), location: country, isCityRate: false };
+}
+
+// Options for a route select: every country in the schedule, each followed by its cities
+function buildLocationOptions(schedule) {
+    let options = '<option value="">Select Country</option>';
+    Object.keys(schedule.countryRates).sort().forEach(country => {
+        options += `<option value="${country}">${country}</option>`;
+        const cities = (schedule.cityRates && schedule.cityRates[country]) || {};
+        Object.keys(cities).sort().forEach(city => {
+            options += `<option value="${locationValue(country, city)}">${country} — ${city}</option>`;
+        });
+    });
+    return options;
 }
 
 function formatHours(hours) {
@@ -652,8 +711,10 @@ function isAccommodationEligible(departureTime, arrivalTime) {
 }
 
 // Calculate DSA for destination stay where full days get all meals
-function calculateDestinationDSA(arrivalTime, departureTime, perDiemRate, gradeMultiplier) {
-    const dailyAllowance = perDiemRate * gradeMultiplier;
+// dailyAllowanceOn(date) gives the daily allowance (per diem × grade multiplier) in force on a date
+// dates splits the amounts by the calendar day they are paid for
+// stayHours is the elapsed time between the two instants (differs from the wall-clock gap across a DST change)
+function calculateDestinationDSA(arrivalTime, departureTime, dailyAllowanceOn, stayHours = (departureTime - arrivalTime) / (1000 * 60 * 60)) {
     let breakdown = {
         breakfast: 0,
         lunch: 0,
@@ -665,24 +726,40 @@ function calculateDestinationDSA(arrivalTime, departureTime, perDiemRate, gradeM
         dinnerCount: 0,
         nightCount: 0
     };
+    const componentOn = (date, component) => (dailyAllowanceOn(date) * dsaComponents[component] / 100);
+    // What is paid on each calendar day of the stay: [{ date, breakfast, lunch, dinner, accommodation, other, counts }]
+    // where counts has the meals and nights of each component (a full day and the departure day can fall on one date)
+    const dates = [];
+    const addComponent = (date, component) => {
+        const amount = componentOn(date, component);
+        breakdown[component] += amount;
+        let entry = dates.find(candidate => candidate.date.toDateString() === date.toDateString());
+        if (!entry) {
+            entry = { date: new Date(date), breakfast: 0, lunch: 0, dinner: 0, accommodation: 0, other: 0, counts: {} };
+            dates.push(entry);
+        }
+        entry[component] += amount;
+        entry.counts[component] = (entry.counts[component] || 0) + 1;
+    };
     
     // Count complete 24-hour periods (full days)
-    const stayMs = departureTime - arrivalTime;
-    const stayHours = stayMs / (1000 * 60 * 60);
     const fullDays = Math.floor(stayHours / 24);
     
     // For each full day at destination, all meals are eligible
-    if (fullDays > 0) {
-        breakdown.breakfast = (dailyAllowance * dsaComponents.breakfast / 100) * fullDays;
-        breakdown.lunch = (dailyAllowance * dsaComponents.lunch / 100) * fullDays;
-        breakdown.dinner = (dailyAllowance * dsaComponents.dinner / 100) * fullDays;
-        breakdown.accommodation = (dailyAllowance * dsaComponents.accommodation / 100) * fullDays;
-        breakdown.other = (dailyAllowance * dsaComponents.other / 100) * fullDays;
-        breakdown.breakfastCount = fullDays;
-        breakdown.lunchCount = fullDays;
-        breakdown.dinnerCount = fullDays;
-        breakdown.nightCount = fullDays;
+    // Each full day is priced on the calendar day it ends on, so a rate change mid-stay applies from that day
+    for (let day = 1; day <= fullDays; day++) {
+        const date = new Date(arrivalTime);
+        date.setDate(date.getDate() + day);
+        addComponent(date, 'breakfast');
+        addComponent(date, 'lunch');
+        addComponent(date, 'dinner');
+        addComponent(date, 'accommodation');
+        addComponent(date, 'other');
     }
+    breakdown.breakfastCount = fullDays;
+    breakdown.lunchCount = fullDays;
+    breakdown.dinnerCount = fullDays;
+    breakdown.nightCount = fullDays;
     
     // Handle partial day at start (arrival day) and end (departure day)
     const arrivalDate = new Date(arrivalTime);
@@ -693,21 +770,26 @@ function calculateDestinationDSA(arrivalTime, departureTime, perDiemRate, gradeM
     const departureDate = new Date(departureTime);
     departureDate.setHours(0, 0, 0, 0);
     
+    // A stay that starts and ends on the same day has only one lunch to claim
+    const sameDayStay = arrivalTime.toDateString() === departureTime.toDateString();
+    let lunchOnArrivalDay = false;
+    
     // Partial arrival day (if arrival is not on same day as first full day)
     if (arrivalTime < firstFullDayStart && fullDays >= 0) {
         const arrivalHour = arrivalTime.getHours();
         // Check which meals are still available on arrival day
         if (arrivalHour < 12) { // Arrived before lunch
-            breakdown.lunch += (dailyAllowance * dsaComponents.lunch / 100);
+            addComponent(arrivalTime, 'lunch');
             breakdown.lunchCount++;
+            lunchOnArrivalDay = true;
         }
         if (arrivalHour < 18) { // Arrived before dinner
-            breakdown.dinner += (dailyAllowance * dsaComponents.dinner / 100);
+            addComponent(arrivalTime, 'dinner');
             breakdown.dinnerCount++;
         }
         // Always get accommodation for arrival night if staying overnight
-        if (fullDays > 0 || departureTime.toDateString() !== arrivalTime.toDateString()) {
-            breakdown.accommodation += (dailyAllowance * dsaComponents.accommodation / 100);
+        if (fullDays > 0 || !sameDayStay) {
+            addComponent(arrivalTime, 'accommodation');
             breakdown.nightCount++;
         }
     }
@@ -718,17 +800,17 @@ function calculateDestinationDSA(arrivalTime, departureTime, perDiemRate, gradeM
         const departureHour = departureTime.getHours();
         // Check which meals can be claimed on departure day
         if (departureHour >= 7) { // Stayed past breakfast time
-            breakdown.breakfast += (dailyAllowance * dsaComponents.breakfast / 100);
+            addComponent(departureTime, 'breakfast');
             breakdown.breakfastCount++;
         }
-        if (departureHour >= 14) { // Stayed past lunch time
-            breakdown.lunch += (dailyAllowance * dsaComponents.lunch / 100);
+        if (departureHour >= 14 && !(sameDayStay && lunchOnArrivalDay)) { // Stayed past lunch time
+            addComponent(departureTime, 'lunch');
             breakdown.lunchCount++;
         }
     }
     
     const totalDSA = breakdown.breakfast + breakdown.lunch + breakdown.dinner + breakdown.accommodation + breakdown.other;
-    return { totalDSA, breakdown };
+    return { totalDSA, breakdown, dates };
 }
 
 // Calculate DSA for travel segment - uses the country rate based on WHERE you are WHEN the meal time occurs
@@ -935,391 +1017,893 @@ function calculateSegmentDSA(departureTime, arrivalTime, perDiemRate, gradeMulti
     return { totalDSA, breakdown };
 }
 
-function calculate() {
-    // Get input values
-    const grade = document.getElementById('grade').value;
-    const purpose = document.getElementById('purpose').value.trim();
-    const startDate = new Date(document.getElementById('departureDate-0').value);
-    const fundingSource = document.getElementById('fundingSource').value;
-
-    // Get all outbound routes with dates
-    const allDepartures = document.querySelectorAll('.departure-select');
-    const allDestinations = document.querySelectorAll('.destination-select');
-    const allDepartureDates = document.querySelectorAll('.departure-date');
-    const allArrivalDates = document.querySelectorAll('.arrival-date');
-    
-    let routes = [];
-    allDepartures.forEach((depSelect, index) => {
-        const dep = depSelect.value;
-        const dest = allDestinations[index].value;
-        const depDate = allDepartureDates[index].value;
-        const arrDate = allArrivalDates[index].value;
-        if (dep && dest && depDate && arrDate) {
-            routes.push({ 
-                from: dep, 
-                to: dest,
-                departureDate: new Date(depDate),
-                arrivalDate: new Date(arrDate)
-            });
-        }
+// Longest leg (in hours) accepted without a warning; the longest scheduled flights are under 20 hours
+const maxPlausibleLegHours = 24;
+
+// Whether an entered leg duration is far from the expected flight duration
+// Longer legs get extra room for connections; much shorter legs usually mean a mistyped time
+function isLegDurationFarOff(legHours, expectedHours) {
+    return legHours < expectedHours * 0.6 || legHours > expectedHours * 1.75 + 3;
+}
+
+// Normalise tripSpec legs: dates stay as local wall-clock times for the meal rules; instants (UTC ms)
+// are used for all durations and ordering
+// An airport gives the leg its country when none is set, and its city and time zone; an unknown airport,
+// or one in a different country, is ignored here and reported by validateTripSpec
+function normaliseTripLegs(specLegs) {
+    return (specLegs || []).map(leg => {
+        const fromAirport = getAirport(leg.fromAirport);
+        const toAirport = getAirport(leg.toAirport);
+        const from = leg.from || (fromAirport ? fromAirport.country : undefined);
+        const to = leg.to || (toAirport ? toAirport.country : undefined);
+        const fromAirportUsed = fromAirport && fromAirport.country === from ? fromAirport : null;
+        const toAirportUsed = toAirport && toAirport.country === to ? toAirport : null;
+        const departureDate = new Date(leg.departureDate);
+        const arrivalDate = new Date(leg.arrivalDate);
+        const departureZone = leg.departureZone || (fromAirportUsed ? fromAirportUsed.zone : getCountryTimeZone(from));
+        const arrivalZone = leg.arrivalZone || (toAirportUsed ? toAirportUsed.zone : getCountryTimeZone(to));
+        return {
+            from,
+            to,
+            fromCity: leg.fromCity || (fromAirportUsed ? fromAirportUsed.city : null),
+            toCity: leg.toCity || (toAirportUsed ? toAirportUsed.city : null),
+            fromAirport: fromAirportUsed ? fromAirportUsed.code : null,
+            toAirport: toAirportUsed ? toAirportUsed.code : null,
+            departureDate,
+            arrivalDate,
+            departureZone,
+            arrivalZone,
+            departureInstant: zonedTimeToUtc(departureDate, departureZone),
+            arrivalInstant: zonedTimeToUtc(arrivalDate, arrivalZone),
+            direction: leg.direction === 'return' ? 'return' : 'outbound'
+        };
     });
-    
-    // Get all return journey routes with dates
-    const allReturnDepartures = document.querySelectorAll('.return-departure-select');
-    const allReturnDestinations = document.querySelectorAll('.return-destination-select');
-    const allReturnDepartureDates = document.querySelectorAll('.return-departure-date');
-    const allReturnArrivalDates = document.querySelectorAll('.return-arrival-date');
-    
-    let returnRoutes = [];
-    allReturnDepartures.forEach((depSelect, index) => {
-        const dep = depSelect.value;
-        const dest = allReturnDestinations[index].value;
-        const depDate = allReturnDepartureDates[index].value;
-        const arrDate = allReturnArrivalDates[index].value;
-        if (dep && dest && depDate && arrDate) {
-            returnRoutes.push({ 
-                from: dep, 
-                to: dest,
-                departureDate: new Date(depDate),
-                arrivalDate: new Date(arrDate)
-            });
+}
+
+// Format a wall-clock date as dd/mm/yyyy hh:mm for messages
+function formatLocalDateTime(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()} ${hours}:${minutes}`;
+}
+
+/**
+ * Check a tripSpec (see computeTrip) before pricing it
+ * Errors block the calculation; warnings flag plausible-but-unusual input
+ * @param {Object} tripSpec - Trip to check
+ * @param {Date} now - Current time, for the past-departure warning
+ * @returns {Object} - { errors, warnings } where each issue is { field, legIndex, message }: field is
+ *   'grade', 'purpose', 'outbound' or 'return' (legIndex null), or 'from', 'to', 'fromAirport', 'toAirport',
+ *   'departureDate' or 'arrivalDate' of tripSpec.legs[legIndex]
+ */
+function validateTripSpec(tripSpec, now = new Date()) {
+    const errors = [];
+    const warnings = [];
+    const issue = (field, legIndex, message) => ({ field, legIndex, message });
+    // The first schedule in force from startDate to endDate without rates for the country, or undefined
+    const findScheduleWithoutRates = (country, startDate, endDate) =>
+        getRateSchedulesBetween(startDate, endDate).find(schedule => !schedule.countryRates[country]);
+
+    const grade = tripSpec.grade;
+    if (!grade || !rateSchedules.some(schedule => schedule.gradeMultipliers[grade])) {
+        errors.push(issue('grade', null, 'Please select an official grade'));
+    }
+
+    if (!(tripSpec.purpose || '').trim()) {
+        errors.push(issue('purpose', null, 'Please enter the purpose of the journey'));
+    }
+
+    // Legs in itinerary order (outbound before return), remembering their tripSpec index
+    const legs = normaliseTripLegs(tripSpec.legs).map((leg, legIndex) => Object.assign(leg, { legIndex }));
+    const itinerary = legs.filter(leg => leg.direction === 'outbound').concat(legs.filter(leg => leg.direction === 'return'));
+
+    if (!legs.some(leg => leg.direction === 'outbound')) {
+        errors.push(issue('outbound', null, 'Please complete all fields for at least one outbound route'));
+    }
+
+    if (!legs.some(leg => leg.direction === 'return')) {
+        errors.push(issue('return', null, 'Please complete all fields for at least one return route'));
+    }
+
+    const validLegs = new Set();
+    itinerary.forEach(leg => {
+        // An entered airport must be known and in the leg's country
+        [['fromAirport', leg.from], ['toAirport', leg.to]].forEach(([field, country]) => {
+            const entered = tripSpec.legs[leg.legIndex][field];
+            if (!entered) return;
+            const airport = getAirport(entered);
+            if (!airport) {
+                errors.push(issue(field, leg.legIndex, `Airport not found: ${entered}; enter its IATA code (e.g. JNB) or choose it from the list`));
+            } else if (airport.country !== country) {
+                errors.push(issue(field, leg.legIndex, `${airport.code} (${airport.name}) is in ${airport.country}, not ${country || 'the selected country'}`));
+            }
+        });
+
+        let legValid = true;
+        if (isNaN(leg.departureDate)) {
+            errors.push(issue('departureDate', leg.legIndex, 'Enter a valid departure date and time'));
+            legValid = false;
         }
+        if (isNaN(leg.arrivalDate)) {
+            errors.push(issue('arrivalDate', leg.legIndex, 'Enter a valid arrival date and time'));
+            legValid = false;
+        }
+        if (!legValid) return;
+
+        // The leg is priced with the schedule in force on its departure day, and the arrival country also
+        // with the one in force on the arrival day
+        [['from', leg.departureDate], ['to', leg.arrivalDate]].forEach(([field, endDate]) => {
+            const schedule = findScheduleWithoutRates(leg[field], leg.departureDate, endDate);
+            if (schedule) {
+                errors.push(issue(field, leg.legIndex, `Country rates not found for ${leg[field] || 'this country'} in the ${schedule.version} rate schedule`));
+                legValid = false;
+            }
+        });
+        if (!legValid) return;
+
+        const legHours = (leg.arrivalInstant - leg.departureInstant) / (1000 * 60 * 60);
+        if (legHours <= 0) {
+            errors.push(issue('arrivalDate', leg.legIndex,
+                `Arrival (${formatLocalDateTime(leg.arrivalDate)} ${leg.to} time) must be after departure (${formatLocalDateTime(leg.departureDate)} ${leg.from} time)`));
+            legValid = false;
+        } else if (legHours > maxPlausibleLegHours) {
+            warnings.push(issue('arrivalDate', leg.legIndex, `This leg takes ${formatHours(legHours)}; check the dates and times`));
+        } else {
+            const expected = estimateFlightDuration(leg.from, leg.to, leg.fromCity, leg.toCity);
+            if (expected && expected.hours > 0 && isLegDurationFarOff(legHours, expected.hours)) {
+                warnings.push(issue('arrivalDate', leg.legIndex,
+                    `This leg takes ${formatHours(legHours)}; a ${expected.fromCity}–${expected.toCity} flight usually takes about ${formatHours(expected.hours)}`));
+            }
+        }
+
+        if (legValid) validLegs.add(leg);
     });
 
-    // Validation
-    if (!grade) {
-        alert('Please select an official grade');
-        return;
+    // Consecutive legs must connect: each starts where the previous one ended, after it arrived
+    for (let i = 1; i < itinerary.length; i++) {
+        const previous = itinerary[i - 1];
+        const leg = itinerary[i];
+        const firstReturn = leg.direction === 'return' && previous.direction === 'outbound';
+
+        if (previous.to && leg.from && previous.to !== leg.from) {
+            errors.push(issue('from', leg.legIndex, firstReturn
+                ? `The return must start where the outbound journey ended (${previous.to})`
+                : `This leg starts in ${leg.from} but the previous leg ended in ${previous.to}`));
+        } else if (previous.toAirport && leg.fromAirport && previous.toAirport !== leg.fromAirport) {
+            warnings.push(issue('fromAirport', leg.legIndex,
+                `This leg departs from ${leg.fromAirport} but the previous leg arrived at ${previous.toAirport}; check the airports`));
+        }
+
+        if (validLegs.has(previous) && validLegs.has(leg) && leg.departureInstant < previous.arrivalInstant) {
+            errors.push(issue('departureDate', leg.legIndex,
+                `Departs before the previous leg arrives in ${previous.to} (${formatLocalDateTime(previous.arrivalDate)} local time)`));
+        }
     }
 
-    if (!purpose) {
-        alert('Please enter the purpose of the journey');
-        return;
+    // Stops are priced day by day with the schedule in force on each day, so a schedule that takes effect
+    // during a stay needs rates for the country stayed in
+    for (let i = 1; i < itinerary.length; i++) {
+        const previous = itinerary[i - 1];
+        const leg = itinerary[i];
+        if (!validLegs.has(previous) || !validLegs.has(leg) || leg.departureInstant < previous.arrivalInstant) continue;
+        const schedule = findScheduleWithoutRates(previous.to, previous.arrivalDate, leg.departureDate);
+        if (schedule) {
+            errors.push(issue('to', previous.legIndex,
+                `Country rates not found for ${previous.to} in the ${schedule.version} rate schedule, which takes effect during the stay (${schedule.effectiveFrom})`));
+        }
     }
 
-    if (routes.length === 0) {
-        alert('Please complete all fields for at least one outbound route');
-        return;
+    if (itinerary.length > 0 && validLegs.has(itinerary[0]) && itinerary[0].departureInstant < now.getTime()) {
+        warnings.push(issue('departureDate', itinerary[0].legIndex, 'Departure is in the past; check the date if this is a new trip'));
     }
-    
-    if (returnRoutes.length === 0) {
-        alert('Please complete all fields for at least one return route');
-        return;
+
+    return { errors, warnings };
+}
+
+/**
+ * Compute the T&S entitlement for a trip without reading from or writing to the page
+ * @param {Object} tripSpec - Trip to price
+ * @param {string} tripSpec.grade - Official grade key (e.g. 'director')
+ * @param {string} tripSpec.purpose - Purpose of the journey
+ * @param {string} tripSpec.fundingSource - 'government' or 'external'
+ * @param {Array<Object>} tripSpec.legs - Ordered legs: { from, to, departureDate, arrivalDate, direction }
+ *   where direction is 'outbound' or 'return' and dates are local times at the departure/arrival country
+ *   (Date objects or datetime-local strings). Optional departureZone/arrivalZone override the country's zone;
+ *   optional fromCity/toCity select a city rate (see cityRates), falling back to the country rate;
+ *   optional fromAirport/toAirport (IATA codes, see airports.js) set the endpoint's zone and city, and its
+ *   country when from/to is omitted.
+ *   Outbound legs come before return legs; every stop between two consecutive legs is priced as a stay.
+ * @param {Object} [tripSpec.provisions] - Meals and accommodation provided by the host, by day (see tripProvisions)
+ * @returns {Object} - Totals, component amounts and counts, per-country totals, stops, day-by-day rows and explanations
+ */
+function computeTrip(tripSpec) {
+    const grade = tripSpec.grade;
+    const purpose = (tripSpec.purpose || '').trim();
+    const fundingSource = tripSpec.fundingSource || 'government';
+
+    // Validation: the first blocking problem is thrown, with the full result attached
+    const validation = validateTripSpec(tripSpec);
+    if (validation.errors.length > 0) {
+        const error = new Error(validation.errors[0].message);
+        error.validation = validation;
+        throw error;
     }
-    
-    // Get the last return arrival date as the end date
+
+    const legs = normaliseTripLegs(tripSpec.legs);
+    const routes = legs.filter(leg => leg.direction === 'outbound');
+    const returnRoutes = legs.filter(leg => leg.direction === 'return');
+
+    const startDate = routes[0].departureDate;
+    // The last return arrival date is the end date
     const endDate = returnRoutes[returnRoutes.length - 1].arrivalDate;
+    const startInstant = routes[0].departureInstant;
+    const endInstant = returnRoutes[returnRoutes.length - 1].arrivalInstant;
 
-    if (startDate >= endDate) {
-        alert('Return date must be after departure date');
-        return;
+    if (startInstant >= endInstant) {
+        throw new Error('Return date must be after departure date');
     }
 
-    // Calculate DSA using meal-based eligibility
-    const gradeMultiplier = gradeMultipliers[grade];
+    // Calculate DSA using meal-based eligibility, each part priced with the rate schedule in force on its day
+    const startSchedule = getRateSchedule(startDate);
+    const gradeMultiplier = startSchedule.gradeMultipliers[grade];
+    const schedulesUsed = new Map();
+    const scheduleOn = (date) => {
+        const schedule = getRateSchedule(date);
+        schedulesUsed.set(schedule.version, schedule);
+        return schedule;
+    };
+    const components = {
+        breakfast: { amount: 0, count: 0 },
+        lunch: { amount: 0, count: 0 },
+        dinner: { amount: 0, count: 0 },
+        accommodation: { amount: 0, count: 0 },
+        other: { amount: 0 }
+    };
+    const countryTotals = {};
+    const explanations = [];
     let totalDSA = 0;
-    let totalBreakfast = 0, totalLunch = 0, totalDinner = 0, totalAccommodation = 0, totalOther = 0;
-    let breakfastCount = 0, lunchCount = 0, dinnerCount = 0, nightCount = 0;
-    
-    // Track outbound journey - meal-based DSA
-    let totalOutboundHours = 0;
-    let currentTime = new Date(startDate);
-    
-    for (let i = 0; i < routes.length; i++) {
-        const legDepartureTime = routes[i].departureDate;
-        const legArrivalTime = routes[i].arrivalDate;
-        const legDurationMs = legArrivalTime - legDepartureTime;
-        const legHours = legDurationMs / (1000 * 60 * 60);
-        
-        totalOutboundHours += legHours;
-        
-        // Calculate DSA for this leg using calculateAllowance with dynamic country rates
-        const legDeparturePerDiem = countryRates[routes[i].from].full_day;
-        const legDestinationPerDiem = countryRates[routes[i].to].full_day;
-        const legResult = calculateAllowance(routes[i].from, routes[i].to, legDepartureTime, legArrivalTime, countryRates, gradeMultiplier);
-        
-        totalDSA += legResult.total_allowance_amount;
-        // Extract meal amounts from breakdown by country
-        Object.keys(legResult.breakdown).forEach(country => {
-            const countryBreakdown = legResult.breakdown[country];
-            totalBreakfast += countryBreakdown.amounts.breakfast || 0;
-            totalLunch += countryBreakdown.amounts.lunch || 0;
-            totalDinner += countryBreakdown.amounts.dinner || 0;
-            totalAccommodation += countryBreakdown.amounts.accommodation || 0;
-            totalOther += countryBreakdown.amounts.other || 0;
-            // Count meals
-            if (countryBreakdown.meals.includes('breakfast')) breakfastCount++;
-            if (countryBreakdown.meals.includes('lunch')) lunchCount++;
-            if (countryBreakdown.meals.includes('dinner')) dinnerCount++;
-            if (countryBreakdown.meals.includes('accommodation')) nightCount++;
-        });
-        
-        currentTime = legArrivalTime;
-        
-        // If there's a next route, calculate layover DSA
-        if (i < routes.length - 1) {
-            const nextDepartureTime = routes[i + 1].departureDate;
-            const layoverMs = nextDepartureTime - legArrivalTime;
-            const layoverHours = layoverMs / (1000 * 60 * 60);
-            
-            // Special rule: If arriving in Zimbabwe, NO layover allowances are calculated
-            if (routes[i].to !== 'Zimbabwe') {
-                // During layover, use the current destination country's rate
-                const layoverResult = calculateSegmentDSA(legArrivalTime, nextDepartureTime, countryRates[routes[i].to].full_day, gradeMultiplier);
-                
-                totalDSA += layoverResult.totalDSA;
-                totalBreakfast += layoverResult.breakdown.breakfast;
-                totalLunch += layoverResult.breakdown.lunch;
-                totalDinner += layoverResult.breakdown.dinner;
-                totalAccommodation += layoverResult.breakdown.accommodation;
-                totalOther += layoverResult.breakdown.other;
-                breakfastCount += layoverResult.breakdown.breakfastCount;
-                lunchCount += layoverResult.breakdown.lunchCount;
-                dinnerCount += layoverResult.breakdown.dinnerCount;
-                nightCount += layoverResult.breakdown.nightCount;
+    // DSA at the full daily rate, before long-stay tiers and what the host provided; representation follows it (see below)
+    let rateDSA = 0;
+
+    // Meals and accommodation provided by the host are not paid (see host-provisions.js)
+    // Deductions with the same date, country and component are kept as one
+    const provisions = tripSpec.provisions || {};
+    const deductions = [];
+    const deductProvisions = (amounts, date, country, counts) => {
+        const dateDeductions = deductHostProvisions(amounts, date, country, provisions, counts);
+        dateDeductions.forEach(deduction => {
+            const existing = deductions.find(candidate => candidate.date.getTime() === deduction.date.getTime() &&
+                candidate.country === deduction.country && candidate.component === deduction.component);
+            if (existing) {
+                existing.amount += deduction.amount;
+                existing.count += deduction.count;
+            } else {
+                deductions.push(deduction);
             }
-            
-            totalOutboundHours += layoverHours;
-            currentTime = nextDepartureTime;
+        });
+        return dateDeductions;
+    };
+
+    // What is paid on each calendar day, from the same amounts as the trip totals, for the day-by-day rows (see
+    // computeDayByDay): keyed by toDateString(), { breakfast, lunch, dinner, accommodation, other, priced, rate } where
+    // priced lists the components priced for the day (those the host provided included) and rate is the day's DSA at
+    // the full daily rate, which representation follows
+    const paidByDate = {};
+    const addPaid = (date, amounts, priced, rate) => {
+        const key = date.toDateString();
+        if (!paidByDate[key]) {
+            paidByDate[key] = { breakfast: 0, lunch: 0, dinner: 0, accommodation: 0, other: 0, priced: [], rate: 0 };
         }
-    }
-    
-    // Calculate DSA for time at final destination
-    const lastDestination = routes[routes.length - 1].to;
-    const destinationPerDiem = countryRates[lastDestination].full_day;
-    const returnStartTime = returnRoutes[0].departureDate;
-    
-    const timeAtDestinationMs = returnStartTime - currentTime;
-    const timeAtDestinationHours = Math.max(0, timeAtDestinationMs / (1000 * 60 * 60));
-    
-    // Calculate meal-based DSA for destination stay (full days get all meals)
-    const destinationResult = calculateDestinationDSA(currentTime, returnStartTime, destinationPerDiem, gradeMultiplier);
-    
-    totalDSA += destinationResult.totalDSA;
-    totalBreakfast += destinationResult.breakdown.breakfast;
-    totalLunch += destinationResult.breakdown.lunch;
-    totalDinner += destinationResult.breakdown.dinner;
-    totalAccommodation += destinationResult.breakdown.accommodation;
-    totalOther += destinationResult.breakdown.other;
-    breakfastCount += destinationResult.breakdown.breakfastCount;
-    lunchCount += destinationResult.breakdown.lunchCount;
-    dinnerCount += destinationResult.breakdown.dinnerCount;
-    nightCount += destinationResult.breakdown.nightCount;
-    
-    const daysAtDestination = timeAtDestinationHours / 24;
-    
-    // Track return journey - DSA based on destination country of each leg
-    let totalReturnHours = 0;
-    currentTime = returnStartTime;
-    
-    for (let i = 0; i < returnRoutes.length; i++) {
-        const legDepartureTime = returnRoutes[i].departureDate;
-        const legArrivalTime = returnRoutes[i].arrivalDate;
-        const legDurationMs = legArrivalTime - legDepartureTime;
-        const legHours = legDurationMs / (1000 * 60 * 60);
-        
-        totalReturnHours += legHours;
-        
-        // Calculate DSA for this return leg using calculateAllowance with dynamic country rates
-        // Note: calculateAllowance automatically returns 0 allowances when arriving in Zimbabwe
-        const legDeparturePerDiem = countryRates[returnRoutes[i].from].full_day;
-        const legDestinationPerDiem = countryRates[returnRoutes[i].to].full_day;
-        const legResult = calculateAllowance(returnRoutes[i].from, returnRoutes[i].to, legDepartureTime, legArrivalTime, countryRates, gradeMultiplier);
-        
-        totalDSA += legResult.total_allowance_amount;
-        // Extract meal amounts from breakdown by country
+        const entry = paidByDate[key];
+        ['breakfast', 'lunch', 'dinner', 'accommodation', 'other'].forEach(component => {
+            entry[component] += amounts[component] || 0;
+        });
+        priced.forEach(component => {
+            if (!entry.priced.includes(component)) entry.priced.push(component);
+        });
+        entry.rate += rate;
+    };
+
+    // Per-country totals built from the same component amounts as the trip totals
+    const addCountryTotals = (country, amounts) => {
+        if (!country) return;
+        if (!countryTotals[country]) {
+            countryTotals[country] = { breakfast: 0, lunch: 0, dinner: 0, accommodation: 0, other: 0, total: 0 };
+        }
+        const entry = countryTotals[country];
+        entry.breakfast += (amounts.breakfast || 0);
+        entry.lunch += (amounts.lunch || 0);
+        entry.dinner += (amounts.dinner || 0);
+        entry.accommodation += (amounts.accommodation || 0);
+        entry.other += (amounts.other || 0);
+        entry.total = entry.breakfast + entry.lunch + entry.dinner + entry.accommodation + entry.other;
+    };
+
+    // Add a travel leg priced with calculateAllowance
+    // City rates replace the country entries for the leg's endpoints
+    const addLeg = (leg) => {
+        const schedule = scheduleOn(leg.departureDate);
+        const legRates = Object.assign({}, schedule.countryRates);
+        [[leg.from, leg.fromCity], [leg.to, leg.toCity]].forEach(([country, city]) => {
+            const locationRates = getLocationRates(schedule, country, city);
+            legRates[country] = locationRates.rates;
+            if (locationRates.isCityRate) {
+                explanations.push(`${locationRates.location}: ${city} city rate used instead of the ${country} country rate`);
+            }
+        });
+        const legResult = calculateAllowance(leg.from, leg.to, leg.departureDate, leg.arrivalDate, legRates, schedule.gradeMultipliers[grade]);
+
+        rateDSA += legResult.total_allowance_amount;
         Object.keys(legResult.breakdown).forEach(country => {
             const countryBreakdown = legResult.breakdown[country];
-            totalBreakfast += countryBreakdown.amounts.breakfast || 0;
-            totalLunch += countryBreakdown.amounts.lunch || 0;
-            totalDinner += countryBreakdown.amounts.dinner || 0;
-            totalAccommodation += countryBreakdown.amounts.accommodation || 0;
-            totalOther += countryBreakdown.amounts.other || 0;
+            // Allowances on arrival are paid for the arrival date, those on departure for the departure date
+            const date = country === leg.to ? leg.arrivalDate : leg.departureDate;
+            const priced = Object.keys(countryBreakdown.amounts).filter(component => countryBreakdown.amounts[component] > 0);
+            const rate = countryBreakdown.total;
+            deductProvisions(countryBreakdown.amounts, date, country).forEach(deduction => {
+                countryBreakdown.total -= deduction.amount;
+                countryBreakdown.meals = countryBreakdown.meals.filter(meal => meal !== deduction.component);
+            });
+            totalDSA += countryBreakdown.total;
+            components.breakfast.amount += countryBreakdown.amounts.breakfast || 0;
+            components.lunch.amount += countryBreakdown.amounts.lunch || 0;
+            components.dinner.amount += countryBreakdown.amounts.dinner || 0;
+            components.accommodation.amount += countryBreakdown.amounts.accommodation || 0;
+            components.other.amount += countryBreakdown.amounts.other || 0;
             // Count meals
-            if (countryBreakdown.meals.includes('breakfast')) breakfastCount++;
-            if (countryBreakdown.meals.includes('lunch')) lunchCount++;
-            if (countryBreakdown.meals.includes('dinner')) dinnerCount++;
-            if (countryBreakdown.meals.includes('accommodation')) nightCount++;
+            if (countryBreakdown.meals.includes('breakfast')) components.breakfast.count++;
+            if (countryBreakdown.meals.includes('lunch')) components.lunch.count++;
+            if (countryBreakdown.meals.includes('dinner')) components.dinner.count++;
+            if (countryBreakdown.meals.includes('accommodation')) components.accommodation.count++;
+            addCountryTotals(country, countryBreakdown.amounts);
+            addPaid(date, countryBreakdown.amounts, priced, rate);
         });
-        
-        currentTime = legArrivalTime;
-        
-        // If there's a next return route, calculate layover DSA
-        if (i < returnRoutes.length - 1) {
-            const nextDepartureTime = returnRoutes[i + 1].departureDate;
-            const layoverMs = nextDepartureTime - legArrivalTime;
-            const layoverHours = layoverMs / (1000 * 60 * 60);
-            
-            // Special rule: If arriving in Zimbabwe, NO layover allowances are calculated
-            if (returnRoutes[i].to !== 'Zimbabwe') {
-                // During layover, use the current destination country's rate
-                const layoverResult = calculateSegmentDSA(legArrivalTime, nextDepartureTime, countryRates[returnRoutes[i].to].full_day, gradeMultiplier);
-                
-                totalDSA += layoverResult.totalDSA;
-                totalBreakfast += layoverResult.breakdown.breakfast;
-                totalLunch += layoverResult.breakdown.lunch;
-                totalDinner += layoverResult.breakdown.dinner;
-                totalAccommodation += layoverResult.breakdown.accommodation;
-                totalOther += layoverResult.breakdown.other;
-                breakfastCount += layoverResult.breakdown.breakfastCount;
-                lunchCount += layoverResult.breakdown.lunchCount;
-                dinnerCount += layoverResult.breakdown.dinnerCount;
-                nightCount += layoverResult.breakdown.nightCount;
-            }
-            
-            totalReturnHours += layoverHours;
-            currentTime = nextDepartureTime;
+        legResult.explanations.forEach(explanation => explanations.push(explanation));
+    };
+
+    // Add a stay priced with calculateDestinationDSA; rateResult is the stay priced at the full daily rate
+    const addStay = (country, stayResult, rateResult) => {
+        rateDSA += rateResult.totalDSA;
+        const counts = { breakfast: 'breakfastCount', lunch: 'lunchCount', dinner: 'dinnerCount', accommodation: 'nightCount' };
+        stayResult.dates.forEach(dateAmounts => {
+            const rateAmounts = rateResult.dates.find(candidate => candidate.date.toDateString() === dateAmounts.date.toDateString());
+            const rate = ['breakfast', 'lunch', 'dinner', 'accommodation', 'other'].reduce((sum, component) => sum + rateAmounts[component], 0);
+            deductProvisions(dateAmounts, dateAmounts.date, country, dateAmounts.counts).forEach(deduction => {
+                stayResult.breakdown[deduction.component] -= deduction.amount;
+                if (counts[deduction.component]) stayResult.breakdown[counts[deduction.component]] -= deduction.count;
+                stayResult.totalDSA -= deduction.amount;
+            });
+            addPaid(dateAmounts.date, dateAmounts, Object.keys(dateAmounts.counts), rate);
+        });
+        totalDSA += stayResult.totalDSA;
+        components.breakfast.amount += stayResult.breakdown.breakfast;
+        components.lunch.amount += stayResult.breakdown.lunch;
+        components.dinner.amount += stayResult.breakdown.dinner;
+        components.accommodation.amount += stayResult.breakdown.accommodation;
+        components.other.amount += stayResult.breakdown.other;
+        components.breakfast.count += stayResult.breakdown.breakfastCount;
+        components.lunch.count += stayResult.breakdown.lunchCount;
+        components.dinner.count += stayResult.breakdown.dinnerCount;
+        components.accommodation.count += stayResult.breakdown.nightCount;
+        addCountryTotals(country, stayResult.breakdown);
+    };
+
+    // Add the stop between two consecutive legs as a stay at the arrival location's rate
+    // Stops joined by legs within one country are one continuous stay for the long-stay tiers (see stay-tiers.js)
+    const stops = [];
+    let currentStay = null;
+    const addStop = (leg, nextLeg) => {
+        const stayHours = Math.max(0, (nextLeg.departureInstant - leg.arrivalInstant) / (1000 * 60 * 60));
+        const arrivalRates = getLocationRates(scheduleOn(leg.arrivalDate), leg.to, leg.toCity);
+        const stop = {
+            country: leg.to,
+            city: leg.toCity,
+            airport: leg.toAirport,
+            location: arrivalRates.location,
+            arrivalDate: leg.arrivalDate,
+            departureDate: nextLeg.departureDate,
+            hours: stayHours,
+            fullDays: Math.floor(stayHours / 24),
+            perDiem: arrivalRates.rates.full_day,
+            total: 0
+        };
+        stops.push(stop);
+
+        // Special rule: no allowances are calculated while back in Zimbabwe
+        if (leg.to === 'Zimbabwe') {
+            explanations.push(`Zimbabwe (Stop): no allowances while in Zimbabwe between legs`);
+            currentStay = null;
+            return;
         }
-    }
-    
-    
+
+        if (!currentStay || currentStay.country !== leg.to || leg.from !== leg.to) {
+            currentStay = { country: leg.to, start: leg.arrivalDate };
+        }
+        stop.stayStart = currentStay.start;
+
+        const fullRateOn = (date) => {
+            const schedule = scheduleOn(date);
+            return getLocationRates(schedule, leg.to, leg.toCity).rates.full_day * schedule.gradeMultipliers[grade];
+        };
+        const allowanceOn = (date) => fullRateOn(date) * getStayTierFactor(getStayDay(currentStay.start, date));
+        const stayResult = calculateDestinationDSA(leg.arrivalDate, nextLeg.departureDate, allowanceOn, stayHours);
+        // Representation follows the full daily rate, so with long-stay tiers the stay is also priced without them
+        const rateResult = stayTiers.length > 0
+            ? calculateDestinationDSA(leg.arrivalDate, nextLeg.departureDate, fullRateOn, stayHours)
+            : stayResult;
+        addStay(leg.to, stayResult, rateResult);
+        stop.total = stayResult.totalDSA;
+        explanations.push(`${stop.location} (Stay, ${formatHours(stayHours)}): full days receive all meals, accommodation and other expenses at the ${arrivalRates.isCityRate ? 'city' : 'country'} rate`);
+        const lastStayDay = getStayDay(currentStay.start, nextLeg.departureDate);
+        if (getStayTier(lastStayDay)) {
+            explanations.push(`${stop.location}: stay days ${getStayDay(currentStay.start, leg.arrivalDate)}–${lastStayDay}; days from day ${stayTiers[0].fromDay} are paid at the long-stay tier rates`);
+        }
+    };
+
+    // Walk the itinerary in order: every stop between two legs is a stay priced at that stop's rate,
+    // whether the legs either side of it are outbound or return
+    // Note: calculateAllowance automatically returns 0 allowances when arriving in Zimbabwe
+    const itinerary = routes.concat(returnRoutes);
+    let totalOutboundHours = 0;
+    let totalReturnHours = 0;
+    itinerary.forEach((leg, index) => {
+        const legHours = (leg.arrivalInstant - leg.departureInstant) / (1000 * 60 * 60);
+        if (leg.direction === 'outbound') {
+            totalOutboundHours += legHours;
+        } else {
+            totalReturnHours += legHours;
+        }
+        addLeg(leg);
+
+        if (index < itinerary.length - 1) {
+            addStop(leg, itinerary[index + 1]);
+        }
+    });
+
+    // The outbound journey's last arrival, reported as the trip's destination
+    const lastDestination = routes[routes.length - 1].to;
+    const lastDestinationCity = routes[routes.length - 1].toCity;
+    const destinationRates = getLocationRates(getRateSchedule(routes[routes.length - 1].arrivalDate), lastDestination, lastDestinationCity);
+    const destinationPerDiem = destinationRates.rates.full_day;
+    const stayStops = stops.filter(stop => stop.country !== 'Zimbabwe');
+
     // Calculate total duration
-    const totalDurationMs = endDate - startDate;
-    const totalDurationHours = totalDurationMs / (1000 * 60 * 60);
+    const totalDurationHours = (endInstant - startInstant) / (1000 * 60 * 60);
     const totalDurationDays = totalDurationHours / 24;
     const totalDaysForDSA = totalDurationDays; // Use exact decimal days
-    
-    // For display purposes
-    const fullDaysAtDestination = Math.floor(daysAtDestination);
-    const fullDaysTotal = totalDSA;
-    const travelDSA = 0; // All DSA is now included in fullDaysTotal
-    const travelDays = 0; // For backward compatibility with display
-    
-    // Collect all unique countries visited for display
-    let countriesVisited = new Set();
-    routes.forEach(route => {
-        countriesVisited.add(route.from);
-        countriesVisited.add(route.to);
-    });
-    returnRoutes.forEach(route => {
-        countriesVisited.add(route.from);
-        countriesVisited.add(route.to);
+
+    // Collect all unique countries visited
+    const countriesVisited = new Set();
+    legs.forEach(leg => {
+        countriesVisited.add(leg.from);
+        countriesVisited.add(leg.to);
     });
-    
-    // Calculate average per diem for representation allowance (weighted by time in each country)
-    let totalRepresentation = 0;
-    
-    // For display - we already have the actual totals calculated with correct per diems
-    // Just show the destination per diem as reference
-    const destinationDailyAllowance = destinationPerDiem * gradeMultiplier;
-    
-    // Calculate representation allowance based on actual time in each location
-    // This is complex, so we'll use a simplified approach: average of all countries weighted by DSA
+
+    // Representation allowance: average of all countries weighted by DSA
+    // Uses the percentage and multiplier of the schedule in force at departure
+    // It follows the rate, not the allowances paid: long-stay tiers and what the host provided do not reduce it
     let representationAllowance = 0;
-    if (representationPercentages[grade]) {
-        const representationPercentage = representationPercentages[grade];
-        // Calculate based on total DSA proportion
-        const avgPerDiemFromTotal = totalDSA / (totalDaysForDSA * gradeMultiplier);
+    const representationPercentage = startSchedule.representationPercentages[grade] || 0;
+    if (representationPercentage) {
+        const avgPerDiemFromTotal = rateDSA / (totalDaysForDSA * gradeMultiplier);
         representationAllowance = (avgPerDiemFromTotal * representationPercentage / 100) * totalDaysForDSA;
     }
 
-    // Calculate supplementary allowance for external funding
+    // Supplementary allowance for external funding (US$50 per day, max 30 days)
+    let supplementaryDays = 0;
     let supplementaryAllowance = 0;
     if (fundingSource === 'external') {
-        const daysToCount = Math.min(totalDaysForDSA, 30); // Max 30 days
-        supplementaryAllowance = daysToCount * 50; // US$50 per day
+        supplementaryDays = Math.min(totalDaysForDSA, 30);
+        supplementaryAllowance = supplementaryDays * 50;
     }
 
-    // Calculate total payment
-    let totalPayment = fullDaysTotal + travelDSA + representationAllowance;
-    if (fundingSource === 'external') {
-        totalPayment += supplementaryAllowance;
+    // The day-by-day rows carry what is paid on each day, so they add up to the DSA and representation above;
+    // a day's representation is its share of the allowance, by the day's DSA at the full daily rate
+    const paidOn = (date) => {
+        const paid = paidByDate[date.toDateString()];
+        if (!paid) return null;
+        return Object.assign({}, paid, { representation: paid.rate * representationPercentage / (100 * gradeMultiplier) });
+    };
+    const days = computeDayByDay(startDate, endDate, routes, returnRoutes, grade, fundingSource, paidOn);
+    days.forEach(day => scheduleOn(day.date));
+    applyStayTiers(days, stops);
+
+    // The deductions above are numbered by their day and marked on the day rows
+    deductions.sort((a, b) => a.date - b.date);
+    deductions.forEach(deduction => {
+        const dayRow = days.find(candidate => candidate.date.getTime() === deduction.date.getTime());
+        deduction.dayNumber = dayRow ? dayRow.dayNumber : null;
+        explanations.push(`Day ${deduction.dayNumber}: ${deduction.reason} (US$${deduction.amount.toFixed(2)} deducted)`);
+    });
+    applyHostProvisions(days, deductions);
+
+    const totalPayment = totalDSA + representationAllowance + supplementaryAllowance;
+
+    return {
+        grade,
+        purpose,
+        fundingSource,
+        gradeMultiplier,
+        rateSchedules: Array.from(schedulesUsed.values())
+            .sort((a, b) => parseScheduleDate(a.effectiveFrom) - parseScheduleDate(b.effectiveFrom))
+            .map(schedule => ({ version: schedule.version, effectiveFrom: schedule.effectiveFrom })),
+        legs,
+        startDate,
+        endDate,
+        durations: {
+            totalHours: totalDurationHours,
+            totalDays: totalDurationDays,
+            outboundHours: totalOutboundHours,
+            returnHours: totalReturnHours,
+            daysAtDestination: stayStops.reduce((sum, stop) => sum + stop.hours, 0) / 24,
+            fullDaysAtDestination: stayStops.reduce((sum, stop) => sum + stop.fullDays, 0)
+        },
+        destination: {
+            country: lastDestination,
+            city: lastDestinationCity,
+            location: destinationRates.location,
+            perDiem: destinationPerDiem,
+            dailyAllowance: destinationPerDiem * gradeMultiplier
+        },
+        countriesVisited: Array.from(countriesVisited),
+        stops,
+        components,
+        countryTotals,
+        totalDSA,
+        representationPercentage,
+        representationAllowance,
+        supplementaryDays,
+        supplementaryAllowance,
+        totalPayment,
+        provisions,
+        deductions,
+        stayTiers: stayTiers.map(tier => Object.assign({}, tier)),
+        days,
+        daysTotal: days.reduce((sum, day) => sum + day.total, 0),
+        explanations
+    };
+}
+
+// Fields every itinerary row needs; the airports are optional
+const requiredItineraryFields = ['from', 'to', 'departureDate', 'arrivalDate'];
+
+// Form fields of every itinerary row (outbound routes, then return routes), in form order
+function getItineraryRows() {
+    const rows = [];
+    const addRows = (direction, selectors) => {
+        const [froms, tos, departureDates, arrivalDates, fromAirports, toAirports] = selectors.map(selector => document.querySelectorAll(selector));
+        froms.forEach((fromSelect, index) => {
+            rows.push({
+                direction,
+                section: fromSelect.closest('.route-section'),
+                fields: {
+                    from: fromSelect,
+                    to: tos[index],
+                    departureDate: departureDates[index],
+                    arrivalDate: arrivalDates[index],
+                    fromAirport: fromAirports[index],
+                    toAirport: toAirports[index]
+                }
+            });
+        });
+    };
+    addRows('outbound', ['.departure-select', '.destination-select', '.departure-date', '.arrival-date', '.departure-airport', '.destination-airport']);
+    addRows('return', ['.return-departure-select', '.return-destination-select', '.return-departure-date', '.return-arrival-date',
+        '.return-departure-airport', '.return-destination-airport']);
+    return rows;
+}
+
+function isItineraryRowComplete(row) {
+    return requiredItineraryFields.every(field => row.fields[field].value);
+}
+
+// An airport field's IATA code, or the text as typed when it isn't a known airport (validateTripSpec reports it)
+function readAirportCode(input) {
+    const text = input ? input.value.trim() : '';
+    if (!text) return null;
+    const airport = findAirport(text);
+    return airport ? airport.code : text;
+}
+
+// Read the trip currently entered in the form as a tripSpec for computeTrip()
+// Rows with a field left empty are not included (showTripValidation flags them)
+function readTripSpec() {
+    const legs = getItineraryRows().filter(isItineraryRowComplete).map(row => {
+        const from = parseLocation(row.fields.from.value);
+        const to = parseLocation(row.fields.to.value);
+        return {
+            from: from.country,
+            fromCity: from.city,
+            fromAirport: readAirportCode(row.fields.fromAirport),
+            to: to.country,
+            toCity: to.city,
+            toAirport: readAirportCode(row.fields.toAirport),
+            departureDate: row.fields.departureDate.value,
+            arrivalDate: row.fields.arrivalDate.value,
+            direction: row.direction
+        };
+    });
+
+    return {
+        grade: document.getElementById('grade').value,
+        purpose: document.getElementById('purpose').value.trim(),
+        fundingSource: document.getElementById('fundingSource').value,
+        legs,
+        provisions: normaliseProvisions(tripProvisions)
+    };
+}
+
+// Traveller details printed on the claim form (not used in the calculation), keyed to their form fields
+const travellerFields = {
+    name: 'travellerName',
+    ecNumber: 'travellerEcNumber',
+    designation: 'travellerDesignation',
+    department: 'travellerDepartment'
+};
+
+// Read the traveller details entered in the form: { name, ecNumber, designation, department }
+function readTravellerDetails() {
+    const details = {};
+    Object.keys(travellerFields).forEach(key => {
+        details[key] = document.getElementById(travellerFields[key]).value.trim();
+    });
+    return details;
+}
+
+// Fill the traveller details fields (missing details are cleared)
+function fillTravellerDetails(details) {
+    Object.keys(travellerFields).forEach(key => {
+        document.getElementById(travellerFields[key]).value = (details && details[key]) || '';
+    });
+}
+
+// Replace the itinerary rows in the form with tripSpec legs (see computeTrip), outbound legs first
+// Airports fill in their country selects; the form keeps at least one outbound and one return row
+function fillItinerary(legs) {
+    const outboundLegs = legs.filter(leg => leg.direction !== 'return');
+    const returnLegs = legs.filter(leg => leg.direction === 'return');
+
+    document.querySelectorAll('#routesContainer .route-section').forEach((route, index) => {
+        if (index > 0) route.remove();
+    });
+    document.querySelectorAll('#returnRoutesContainer .route-section').forEach((route, index) => {
+        if (index > 0) route.remove();
+    });
+    routeCounter = 1;
+    returnRouteCounter = 1;
+    for (let i = 1; i < outboundLegs.length; i++) addRoute();
+    for (let i = 1; i < returnLegs.length; i++) addReturnRoute();
+
+    const toInputValue = (value) => value instanceof Date ? formatDateTime(value) : (value || '');
+    const fillEndpoint = (select, airportInput, country, city, airport) => {
+        select.value = country ? locationValue(country, city) : '';
+        airportInput.value = airport || '';
+        // Sets the select from the airport (if any) and refreshes the hints that follow it
+        updateAirportEndpoint(select.id);
+    };
+    const fillRows = (rows, rowLegs) => rows.forEach((row, index) => {
+        const leg = rowLegs[index] || {};
+        const { fields } = row;
+        // Entered times replace the defaults rather than being treated as suggestions
+        delete fields.arrivalDate.dataset.suggested;
+        fields.departureDate.value = toInputValue(leg.departureDate);
+        fields.arrivalDate.value = toInputValue(leg.arrivalDate);
+        fillEndpoint(fields.from, fields.fromAirport, leg.from, leg.fromCity, leg.fromAirport);
+        fillEndpoint(fields.to, fields.toAirport, leg.to, leg.toCity, leg.toAirport);
+        fields.departureDate.dispatchEvent(new Event('change'));
+        fields.arrivalDate.dispatchEvent(new Event('change'));
+    });
+
+    const rows = getItineraryRows();
+    fillRows(rows.filter(row => row.direction === 'outbound'), outboundLegs);
+    fillRows(rows.filter(row => row.direction === 'return'), returnLegs);
+
+    clearValidationMessages();
+    document.getElementById('results').style.display = 'none';
+    calculatedTrip = null;
+    tripProvisions = {};
+    tripAdjustments = [];
+    tripAdvances = [];
+    tripAcquittal = null;
+}
+
+// Mark a form field (or section) with an inline error/warning message
+function showFieldMessage(element, message, level) {
+    element.classList.add(`field-${level}`);
+    const note = document.createElement('div');
+    note.className = `field-message ${level}`;
+    note.textContent = message;
+    // Keep several messages for the same field in the order they were added
+    let anchor = element;
+    while (anchor.nextElementSibling && anchor.nextElementSibling.classList.contains('field-message')) {
+        anchor = anchor.nextElementSibling;
     }
+    anchor.insertAdjacentElement('afterend', note);
+}
 
-    // Display results
-    document.getElementById('purposeDisplay').textContent = purpose;
-    document.getElementById('totalDuration').textContent = `${totalDurationDays.toFixed(2)} days (${formatHours(totalDurationHours)})`;
-    document.getElementById('outboundTravel').textContent = formatHours(totalOutboundHours);
-    document.getElementById('returnTravel').textContent = formatHours(totalReturnHours);
-    document.getElementById('fullDays').textContent = `${fullDaysAtDestination} days`;
+// Remove the inline messages of one field (when the user edits it)
+function clearFieldMessage(element) {
+    if (!element.classList || !(element.classList.contains('field-error') || element.classList.contains('field-warning'))) return;
+    element.classList.remove('field-error', 'field-warning');
+    while (element.nextElementSibling && element.nextElementSibling.classList.contains('field-message')) {
+        element.nextElementSibling.remove();
+    }
+}
+
+function clearValidationMessages() {
+    document.querySelectorAll('.field-message').forEach(note => note.remove());
+    document.querySelectorAll('.field-error, .field-warning').forEach(element => element.classList.remove('field-error', 'field-warning'));
+    const summary = document.getElementById('validationSummary');
+    summary.innerHTML = '';
+    summary.style.display = 'none';
+}
+
+// Validate the trip in the form and show every problem next to its field
+// Returns true when there are no blocking errors (warnings are shown but don't block)
+function showTripValidation(tripSpec) {
+    clearValidationMessages();
+
+    const rows = getItineraryRows();
+    const legRows = rows.filter(isItineraryRowComplete);
+    const { errors, warnings } = validateTripSpec(tripSpec);
+    const summaryItems = { error: [], warning: [] };
+    const rowLabel = (row) => row.section.querySelector('.route-title').textContent;
+
+    // Rows with empty fields aren't part of the tripSpec; don't let them be silently ignored
+    rows.filter(row => !isItineraryRowComplete(row)).forEach(row => {
+        requiredItineraryFields.filter(field => !row.fields[field].value).forEach(field => {
+            showFieldMessage(row.fields[field], 'Required', 'error');
+        });
+        summaryItems.error.push(`${rowLabel(row)}: complete every field or remove the route`);
+    });
+
+    const sectionElements = {
+        grade: document.getElementById('grade'),
+        purpose: document.getElementById('purpose'),
+        outbound: document.getElementById('routesContainer'),
+        return: document.getElementById('returnRoutesContainer')
+    };
+    const show = (item, level) => {
+        const row = item.legIndex === null ? null : legRows[item.legIndex];
+        showFieldMessage(row ? row.fields[item.field] : sectionElements[item.field], item.message, level);
+        summaryItems[level].push(row ? `${rowLabel(row)}: ${item.message}` : item.message);
+    };
+    errors.forEach(item => show(item, 'error'));
+    warnings.forEach(item => show(item, 'warning'));
+
+    const summary = document.getElementById('validationSummary');
+    if (summaryItems.error.length > 0 || summaryItems.warning.length > 0) {
+        summary.innerHTML = `
+            ${summaryItems.error.length > 0 ? `
+            <div class="error-box">
+                <strong>Please fix ${summaryItems.error.length} problem${summaryItems.error.length > 1 ? 's' : ''} before calculating:</strong>
+                <ul>${summaryItems.error.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+            </div>` : ''}
+            ${summaryItems.warning.length > 0 ? `
+            <div class="info-box">
+                <strong>Please check:</strong>
+                <ul>${summaryItems.warning.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+            </div>` : ''}
+        `;
+        summary.style.display = 'block';
+    }
+
+    const firstError = document.querySelector('.field-error');
+    if (firstError) {
+        firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return false;
+    }
+    return true;
+}
+
+// Trip shown in the results card, for the exports
+let calculatedTrip = null;
+
+function calculate() {
+    const tripSpec = readTripSpec();
+    if (!showTripValidation(tripSpec)) {
+        return;
+    }
+
+    const trip = computeTrip(tripSpec);
+    calculatedTrip = trip;
+    renderResults(trip);
+    saveCurrentTrip();
+
+    // Show results
+    document.getElementById('results').style.display = 'block';
+    
+    // Smooth scroll to results
+    document.getElementById('results').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Render a computeTrip() result into the results card
+function renderResults(trip) {
+    const { components, durations } = trip;
+
+    document.getElementById('purposeDisplay').textContent = trip.purpose;
+    document.getElementById('totalDuration').textContent = `${durations.totalDays.toFixed(2)} days (${formatHours(durations.totalHours)})`;
+    document.getElementById('outboundTravel').textContent = formatHours(durations.outboundHours);
+    document.getElementById('returnTravel').textContent = formatHours(durations.returnHours);
+    document.getElementById('fullDays').textContent = `${durations.fullDaysAtDestination} days`;
 
     // DSA Breakdown (actual totals claimed)
-    document.getElementById('accommodation').textContent = `US$${totalAccommodation.toFixed(2)} (${nightCount} nights)`;
-    document.getElementById('lunch').textContent = `US$${totalLunch.toFixed(2)} (${lunchCount} meals)`;
-    document.getElementById('dinner').textContent = `US$${totalDinner.toFixed(2)} (${dinnerCount} meals)`;
-    document.getElementById('breakfast').textContent = `US$${totalBreakfast.toFixed(2)} (${breakfastCount} meals)`;
-    document.getElementById('otherExpenses').textContent = `US$${totalOther.toFixed(2)}`;
+    document.getElementById('accommodation').textContent = `${formatPaymentAmount(components.accommodation.amount)} (${components.accommodation.count} nights${describeComponentDeduction(trip, 'accommodation', 'nights')})`;
+    document.getElementById('lunch').textContent = `${formatPaymentAmount(components.lunch.amount)} (${components.lunch.count} meals${describeComponentDeduction(trip, 'lunch', 'meals')})`;
+    document.getElementById('dinner').textContent = `${formatPaymentAmount(components.dinner.amount)} (${components.dinner.count} meals${describeComponentDeduction(trip, 'dinner', 'meals')})`;
+    document.getElementById('breakfast').textContent = `${formatPaymentAmount(components.breakfast.amount)} (${components.breakfast.count} meals${describeComponentDeduction(trip, 'breakfast', 'meals')})`;
+    const otherDeduction = getHostDeduction(trip, 'other').amount;
+    document.getElementById('otherExpenses').textContent = formatPaymentAmount(components.other.amount) +
+        (otherDeduction ? ` (reduced by ${formatPaymentAmount(otherDeduction)} for what the host provided)` : '');
 
     // Show that multiple per diems were used
-    const multipleCountries = countriesVisited.size > 1;
-    if (multipleCountries) {
-        document.getElementById('dailyAllowance').textContent = `Multiple rates used (${countriesVisited.size} countries)`;
+    if (trip.countriesVisited.length > 1) {
+        document.getElementById('dailyAllowance').textContent = `Multiple rates used (${trip.countriesVisited.length} countries)`;
     } else {
-        document.getElementById('dailyAllowance').textContent = `US$${destinationDailyAllowance.toFixed(2)} (${destinationPerDiem} × ${gradeMultiplier})`;
+        document.getElementById('dailyAllowance').textContent = `${formatPaymentAmount(trip.destination.dailyAllowance)} (${trip.destination.perDiem} × ${trip.gradeMultiplier}${trip.destination.city ? `, ${trip.destination.location} city rate` : ''})`;
     }
-    document.getElementById('fullDaysTotal').textContent = `US$${fullDaysTotal.toFixed(2)} (Total DSA calculated per country per diem)`;
+    document.getElementById('fullDaysTotal').textContent = `${formatPaymentAmount(trip.totalDSA)} (Total DSA calculated per country per diem)`;
+    document.getElementById('rateScheduleUsed').textContent = trip.rateSchedules
+        .map(schedule => `${schedule.version} (effective ${schedule.effectiveFrom})`)
+        .join(', ');
+
+    // Exchange rate used for the amounts in the payment currency
+    const paymentCurrency = getPaymentCurrency();
+    document.getElementById('exchangeRateItem').style.display = paymentCurrency ? '' : 'none';
+    document.getElementById('exchangeRateUsed').textContent = paymentCurrency ? describeExchangeRate(paymentCurrency) : '';
+    // A trip saved at an earlier rate keeps it until re-rated
+    const currentRate = paymentCurrency && getExchangeRate(paymentCurrency.currency);
+    document.getElementById('exchangeRateSaved').style.display = isTripRateOutdated() ? '' : 'none';
+    document.getElementById('exchangeRateCurrent').textContent = currentRate
+        ? `The rate tables now have ${describeExchangeRate(currentRate)}.`
+        : 'The rate tables no longer have this currency; re-rating pays the trip in US$ only.';
 
     // Representation allowance UI removed; value remains included in totals
 
     // Show/hide supplementary allowance
-    if (fundingSource === 'external') {
+    if (trip.fundingSource === 'external') {
         document.getElementById('supplementarySection').style.display = 'block';
-        const daysToCount = Math.min(totalDaysForDSA, 30);
-        document.getElementById('supplementaryAllowance').textContent = `US$${supplementaryAllowance.toFixed(2)} (${daysToCount.toFixed(2)} days)`;
+        document.getElementById('supplementaryAllowance').textContent = `${formatPaymentAmount(trip.supplementaryAllowance)} (${trip.supplementaryDays.toFixed(2)} days)`;
     } else {
         document.getElementById('supplementarySection').style.display = 'none';
     }
 
-    document.getElementById('totalPayment').value = totalPayment.toFixed(2);
-
-    // Build per-country totals from calculated components
-    const countryTotalsMap = new Map();
-    function addCountryTotals(country, amounts) {
-        if (!country) return;
-        if (!countryTotalsMap.has(country)) {
-            countryTotalsMap.set(country, { breakfast: 0, lunch: 0, dinner: 0, accommodation: 0, other: 0, total: 0 });
-        }
-        const entry = countryTotalsMap.get(country);
-        entry.breakfast += (amounts.breakfast || 0);
-        entry.lunch += (amounts.lunch || 0);
-        entry.dinner += (amounts.dinner || 0);
-        entry.accommodation += (amounts.accommodation || 0);
-        entry.other += (amounts.other || 0);
-        entry.total = entry.breakfast + entry.lunch + entry.dinner + entry.accommodation + entry.other;
-    }
+    renderHostDeductions(trip);
 
-    // Recompute per-country totals using detailed breakdowns
-    routes.forEach(route => {
-        const res = calculateAllowance(route.from, route.to, route.departureDate, route.arrivalDate, countryRates, gradeMultiplier);
-        Object.keys(res.breakdown).forEach(c => addCountryTotals(c, res.breakdown[c].amounts));
-    });
-    for (let i = 0; i < routes.length - 1; i++) {
-        if (routes[i].to !== 'Zimbabwe') {
-            const lay = calculateSegmentDSA(routes[i].arrivalDate, routes[i + 1].departureDate, countryRates[routes[i].to].full_day, gradeMultiplier);
-            addCountryTotals(routes[i].to, lay.breakdown);
-        }
-    }
-    if (routes.length > 0) {
-        const destCountry = routes[routes.length - 1].to;
-        const destStay = calculateDestinationDSA(currentTime, returnRoutes[0].departureDate, countryRates[destCountry].full_day, gradeMultiplier);
-        addCountryTotals(destCountry, destStay.breakdown);
-    }
-    returnRoutes.forEach(route => {
-        const res = calculateAllowance(route.from, route.to, route.departureDate, route.arrivalDate, countryRates, gradeMultiplier);
-        Object.keys(res.breakdown).forEach(c => addCountryTotals(c, res.breakdown[c].amounts));
-    });
-    for (let i = 0; i < returnRoutes.length - 1; i++) {
-        if (returnRoutes[i].to !== 'Zimbabwe') {
-            const lay = calculateSegmentDSA(returnRoutes[i].arrivalDate, returnRoutes[i + 1].departureDate, countryRates[returnRoutes[i].to].full_day, gradeMultiplier);
-            addCountryTotals(returnRoutes[i].to, lay.breakdown);
-        }
-    }
+    // Total T&S Payment shows the calculated total with any adjustments
+    renderAdjustments(trip);
+    renderAdvances(trip);
+    renderAcquittal(trip);
+    renderDelegation(trip);
 
     // Country breakdown UI intentionally not rendered
 
+    generateItinerarySummary(trip);
+
     // Generate day-by-day breakdown
-    generateDayByDayBreakdown(startDate, endDate, routes, returnRoutes, destinationPerDiem, gradeMultiplier, grade, fundingSource);
+    generateDayByDayBreakdown(trip);
+}
 
-    // Show results
-    document.getElementById('results').style.display = 'block';
-    
-    // Smooth scroll to results
-    document.getElementById('results').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+// Price the calculated trip again after a change outside the form (a day card, a rate setting)
+// The form must still be valid; otherwise the results are left until Calculate shows the problems
+function recalculateResults() {
+    if (!calculatedTrip) return;
+    const tripSpec = readTripSpec();
+    if (validateTripSpec(tripSpec).errors.length > 0) return;
+    calculatedTrip = computeTrip(tripSpec);
+    renderResults(calculatedTrip);
+    saveCurrentTrip();
 }
 
 // Reset form function
 function resetForm() {
+    // Keep the trip being left in My Trips and start a new one
+    startNewTrip();
+    
     // Reset all input fields
+    fillTravellerDetails(null);
     document.getElementById('grade').value = '';
     document.getElementById('purpose').value = '';
     
@@ -1332,6 +1916,12 @@ function resetForm() {
     document.querySelectorAll('.return-destination-select').forEach(select => select.value = '');
     document.querySelectorAll('.return-departure-date').forEach(input => input.value = '');
     document.querySelectorAll('.return-arrival-date').forEach(input => input.value = '');
+    document.querySelectorAll('.departure-airport, .destination-airport, .return-departure-airport, .return-destination-airport')
+        .forEach(input => input.value = '');
+    document.querySelectorAll('.airport-hint').forEach(hint => hint.textContent = '');
+    document.querySelectorAll('.zone-hint').forEach(hint => hint.textContent = hint.dataset.defaultText);
+    clearValidationMessages();
+    document.querySelectorAll('.arrival-suggestion').forEach(suggestion => suggestion.innerHTML = '');
     
     // Remove all extra outbound route sections (keep only first one)
     const allRoutes = document.querySelectorAll('#routesContainer .route-section');
@@ -1354,12 +1944,23 @@ function resetForm() {
     returnRouteCounter = 1;
     
     document.getElementById('fundingSource').value = 'government';
+    tripExchangeRate = null;
+    renderPaymentCurrencyOptions();
+    document.getElementById('paymentCurrency').value = 'USD';
     
     // Hide supplementary note
     document.getElementById('supplementaryNote').style.display = 'none';
     
     // Hide results section
     document.getElementById('results').style.display = 'none';
+    calculatedTrip = null;
+    tripProvisions = {};
+    tripAdjustments = [];
+    tripAdvances = [];
+    tripAcquittal = null;
+    tripDelegation = [];
+    tripVariants = [];
+    renderVariants();
     
     // Scroll to top
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -1380,26 +1981,30 @@ function addRoute() {
     routeDiv.className = 'route-section';
     routeDiv.setAttribute('data-route-id', routeId);
     
-    // Get all countries for dropdowns
-    const countries = Object.keys(countryRates).sort();
-    
-    // Create dropdown options
-    let countryOptions = '<option value="">Select Country</option>';
-    countries.forEach(country => {
-        countryOptions += `<option value="${country}">${country}</option>`;
-    });
+    // Create dropdown options (countries and their rated cities)
+    const countryOptions = buildLocationOptions(getActiveRateSchedule());
     
     routeDiv.innerHTML = `
         <h3 class="route-title">Route ${routeNumber}</h3>
         <button type="button" class="btn-remove-route" onclick="removeRoute(${routeId})" title="Remove this route">
             ×
         </button>
+        <div class="form-group">
+            <label for="departureAirport-${routeId}">Departure Airport (optional):</label>
+            <input type="text" id="departureAirport-${routeId}" class="departure-airport" list="airportList" placeholder="IATA code or name, e.g. HRE" autocomplete="off">
+            <small id="departureAirportHint-${routeId}" class="airport-hint"></small>
+        </div>
         <div class="form-group">
             <label for="departure-${routeId}">Departure Country:</label>
             <select id="departure-${routeId}" class="departure-select">
                 ${countryOptions}
             </select>
         </div>
+        <div class="form-group">
+            <label for="destinationAirport-${routeId}">Destination Airport (optional):</label>
+            <input type="text" id="destinationAirport-${routeId}" class="destination-airport" list="airportList" placeholder="IATA code or name, e.g. HRE" autocomplete="off">
+            <small id="destinationAirportHint-${routeId}" class="airport-hint"></small>
+        </div>
         <div class="form-group">
             <label for="destination-${routeId}">Destination Country:</label>
             <select id="destination-${routeId}" class="destination-select">
@@ -1412,12 +2017,15 @@ function addRoute() {
             <small>DSA will be calculated based on this rate</small>
         </div>
         <div class="form-group">
-            <label for="departureDate-${routeId}">Departure Date & Time:</label>
+            <label for="departureDate-${routeId}">Departure Date & Time (local):</label>
             <input type="datetime-local" id="departureDate-${routeId}" class="departure-date">
+            <small id="departureZone-${routeId}" class="zone-hint">Local time in the departure country</small>
         </div>
         <div class="form-group">
-            <label for="arrivalDate-${routeId}">Arrival Date & Time:</label>
+            <label for="arrivalDate-${routeId}">Arrival Date & Time (local):</label>
             <input type="datetime-local" id="arrivalDate-${routeId}" class="arrival-date">
+            <small id="arrivalZone-${routeId}" class="zone-hint">Local time in the destination country</small>
+            <small id="arrivalSuggestion-${routeId}" class="arrival-suggestion"></small>
         </div>
     `;
     
@@ -1428,6 +2036,18 @@ function addRoute() {
     newDestSelect.addEventListener('change', function() {
         updateRoutePerDiem(routeId);
     });
+    document.getElementById(`arrivalDate-${routeId}`).addEventListener('change', function() {
+        updateRoutePerDiem(routeId);
+    });
+    
+    // Airports fill in the country selects
+    bindAirportEndpoint(`departure-${routeId}`);
+    bindAirportEndpoint(`destination-${routeId}`);
+    
+    // Show the time zone each date is entered in
+    bindZoneHint(`departure-${routeId}`, `departureDate-${routeId}`, `departureZone-${routeId}`);
+    bindZoneHint(`destination-${routeId}`, `arrivalDate-${routeId}`, `arrivalZone-${routeId}`);
+    bindArrivalSuggestion(`departure-${routeId}`, `destination-${routeId}`, `departureDate-${routeId}`, `arrivalDate-${routeId}`, `arrivalSuggestion-${routeId}`);
     
     // Initialize per diem field to 0
     document.getElementById(`perDiem-${routeId}`).value = '0';
@@ -1437,6 +2057,8 @@ function addRoute() {
     const future = new Date(now.getTime() + (3 * 24 * 60 * 60 * 1000));
     document.getElementById(`departureDate-${routeId}`).value = formatDateTime(now);
     document.getElementById(`arrivalDate-${routeId}`).value = formatDateTime(future);
+    // The default arrival is a placeholder: let the first suggestion replace it
+    document.getElementById(`arrivalDate-${routeId}`).dataset.suggested = formatDateTime(future);
 }
 
 // Remove route
@@ -1467,26 +2089,30 @@ function addReturnRoute() {
     routeDiv.className = 'route-section';
     routeDiv.setAttribute('data-return-route-id', routeId);
     
-    // Get all countries for dropdowns
-    const countries = Object.keys(countryRates).sort();
-    
-    // Create dropdown options
-    let countryOptions = '<option value="">Select Country</option>';
-    countries.forEach(country => {
-        countryOptions += `<option value="${country}">${country}</option>`;
-    });
+    // Create dropdown options (countries and their rated cities)
+    const countryOptions = buildLocationOptions(getActiveRateSchedule());
     
     routeDiv.innerHTML = `
         <h3 class="route-title">Return Route ${routeNumber}</h3>
         <button type="button" class="btn-remove-route" onclick="removeReturnRoute(${routeId})" title="Remove this route">
             ×
         </button>
+        <div class="form-group">
+            <label for="returnDepartureAirport-${routeId}">Return Departure Airport (optional):</label>
+            <input type="text" id="returnDepartureAirport-${routeId}" class="return-departure-airport" list="airportList" placeholder="IATA code or name, e.g. HRE" autocomplete="off">
+            <small id="returnDepartureAirportHint-${routeId}" class="airport-hint"></small>
+        </div>
         <div class="form-group">
             <label for="returnDeparture-${routeId}">Return Departure Country:</label>
             <select id="returnDeparture-${routeId}" class="return-departure-select">
                 ${countryOptions}
             </select>
         </div>
+        <div class="form-group">
+            <label for="returnDestinationAirport-${routeId}">Return Destination Airport (optional):</label>
+            <input type="text" id="returnDestinationAirport-${routeId}" class="return-destination-airport" list="airportList" placeholder="IATA code or name, e.g. HRE" autocomplete="off">
+            <small id="returnDestinationAirportHint-${routeId}" class="airport-hint"></small>
+        </div>
         <div class="form-group">
             <label for="returnDestination-${routeId}">Return Destination Country:</label>
             <select id="returnDestination-${routeId}" class="return-destination-select">
@@ -1499,12 +2125,15 @@ function addReturnRoute() {
             <small>DSA will be calculated based on this rate</small>
         </div>
         <div class="form-group">
-            <label for="returnDepartureDate-${routeId}">Return Departure Date & Time:</label>
+            <label for="returnDepartureDate-${routeId}">Return Departure Date & Time (local):</label>
             <input type="datetime-local" id="returnDepartureDate-${routeId}" class="return-departure-date">
+            <small id="returnDepartureZone-${routeId}" class="zone-hint">Local time in the departure country</small>
         </div>
         <div class="form-group">
-            <label for="returnArrivalDate-${routeId}">Return Arrival Date & Time:</label>
+            <label for="returnArrivalDate-${routeId}">Return Arrival Date & Time (local):</label>
             <input type="datetime-local" id="returnArrivalDate-${routeId}" class="return-arrival-date">
+            <small id="returnArrivalZone-${routeId}" class="zone-hint">Local time in the destination country</small>
+            <small id="returnArrivalSuggestion-${routeId}" class="arrival-suggestion"></small>
         </div>
     `;
     
@@ -1515,6 +2144,18 @@ function addReturnRoute() {
     newReturnDestSelect.addEventListener('change', function() {
         updateReturnRoutePerDiem(routeId);
     });
+    document.getElementById(`returnArrivalDate-${routeId}`).addEventListener('change', function() {
+        updateReturnRoutePerDiem(routeId);
+    });
+    
+    // Airports fill in the country selects
+    bindAirportEndpoint(`returnDeparture-${routeId}`);
+    bindAirportEndpoint(`returnDestination-${routeId}`);
+    
+    // Show the time zone each date is entered in
+    bindZoneHint(`returnDeparture-${routeId}`, `returnDepartureDate-${routeId}`, `returnDepartureZone-${routeId}`);
+    bindZoneHint(`returnDestination-${routeId}`, `returnArrivalDate-${routeId}`, `returnArrivalZone-${routeId}`);
+    bindArrivalSuggestion(`returnDeparture-${routeId}`, `returnDestination-${routeId}`, `returnDepartureDate-${routeId}`, `returnArrivalDate-${routeId}`, `returnArrivalSuggestion-${routeId}`);
     
     // Initialize per diem field to 0
     document.getElementById(`returnPerDiem-${routeId}`).value = '0';
@@ -1524,6 +2165,8 @@ function addReturnRoute() {
     const future = new Date(now.getTime() + (6 * 24 * 60 * 60 * 1000));
     document.getElementById(`returnDepartureDate-${routeId}`).value = formatDateTime(now);
     document.getElementById(`returnArrivalDate-${routeId}`).value = formatDateTime(future);
+    // The default arrival is a placeholder: let the first suggestion replace it
+    document.getElementById(`returnArrivalDate-${routeId}`).dataset.suggested = formatDateTime(future);
 }
 
 // Remove return route
@@ -1553,15 +2196,101 @@ function formatDateTime(date) {
     return `${year}-${month}-${day}T${hours}:${minutes}`;
 }
 
+// Escape text for use inside innerHTML templates
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Parse CSV text into an array of rows (arrays of strings); handles quoted fields with commas and quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Format rows (arrays of values) as CSV text
+function formatCsv(rows) {
+    return rows.map(cells => cells.map(cell => {
+        const text = cell === null || cell === undefined ? '' : String(cell);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Read a user-selected file as text
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// Offer text content to the user as a file download
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Update per diem for a specific outbound route
 function updateRoutePerDiem(routeId) {
     const destinationSelect = document.getElementById(`destination-${routeId}`);
     const perDiemField = document.getElementById(`perDiem-${routeId}`);
+    const arrivalInput = document.getElementById(`arrivalDate-${routeId}`);
     
     if (destinationSelect && perDiemField) {
-        const destinationCountry = destinationSelect.value;
-        if (destinationCountry && countryRates[destinationCountry]) {
-            perDiemField.value = countryRates[destinationCountry].full_day;
+        const destination = parseLocation(destinationSelect.value);
+        // Rate from the schedule in force on the arrival date
+        const schedule = getRateSchedule(arrivalInput && arrivalInput.value ? new Date(arrivalInput.value) : new Date());
+        if (destination.country && schedule.countryRates[destination.country]) {
+            perDiemField.value = getLocationRates(schedule, destination.country, destination.city).rates.full_day;
         } else {
             perDiemField.value = '0';
         }
@@ -1572,17 +2301,161 @@ function updateRoutePerDiem(routeId) {
 function updateReturnRoutePerDiem(routeId) {
     const returnDestinationSelect = document.getElementById(`returnDestination-${routeId}`);
     const returnPerDiemField = document.getElementById(`returnPerDiem-${routeId}`);
+    const returnArrivalInput = document.getElementById(`returnArrivalDate-${routeId}`);
     
     if (returnDestinationSelect && returnPerDiemField) {
-        const returnDestinationCountry = returnDestinationSelect.value;
-        if (returnDestinationCountry && countryRates[returnDestinationCountry]) {
-            returnPerDiemField.value = countryRates[returnDestinationCountry].full_day;
+        const returnDestination = parseLocation(returnDestinationSelect.value);
+        // Rate from the schedule in force on the arrival date
+        const schedule = getRateSchedule(returnArrivalInput && returnArrivalInput.value ? new Date(returnArrivalInput.value) : new Date());
+        if (returnDestination.country && schedule.countryRates[returnDestination.country]) {
+            returnPerDiemField.value = getLocationRates(schedule, returnDestination.country, returnDestination.city).rates.full_day;
         } else {
             returnPerDiemField.value = '0';
         }
     }
 }
 
+// Ids of the airport field and its hint that go with a route's country select,
+// e.g. departure-0 -> departureAirport-0 and departureAirportHint-0
+function getAirportFieldIds(countrySelectId) {
+    return {
+        input: countrySelectId.replace(/-(\d+)$/, 'Airport-$1'),
+        hint: countrySelectId.replace(/-(\d+)$/, 'AirportHint-$1')
+    };
+}
+
+// The leg endpoint entered in a route's country select and airport field: { country, city, airport, zone }
+// The airport only counts while it is in the selected country
+function readEndpoint(countrySelectId) {
+    const { country, city } = parseLocation(document.getElementById(countrySelectId).value);
+    const airportInput = document.getElementById(getAirportFieldIds(countrySelectId).input);
+    const found = airportInput ? findAirport(airportInput.value) : null;
+    const airport = found && found.country === country ? found : null;
+    return {
+        country,
+        city: city || (airport ? airport.city : null),
+        airport,
+        zone: airport ? airport.zone : getCountryTimeZone(country)
+    };
+}
+
+// Options for the airport list shared by every airport field
+function buildAirportOptions() {
+    return Object.keys(airports).sort()
+        .map(code => `<option value="${escapeHtml(formatAirport(getAirport(code)))}"></option>`)
+        .join('');
+}
+
+// Set a route's country select from its airport field and name the airport and the rates it uses
+function updateAirportEndpoint(countrySelectId) {
+    const ids = getAirportFieldIds(countrySelectId);
+    const countrySelect = document.getElementById(countrySelectId);
+    const airportInput = document.getElementById(ids.input);
+    const hint = document.getElementById(ids.hint);
+    const text = airportInput.value.trim();
+    const airport = findAirport(text);
+
+    if (!text) {
+        hint.textContent = '';
+    } else if (!airport) {
+        hint.textContent = 'Airport not found: enter its IATA code (e.g. JNB) or choose it from the list';
+    } else {
+        // The airport's country, or its city where that has its own rate
+        const locationRates = getLocationRates(getActiveRateSchedule(), airport.country, airport.city);
+        airportInput.value = airport.code;
+        countrySelect.value = locationValue(airport.country, locationRates.isCityRate ? airport.city : null);
+        hint.textContent = `${airport.name}, ${airport.city} · ${locationRates.location} rates`;
+    }
+    countrySelect.dispatchEvent(new Event('change'));
+}
+
+function bindAirportEndpoint(countrySelectId) {
+    const airportInput = document.getElementById(getAirportFieldIds(countrySelectId).input);
+    airportInput.addEventListener('change', () => updateAirportEndpoint(countrySelectId));
+}
+
+// Show the time zone (and its UTC offset on the entered date) under a local date/time field
+function updateZoneHint(countrySelectId, dateInputId, hintId) {
+    const countrySelect = document.getElementById(countrySelectId);
+    const dateInput = document.getElementById(dateInputId);
+    const hint = document.getElementById(hintId);
+    if (!countrySelect || !dateInput || !hint) return;
+    
+    const { country, city, airport, zone } = readEndpoint(countrySelectId);
+    if (!country) {
+        hint.textContent = hint.dataset.defaultText;
+        return;
+    }
+    
+    const localTime = dateInput.value ? new Date(dateInput.value) : new Date();
+    const offset = getTimeZoneOffset(zone, zonedTimeToUtc(localTime, zone));
+    hint.textContent = `Local time in ${airport ? `${airport.code}, ` : ''}${formatLocation(country, city)} · ${zone} (${formatUtcOffset(offset)})`;
+}
+
+// Keep a zone hint in step with its country select and date field
+function bindZoneHint(countrySelectId, dateInputId, hintId) {
+    const hint = document.getElementById(hintId);
+    hint.dataset.defaultText = hint.textContent;
+    const update = () => updateZoneHint(countrySelectId, dateInputId, hintId);
+    document.getElementById(countrySelectId).addEventListener('change', update);
+    document.getElementById(dateInputId).addEventListener('change', update);
+    update();
+}
+
+// Suggest an arrival time from the expected flight duration once a leg's departure and destination are known
+// The arrival field follows the suggestion until the user enters a different time; "Use" accepts it again
+function updateArrivalSuggestion(fromSelectId, toSelectId, departureInputId, arrivalInputId, suggestionId) {
+    const departureInput = document.getElementById(departureInputId);
+    const arrivalInput = document.getElementById(arrivalInputId);
+    const suggestion = document.getElementById(suggestionId);
+    if (!departureInput || !arrivalInput || !suggestion) return;
+
+    const from = readEndpoint(fromSelectId);
+    const to = readEndpoint(toSelectId);
+    const estimate = from.country && to.country && departureInput.value
+        ? estimateFlightDuration(from.country, to.country, from.city, to.city)
+        : null;
+    if (!estimate || estimate.hours === 0) {
+        suggestion.innerHTML = '';
+        return;
+    }
+
+    // Departure local time -> instant -> arrival local time, rounded to 5 minutes
+    const departureInstant = zonedTimeToUtc(new Date(departureInput.value), from.zone);
+    const arrivalInstant = Math.round((departureInstant + estimate.hours * 60 * 60 * 1000) / (5 * 60 * 1000)) * (5 * 60 * 1000);
+    const suggestedArrival = formatDateTime(utcToZonedTime(arrivalInstant, to.zone));
+    const basis = estimate.basis === 'schedule'
+        ? `scheduled ${estimate.fromCity}–${estimate.toCity} flight time`
+        : `estimated from the ${Math.round(estimate.distanceKm)} km ${estimate.fromCity}–${estimate.toCity} distance`;
+
+    const useSuggestion = () => {
+        arrivalInput.value = suggestedArrival;
+        arrivalInput.dataset.suggested = suggestedArrival;
+        arrivalInput.dispatchEvent(new Event('change'));
+    };
+    if (!arrivalInput.value || arrivalInput.value === arrivalInput.dataset.suggested) {
+        useSuggestion();
+    }
+
+    if (arrivalInput.value === suggestedArrival) {
+        suggestion.textContent = `Suggested arrival: ${formatHours(estimate.hours)} flight (${basis})`;
+    } else {
+        suggestion.innerHTML = `Suggested arrival: ${formatLocalDateTime(new Date(suggestedArrival))} local, ${formatHours(estimate.hours)} flight (${basis})
+            <button type="button" class="btn-link">Use</button>`;
+        suggestion.querySelector('button').addEventListener('click', () => {
+            useSuggestion();
+            updateArrivalSuggestion(fromSelectId, toSelectId, departureInputId, arrivalInputId, suggestionId);
+        });
+    }
+}
+
+// Keep an arrival suggestion in step with its leg's endpoints and departure time
+function bindArrivalSuggestion(fromSelectId, toSelectId, departureInputId, arrivalInputId, suggestionId) {
+    const update = () => updateArrivalSuggestion(fromSelectId, toSelectId, departureInputId, arrivalInputId, suggestionId);
+    [fromSelectId, toSelectId, departureInputId].forEach(id => document.getElementById(id).addEventListener('change', update));
+    update();
+}
+
 // Increment time function
 function incrementTime(fieldId, hours) {
     const field = document.getElementById(fieldId);
@@ -1612,13 +2485,10 @@ function incrementTime(fieldId, hours) {
 // Generate country breakdown
 // Country breakdown generator removed
 
-// Generate day-by-day breakdown
-function generateDayByDayBreakdown(startDate, endDate, routes, returnRoutes, perDiemRate, gradeMultiplier, grade, fundingSource) {
-    const container = document.getElementById('dayByDayBreakdown');
-    const totalsList = document.getElementById('dailyTotalsList');
-    container.innerHTML = ''; // Clear previous content
-    if (totalsList) totalsList.innerHTML = '';
-    let runningDailyTotal = 0;
+// Compute day-by-day allowance rows for a trip: where the traveller is each day and the rates in force there,
+// with the amounts the trip pays for the day; paidOn(date) gives them (see computeTrip), or null for a day nothing is paid
+function computeDayByDay(startDate, endDate, routes, returnRoutes, grade, fundingSource, paidOn) {
+    const days = [];
     
     // Build a timeline of all events
     let timeline = [];
@@ -1628,20 +2498,24 @@ function generateDayByDayBreakdown(startDate, endDate, routes, returnRoutes, per
         timeline.push({
             type: 'travel_start',
             time: route.departureDate,
+            instant: route.departureInstant,
             location: route.from,
+            city: route.fromCity,
+            airport: route.fromAirport,
             destination: route.to,
             routeIndex: index,
-            leg: 'outbound',
-            perDiem: countryRates[route.from]
+            leg: 'outbound'
         });
         timeline.push({
             type: 'travel_end',
             time: route.arrivalDate,
+            instant: route.arrivalInstant,
             location: route.to,
+            city: route.toCity,
+            airport: route.toAirport,
             from: route.from,
             routeIndex: index,
-            leg: 'outbound',
-            perDiem: countryRates[route.to]
+            leg: 'outbound'
         });
     });
     
@@ -1650,292 +2524,251 @@ function generateDayByDayBreakdown(startDate, endDate, routes, returnRoutes, per
         timeline.push({
             type: 'travel_start',
             time: route.departureDate,
+            instant: route.departureInstant,
             location: route.from,
+            city: route.fromCity,
+            airport: route.fromAirport,
             destination: route.to,
             routeIndex: index,
-            leg: 'return',
-            perDiem: countryRates[route.from]
+            leg: 'return'
         });
         timeline.push({
             type: 'travel_end',
             time: route.arrivalDate,
+            instant: route.arrivalInstant,
             location: route.to,
+            city: route.toCity,
+            airport: route.toAirport,
             from: route.from,
             routeIndex: index,
-            leg: 'return',
-            perDiem: countryRates[route.to]
+            leg: 'return'
         });
     });
     
-    // Sort timeline by time
-    timeline.sort((a, b) => a.time - b.time);
+    // Sort timeline by the real instant (local times of different countries aren't comparable)
+    timeline.sort((a, b) => a.instant - b.instant);
     
     // Iterate through each day
     let currentDate = new Date(startDate);
     currentDate.setHours(0, 0, 0, 0);
     let dayCounter = 1;
+    // Where the traveller was at the end of the previous day (days without travel stay there)
+    let carriedLocation = routes[0].from;
+    let carriedCity = routes[0].fromCity;
+    let carriedAirport = routes[0].fromAirport;
     
     while (currentDate <= endDate) {
         const nextDate = new Date(currentDate);
         nextDate.setDate(nextDate.getDate() + 1);
         
+        // Rates, grade multiplier and representation in force on this day
+        const schedule = getRateSchedule(currentDate);
+        const countryRates = schedule.countryRates;
+        const gradeMultiplier = schedule.gradeMultipliers[grade];
+        
         // Determine location, status, and per diem rate for this day
         let dayStatus = 'destination'; // Can be: 'outbound_travel', 'destination', 'return_travel'
-        let currentLocation = routes[routes.length - 1].to; // Default to final destination
-        let currentPerDiem = (countryRates[currentLocation] ? countryRates[currentLocation].full_day : null) || perDiemRate; // Get per diem for current location
+        let currentLocation = carriedLocation; // Default to where the previous day ended
+        let currentCity = carriedCity;
+        let currentAirport = carriedAirport;
+        let rateCountry = currentLocation; // Country whose per diem applies
+        let rateCity = currentCity; // City within rateCountry whose rate applies, if it has one
         
         // Find what's happening on this day and update location/per diem
         for (let event of timeline) {
             if (event.time >= currentDate && event.time < nextDate) {
                 if (event.type === 'travel_start') {
                     dayStatus = event.leg === 'outbound' ? 'outbound_travel' : 'return_travel';
-                    currentLocation = event.location;
-                    currentPerDiem = event.perDiem ? event.perDiem.full_day : perDiemRate;
-                } else if (event.type === 'travel_end') {
-                    currentLocation = event.location;
-                    currentPerDiem = event.perDiem ? event.perDiem.full_day : perDiemRate;
                 }
+                currentLocation = event.location;
+                currentCity = event.city;
+                currentAirport = event.airport;
+                rateCountry = event.location;
+                rateCity = event.city;
             }
         }
+        carriedLocation = currentLocation;
+        carriedCity = currentCity;
+        carriedAirport = currentAirport;
         
         // Special handling for Zimbabwe rules on first and last days
         // On departure day leaving Zimbabwe, use destination country per diem
         if (currentDate.toDateString() === startDate.toDateString() && routes.length > 0) {
             if (routes[0].from === 'Zimbabwe' && countryRates[routes[0].to]) {
-                currentPerDiem = countryRates[routes[0].to].full_day;
+                rateCountry = routes[0].to;
+                rateCity = routes[0].toCity;
             }
         }
         // On final arrival day to Zimbabwe, use departure country per diem for eligible meals
         if (currentDate.toDateString() === endDate.toDateString() && returnRoutes.length > 0) {
             const lastReturn = returnRoutes[returnRoutes.length - 1];
             if (lastReturn.to === 'Zimbabwe' && countryRates[lastReturn.from]) {
-                currentPerDiem = countryRates[lastReturn.from].full_day;
-            }
-        }
-
-        // Calculate component rates based on the possibly adjusted per diem
-        const dailyAllowance = currentPerDiem * gradeMultiplier;
-        const accommodationRate = (dailyAllowance * dsaComponents.accommodation) / 100;
-        const lunchRate = (dailyAllowance * dsaComponents.lunch) / 100;
-        const dinnerRate = (dailyAllowance * dsaComponents.dinner) / 100;
-        const breakfastRate = (dailyAllowance * dsaComponents.breakfast) / 100;
-        const otherRate = (dailyAllowance * dsaComponents.other) / 100;
-        
-        // Calculate allowances for this specific day
-        const dayStart = new Date(currentDate);
-        dayStart.setHours(0, 0, 0, 0);
-        const dayEnd = new Date(currentDate);
-        dayEnd.setHours(23, 59, 59, 999);
-        
-        let allowances = {
-            breakfast: { eligible: false, amount: 0 },
-            lunch: { eligible: false, amount: 0 },
-            dinner: { eligible: false, amount: 0 },
-            accommodation: { eligible: false, amount: 0 },
-            other: { eligible: false, amount: 0 },
-            supplementary: { eligible: false, amount: 0 },
-            representation: { eligible: false, amount: 0 }
-        };
-        
-        // Check if this is the first day (departure day)
-        if (currentDate.toDateString() === startDate.toDateString()) {
-            const depHour = startDate.getHours();
-            const departingFromZimbabwe = routes.length > 0 && routes[0].from === 'Zimbabwe';
-
-            if (departingFromZimbabwe) {
-                // DSA starts at departure. A meal is eligible only if departure occurs BEFORE that meal's start window.
-                // Breakfast (06:00)
-                if (depHour < 6) {
-                    allowances.breakfast = { eligible: true, amount: breakfastRate };
-                }
-                // Lunch (12:00)
-                if (depHour < 12) {
-                    allowances.lunch = { eligible: true, amount: lunchRate };
-                }
-                // Dinner (18:00)
-                if (depHour < 18) {
-                    allowances.dinner = { eligible: true, amount: dinnerRate };
-                }
-            } else {
-                // Non-Zimbabwe departure: keep previous simplified rules based on time of day
-                if (depHour < 6) {
-                    allowances.accommodation = { eligible: true, amount: accommodationRate };
-                } else if (depHour >= 6 && depHour < 12) {
-                    allowances.breakfast = { eligible: true, amount: breakfastRate };
-                } else if (depHour >= 12 && depHour < 18) {
-                    allowances.breakfast = { eligible: true, amount: breakfastRate };
-                    allowances.lunch = { eligible: true, amount: lunchRate };
-                } else if (depHour >= 18) {
-                    allowances.dinner = { eligible: true, amount: dinnerRate };
-                }
-            }
-
-            // Accommodation if overnight travel (not same day arrival back home)
-            if (currentDate.toDateString() !== endDate.toDateString()) {
-                allowances.accommodation = { eligible: true, amount: accommodationRate };
+                rateCountry = lastReturn.from;
+                rateCity = lastReturn.fromCity;
             }
-
-            // Other expenses apply on departure day
-            allowances.other = { eligible: true, amount: otherRate };
         }
-        // Check if this is the last day (arrival home day)
-        else if (currentDate.toDateString() === endDate.toDateString()) {
-            const arrHour = endDate.getHours();
-            const arrivingToZimbabwe = returnRoutes.length > 0 && returnRoutes[returnRoutes.length - 1].to === 'Zimbabwe';
-            
-            if (arrivingToZimbabwe) {
-                // On final arrival to Zimbabwe: award meals only if still traveling during the meal window before arrival
-                // Determine the start of the final travel segment (last return leg departure)
-                const lastReturn = returnRoutes[returnRoutes.length - 1];
-                const travelStart = lastReturn ? lastReturn.departureDate : null;
-
-                // Define windows on the arrival day
-                const makeWindow = (hStart, mStart, hEnd, mEnd) => {
-                    const ws = new Date(endDate); ws.setHours(hStart, mStart, 0, 0);
-                    const we = new Date(endDate); we.setHours(hEnd, mEnd, 0, 0);
-                    return [ws, we];
-                };
-                const [bStart, bEnd] = makeWindow(6, 0, 9, 0);
-                const [lStart, lEnd] = makeWindow(12, 0, 14, 0);
-                const [dStart, dEnd] = makeWindow(18, 0, 20, 0);
-
-                const overlaps = (start, end, winStart, winEnd) => start < winEnd && end > winStart;
-                const inTransitOverlap = (winStart, winEnd) => travelStart && overlaps(travelStart, endDate, winStart, winEnd);
-
-                // Only mark meal eligible if actually in transit during that window
-                if (inTransitOverlap(bStart, bEnd)) {
-                    allowances.breakfast = { eligible: true, amount: breakfastRate };
-                } else {
-                    allowances.breakfast = { eligible: false, amount: 0 };
-                }
-                if (inTransitOverlap(lStart, lEnd)) {
-                    allowances.lunch = { eligible: true, amount: lunchRate };
-                } else {
-                    allowances.lunch = { eligible: false, amount: 0 };
-                }
-                if (inTransitOverlap(dStart, dEnd)) {
-                    allowances.dinner = { eligible: true, amount: dinnerRate };
-                } else {
-                    allowances.dinner = { eligible: false, amount: 0 };
-                }
+        const locationRates = getLocationRates(schedule, rateCountry, rateCity);
+        const currentPerDiem = locationRates.rates.full_day;
+
+        // What the trip pays for this day (see computeTrip)
+        const paid = paidOn(currentDate);
+        const allowances = {};
+        ['breakfast', 'lunch', 'dinner', 'accommodation', 'other'].forEach(component => {
+            allowances[component] = paid && paid.priced.includes(component)
+                ? { eligible: true, amount: paid[component] }
+                : { eligible: false, amount: 0 };
+        });
 
-                // Exclude accommodation and other on final arrival day to Zimbabwe
-                allowances.accommodation = { eligible: false, amount: 0 };
-                allowances.other = { eligible: false, amount: 0 };
-            } else {
-                // Non-Zimbabwe arrivals: meals may apply based on arrival time; no accommodation
-                if (arrHour >= 7) {
-                    allowances.breakfast = { eligible: true, amount: breakfastRate };
-                }
-                if (arrHour >= 14) {
-                    allowances.lunch = { eligible: true, amount: lunchRate };
-                }
-                if (arrHour >= 18) {
-                    allowances.dinner = { eligible: true, amount: dinnerRate };
-                }
-                allowances.accommodation = { eligible: false, amount: 0 };
-                const mealsEligible = (allowances.breakfast.eligible ? 1 : 0) + (allowances.lunch.eligible ? 1 : 0) + (allowances.dinner.eligible ? 1 : 0);
-                if (mealsEligible > 0) {
-                    allowances.other = { eligible: true, amount: otherRate };
-                }
-            }
-        }
-        // Full days at destination or during travel
-        else {
-            // All meals eligible for full days
-            allowances.breakfast = { eligible: true, amount: breakfastRate };
-            allowances.lunch = { eligible: true, amount: lunchRate };
-            allowances.dinner = { eligible: true, amount: dinnerRate };
-            allowances.accommodation = { eligible: true, amount: accommodationRate };
-            allowances.other = { eligible: true, amount: otherRate };
-        }
-        
         // Supplementary allowance for external funding
-        if (fundingSource === 'external' && dayCounter <= 30) {
-            allowances.supplementary = { eligible: true, amount: 50 };
-        }
-        
-        // Representation allowance applies only while at destination (not during outbound/return travel, not in Zimbabwe)
-        if (representationPercentages[grade] > 0 && dayStatus === 'destination' && currentLocation !== 'Zimbabwe') {
-            const repPercentage = representationPercentages[grade];
-            const repAmount = (currentPerDiem * repPercentage / 100);
-            allowances.representation = { eligible: true, amount: repAmount };
-        }
+        allowances.supplementary = fundingSource === 'external' && dayCounter <= 30
+            ? { eligible: true, amount: 50 }
+            : { eligible: false, amount: 0 };
+
+        // Representation allowance follows the allowance priced for the day
+        const repPercentage = schedule.representationPercentages[grade] || 0;
+        allowances.representation = paid && paid.representation > 0
+            ? { eligible: true, amount: paid.representation }
+            : { eligible: false, amount: 0 };
         
         // Calculate day total (include representation; exclude supplementary)
         let dayTotal = 0;
-        let earnedBreakdown = [];
         Object.keys(allowances).forEach(key => {
             if (key === 'supplementary') return;
             if (allowances[key].eligible) {
                 dayTotal += allowances[key].amount;
-                earnedBreakdown.push(`${key.charAt(0).toUpperCase() + key.slice(1)}: US$${allowances[key].amount.toFixed(2)}`);
             }
         });
         
+        days.push({
+            dayNumber: dayCounter,
+            date: new Date(currentDate),
+            status: dayStatus,
+            location: currentLocation,
+            city: currentCity,
+            airport: currentAirport,
+            rateLocation: locationRates.location,
+            isCityRate: locationRates.isCityRate,
+            perDiem: currentPerDiem,
+            gradeMultiplier,
+            representationPercentage: repPercentage,
+            rateSchedule: schedule.version,
+            allowances,
+            total: dayTotal
+        });
+        
+        // Move to next day
+        currentDate.setDate(currentDate.getDate() + 1);
+        dayCounter++;
+    }
+    
+    return days;
+}
+
+// Itinerary table: each leg's endpoints (the airport where one was entered) and the location whose rates apply there
+function generateItinerarySummary(trip) {
+    const container = document.getElementById('itinerarySummary');
+    const endpointCell = (country, city, airportCode, date) => {
+        const airport = getAirport(airportCode);
+        const place = airport ? formatAirport(airport) : formatLocation(country, city);
+        const rateLocation = getLocationRates(getRateSchedule(date), country, city).location;
+        return `${escapeHtml(place)}<span class="rate-location">${escapeHtml(rateLocation)} rates</span>`;
+    };
+    const legLabels = { outbound: 'Outbound', return: 'Return' };
+    const itinerary = trip.legs.filter(leg => leg.direction === 'outbound').concat(trip.legs.filter(leg => leg.direction === 'return'));
+    const legNumbers = { outbound: 0, return: 0 };
+
+    container.innerHTML = `
+        <table class="data-table itinerary-table">
+            <thead>
+                <tr><th>Leg</th><th>From</th><th>Departs (local)</th><th>To</th><th>Arrives (local)</th></tr>
+            </thead>
+            <tbody>
+                ${itinerary.map(leg => `
+                <tr>
+                    <td>${legLabels[leg.direction]} ${++legNumbers[leg.direction]}</td>
+                    <td>${endpointCell(leg.from, leg.fromCity, leg.fromAirport, leg.departureDate)}</td>
+                    <td>${formatLocalDateTime(leg.departureDate)}</td>
+                    <td>${endpointCell(leg.to, leg.toCity, leg.toAirport, leg.arrivalDate)}</td>
+                    <td>${formatLocalDateTime(leg.arrivalDate)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// A day's allowance as shown on its day card
+function formatDayAllowance(allowance) {
+    if (!allowance.eligible) return 'Not Eligible';
+    if (allowance.provided) return 'Provided by host';
+    return formatPaymentAmount(allowance.amount) + (allowance.reduced ? ' (reduced)' : '');
+}
+
+// Generate day-by-day breakdown
+function generateDayByDayBreakdown(trip) {
+    const container = document.getElementById('dayByDayBreakdown');
+    const totalsList = document.getElementById('dailyTotalsList');
+    container.innerHTML = ''; // Clear previous content
+    if (totalsList) totalsList.innerHTML = '';
+    
+    trip.days.forEach(dayRow => {
+        const allowances = dayRow.allowances;
+        const dayTotal = dayRow.total;
+        const gradeMultiplier = dayRow.gradeMultiplier;
+        const gradeMultiplierText = `${gradeMultiplier.toFixed(2)} × per diem base rate`;
+        const repPercent = dayRow.representationPercentage;
+        
         // Create day item HTML
         const dayItem = document.createElement('div');
         dayItem.className = 'day-item';
         
-        const statusEmoji = dayStatus === 'outbound_travel' ? '✈️ Outbound Travel' : 
-                           dayStatus === 'return_travel' ? '✈️ Return Travel' : 
+        const statusEmoji = dayRow.status === 'outbound_travel' ? '✈️ Outbound Travel' : 
+                           dayRow.status === 'return_travel' ? '✈️ Return Travel' : 
                            '📍 At Destination';
         
         // Format date as dd/mm/yyyy
-        const day = String(currentDate.getDate()).padStart(2, '0');
-        const month = String(currentDate.getMonth() + 1).padStart(2, '0');
-        const year = currentDate.getFullYear();
+        const day = String(dayRow.date.getDate()).padStart(2, '0');
+        const month = String(dayRow.date.getMonth() + 1).padStart(2, '0');
+        const year = dayRow.date.getFullYear();
         const formattedDate = `${day}/${month}/${year}`;
         
-        const gradeMultiplierText = (() => {
-            switch (grade) {
-                case 'minister': return '1.50 × per diem base rate';
-                case 'accounting': return '1.45 × per diem base rate';
-                case 'accounting_non': return '1.40 × per diem base rate';
-                case 'chief_director': return '1.35 × per diem base rate';
-                case 'director': return '1.30 × per diem base rate';
-                case 'deputy_director': return '1.25 × per diem base rate';
-                default: return '1.00 × per diem base rate';
-            }
-        })();
-
-        const repPercent = representationPercentages[grade] || 0;
         dayItem.innerHTML = `
             <div class="day-header">
-                <span class="day-number">DAY ${dayCounter} - ${formattedDate}</span>
+                <span class="day-number">DAY ${dayRow.dayNumber} - ${formattedDate}</span>
             </div>
-            <div class="day-location">${statusEmoji} - ${currentLocation}</div>
-            <div class="day-allowances">
-                <div class="allowance-item ${allowances.breakfast.eligible ? 'eligible' : 'not-eligible'}">
-                    <span class="allowance-label">🍳 Breakfast:</span>
-                    <span class="allowance-value">${allowances.breakfast.eligible ? 'US$' + allowances.breakfast.amount.toFixed(2) : 'Not Eligible'}</span>
-                </div>
-                <div class="allowance-item ${allowances.lunch.eligible ? 'eligible' : 'not-eligible'}">
-                    <span class="allowance-label">🍴 Lunch:</span>
-                    <span class="allowance-value">${allowances.lunch.eligible ? 'US$' + allowances.lunch.amount.toFixed(2) : 'Not Eligible'}</span>
-                </div>
-                <div class="allowance-item ${allowances.dinner.eligible ? 'eligible' : 'not-eligible'}">
-                    <span class="allowance-label">🍽️ Dinner:</span>
-                    <span class="allowance-value">${allowances.dinner.eligible ? 'US$' + allowances.dinner.amount.toFixed(2) : 'Not Eligible'}</span>
-                </div>
-                <div class="allowance-item ${allowances.accommodation.eligible ? 'eligible' : 'not-eligible'}">
-                    <span class="allowance-label">🏨 Accommodation:</span>
-                    <span class="allowance-value">${allowances.accommodation.eligible ? 'US$' + allowances.accommodation.amount.toFixed(2) : 'Not Eligible'}</span>
-                </div>
-                <div class="allowance-item ${allowances.other.eligible ? 'eligible' : 'not-eligible'}">
-                    <span class="allowance-label">💼 Other Expenses:</span>
-                    <span class="allowance-value">${allowances.other.eligible ? 'US$' + allowances.other.amount.toFixed(2) : 'Not Eligible'}</span>
-                </div>
+            <div class="day-location">${statusEmoji} - ${formatLocation(dayRow.location, dayRow.city)}${dayRow.airport ? ` · ${dayRow.airport}` : ''}</div>
+        <div class="day-allowances">
+            <div class="allowance-item ${allowances.breakfast.eligible ? 'eligible' : 'not-eligible'}${allowances.breakfast.provided ? ' provided' : ''}">
+                <span class="allowance-label">🍳 Breakfast:</span>
+                <span class="allowance-value">${formatDayAllowance(allowances.breakfast)}</span>
             </div>
-            <div class="day-total">
-                <span>Daily Total Earned:</span>
-                <span>US$${dayTotal.toFixed(2)}</span>
+            <div class="allowance-item ${allowances.lunch.eligible ? 'eligible' : 'not-eligible'}${allowances.lunch.provided ? ' provided' : ''}">
+                <span class="allowance-label">🍴 Lunch:</span>
+                <span class="allowance-value">${formatDayAllowance(allowances.lunch)}</span>
             </div>
-            <div class="rate-note">Rate used: ${gradeMultiplierText} (grade multiplier ${gradeMultiplier.toFixed(2)})</div>
-            ${allowances.representation && allowances.representation.eligible ? `
-            <div class=\"rate-note\">Representation: US$${allowances.representation.amount.toFixed(2)} (${repPercent}% of base rate) — included in daily total</div>
-            ` : ''}
-        `;
+            <div class="allowance-item ${allowances.dinner.eligible ? 'eligible' : 'not-eligible'}${allowances.dinner.provided ? ' provided' : ''}">
+                <span class="allowance-label">🍽️ Dinner:</span>
+                <span class="allowance-value">${formatDayAllowance(allowances.dinner)}</span>
+            </div>
+            <div class="allowance-item ${allowances.accommodation.eligible ? 'eligible' : 'not-eligible'}${allowances.accommodation.provided ? ' provided' : ''}">
+                <span class="allowance-label">🏨 Accommodation:</span>
+                <span class="allowance-value">${formatDayAllowance(allowances.accommodation)}</span>
+            </div>
+            <div class="allowance-item ${allowances.other.eligible ? 'eligible' : 'not-eligible'}${allowances.other.provided ? ' provided' : ''}">
+                <span class="allowance-label">💼 Other Expenses:</span>
+                <span class="allowance-value">${formatDayAllowance(allowances.other)}</span>
+            </div>
+        </div>
+        ${renderDayProvisions(dayRow)}
+        <div class="day-total">
+            <span>Daily Total Earned:</span>
+            <span>${formatPaymentAmount(dayTotal)}</span>
+        </div>
+        <div class="rate-note">Rate used: ${dayRow.rateLocation} ${dayRow.isCityRate ? 'city' : 'country'} rate US$${dayRow.perDiem.toFixed(2)}, ${gradeMultiplierText} (grade multiplier ${gradeMultiplier.toFixed(2)}) — ${dayRow.rateSchedule} rate schedule</div>
+        ${trip.stayTiers.length > 0 && dayRow.stayDay ? `<div class="rate-note">Long stay: ${describeStayTier(dayRow.stayDay, dayRow.stayTier)}</div>` : ''}
+        ${allowances.representation && allowances.representation.eligible ? `
+        <div class=\"rate-note\">Representation: US$${allowances.representation.amount.toFixed(2)} (${repPercent}% of base rate) — included in daily total</div>
+        ` : ''}
+    `;
         
         container.appendChild(dayItem);
 
@@ -1943,74 +2776,66 @@ function generateDayByDayBreakdown(startDate, endDate, routes, returnRoutes, per
         if (totalsList) {
             const row = document.createElement('div');
             row.className = 'totals-row';
-            row.innerHTML = `<span>Day ${dayCounter}</span><span>US$${dayTotal.toFixed(2)}</span>`;
+            row.innerHTML = `<span>Day ${dayRow.dayNumber}</span><span>${formatPaymentAmount(dayTotal)}</span>`;
             totalsList.appendChild(row);
         }
-        runningDailyTotal += dayTotal;
-        
-        // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
-        dayCounter++;
-    }
+    });
     // Append grand total of all days
     if (totalsList) {
         const totalRow = document.createElement('div');
         totalRow.className = 'totals-row';
         totalRow.style.fontWeight = '700';
-        totalRow.innerHTML = `<span>Total (Day 1–${dayCounter - 1})</span><span>US$${runningDailyTotal.toFixed(2)}</span>`;
+        totalRow.innerHTML = `<span>Total (Day 1–${trip.days.length})</span><span>${formatPaymentAmount(trip.daysTotal)}</span>`;
         totalsList.appendChild(totalRow);
     }
 }
 
-// Print to PDF function
+// Print the claim form (see claim-form.js); the trip stays in the form afterwards
 function printToPDF() {
     window.print();
-    
-    // Reset everything after printing
-    setTimeout(() => {
-        resetForm();
-    }, 500); // Small delay to ensure print dialog closes first
 }
 
 // Set default dates (today to 3 days from now)
 window.addEventListener('DOMContentLoaded', () => {
-    // Populate country dropdowns for first pair
-    const countries = Object.keys(countryRates).sort();
+    // Populate country dropdowns for first pair (countries and their rated cities)
+    const locationOptions = buildLocationOptions(getActiveRateSchedule());
     const departureSelect = document.getElementById('departure-0');
     const destinationSelect = document.getElementById('destination-0');
     const returnDepartureSelect = document.getElementById('returnDeparture-0');
     const returnDestinationSelect = document.getElementById('returnDestination-0');
     
-    countries.forEach(country => {
-        const option1 = document.createElement('option');
-        option1.value = country;
-        option1.textContent = country;
-        departureSelect.appendChild(option1);
-        
-        const option2 = document.createElement('option');
-        option2.value = country;
-        option2.textContent = country;
-        destinationSelect.appendChild(option2);
-        
-        const option3 = document.createElement('option');
-        option3.value = country;
-        option3.textContent = country;
-        returnDepartureSelect.appendChild(option3);
-        
-        const option4 = document.createElement('option');
-        option4.value = country;
-        option4.textContent = country;
-        returnDestinationSelect.appendChild(option4);
+    [departureSelect, destinationSelect, returnDepartureSelect, returnDestinationSelect].forEach(select => {
+        select.innerHTML = locationOptions;
     });
+    document.getElementById('airportList').innerHTML = buildAirportOptions();
     
     // Add event listeners for initial route per diem updates
     destinationSelect.addEventListener('change', function() {
         updateRoutePerDiem(0);
     });
+    document.getElementById('arrivalDate-0').addEventListener('change', function() {
+        updateRoutePerDiem(0);
+    });
     
     returnDestinationSelect.addEventListener('change', function() {
         updateReturnRoutePerDiem(0);
     });
+    document.getElementById('returnArrivalDate-0').addEventListener('change', function() {
+        updateReturnRoutePerDiem(0);
+    });
+    
+    // Airports fill in the country selects
+    ['departure-0', 'destination-0', 'returnDeparture-0', 'returnDestination-0'].forEach(bindAirportEndpoint);
+    
+    // Show the time zone each date is entered in
+    bindZoneHint('departure-0', 'departureDate-0', 'departureZone-0');
+    bindZoneHint('destination-0', 'arrivalDate-0', 'arrivalZone-0');
+    bindZoneHint('returnDeparture-0', 'returnDepartureDate-0', 'returnDepartureZone-0');
+    bindZoneHint('returnDestination-0', 'returnArrivalDate-0', 'returnArrivalZone-0');
+    
+    // Suggest arrival times from the expected flight durations
+    bindArrivalSuggestion('departure-0', 'destination-0', 'departureDate-0', 'arrivalDate-0', 'arrivalSuggestion-0');
+    bindArrivalSuggestion('returnDeparture-0', 'returnDestination-0', 'returnDepartureDate-0', 'returnArrivalDate-0', 'returnArrivalSuggestion-0');
     
     // Initialize per diem fields to 0
     document.getElementById('perDiem-0').value = '0';
@@ -2025,6 +2850,13 @@ window.addEventListener('DOMContentLoaded', () => {
     document.getElementById('arrivalDate-0').value = formatDateTime(futureDate);
     document.getElementById('returnDepartureDate-0').value = formatDateTime(returnDepartDate);
     document.getElementById('returnArrivalDate-0').value = formatDateTime(returnArrivalDate);
+    // The default arrivals are placeholders: let the first suggestions replace them
+    document.getElementById('arrivalDate-0').dataset.suggested = formatDateTime(futureDate);
+    document.getElementById('returnArrivalDate-0').dataset.suggested = formatDateTime(returnArrivalDate);
+
+    // Clear a field's validation message once it is edited
+    document.addEventListener('change', event => clearFieldMessage(event.target));
+    document.addEventListener('input', event => clearFieldMessage(event.target));
 
     // Show/hide supplementary note based on funding source
     document.getElementById('fundingSource').addEventListener('change', function() {
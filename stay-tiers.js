@@ -0,0 +1,153 @@
+// Long-stay tiers: subsistence for an extended stay is paid at a lower percentage of the daily rate
+// from a given day of the stay, e.g. 75% from day 31 and 50% from day 61. Days are counted per
+// continuous stay in a country, from the day of arrival; a new stay starts the count again.
+// Representation is not tiered: it follows the full daily rate
+
+// localStorage key for the tiers set in the Rate Tables card
+const stayTiersStorageKey = 'tsCalculator.stayTiers';
+
+// Check tiers read from storage: whole days from day 2 and percentages from 0 to 100, one tier per day,
+// returned in fromDay order
+function normaliseStayTiers(tiers) {
+    const normalised = [];
+    (Array.isArray(tiers) ? tiers : []).forEach(tier => {
+        if (!tier || !Number.isInteger(tier.fromDay) || tier.fromDay < 2) return;
+        if (typeof tier.percentage !== 'number' || !(tier.percentage >= 0 && tier.percentage <= 100)) return;
+        if (normalised.some(existing => existing.fromDay === tier.fromDay)) return;
+        normalised.push({ fromDay: tier.fromDay, percentage: tier.percentage });
+    });
+    return normalised.sort((a, b) => a.fromDay - b.fromDay);
+}
+
+// Stay-length tiers: [{ fromDay, percentage }] in fromDay order; days before the first tier are paid in full
+function loadStayTiers() {
+    try {
+        return normaliseStayTiers(JSON.parse(localStorage.getItem(stayTiersStorageKey) || '[]'));
+    } catch (error) {
+        // Unreadable storage: every day is paid in full
+        return [];
+    }
+}
+
+function saveStayTiers() {
+    try {
+        localStorage.setItem(stayTiersStorageKey, JSON.stringify(stayTiers));
+    } catch (error) {
+        // Storage unavailable: the tiers apply until the page is reloaded
+    }
+}
+
+// Tiers in force, read by computeTrip(); changed only through the Rate Tables card
+const stayTiers = loadStayTiers();
+
+// Day of a stay that started on stayStart (a local date) that a date falls on, counting the arrival day as day 1
+function getStayDay(stayStart, date) {
+    const start = new Date(stayStart);
+    start.setHours(0, 0, 0, 0);
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    // Rounded, as a day across a DST change is not 24 hours
+    return Math.round((day - start) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+// Tier a day of a stay falls in, or null when it is paid in full
+function getStayTier(stayDay) {
+    let tier = null;
+    stayTiers.forEach(candidate => {
+        if (stayDay >= candidate.fromDay) tier = candidate;
+    });
+    return tier;
+}
+
+// Share of the daily rate paid on a day of a stay
+function getStayTierFactor(stayDay) {
+    const tier = getStayTier(stayDay);
+    return tier ? tier.percentage / 100 : 1;
+}
+
+// A stay day and its tier, e.g. "Stay day 45: 75% of the daily rate (from day 31)" or "Stay day 12: full rate (days 1–30)"
+function describeStayTier(stayDay, tier) {
+    if (tier) return `Stay day ${stayDay}: ${tier.percentage}% of the daily rate (from day ${tier.fromDay})`;
+    return `Stay day ${stayDay}: full rate${stayTiers.length > 0 ? ` (days 1–${stayTiers[0].fromDay - 1})` : ''}`;
+}
+
+/**
+ * Mark each day-by-day row with its day of stay and tier; the rows' amounts are already at the tier's rate (see computeTrip)
+ * A day belongs to the stay at the stop in the day's country that covers its date
+ * @param {Array} days - Day rows from computeDayByDay(), updated in place (stayDay, stayTier)
+ * @param {Array} stops - Stops from computeTrip(), with the stayStart of the continuous stay they are part of
+ */
+function applyStayTiers(days, stops) {
+    days.forEach(dayRow => {
+        const stop = stops.find(candidate => candidate.stayStart && candidate.country === dayRow.location &&
+            getStayDay(candidate.arrivalDate, dayRow.date) >= 1 && getStayDay(candidate.departureDate, dayRow.date) <= 1);
+        dayRow.stayDay = stop ? getStayDay(stop.stayStart, dayRow.date) : null;
+        dayRow.stayTier = stop ? getStayTier(dayRow.stayDay) : null;
+    });
+}
+
+// List the tiers in the Rate Tables card
+function renderStayTiers() {
+    const list = document.getElementById('stayTierList');
+    if (!list) return;
+    if (stayTiers.length === 0) {
+        list.innerHTML = '<p class="muted">No long-stay tiers. Every day of a stay is paid at the full rate.</p>';
+        return;
+    }
+    list.innerHTML = `
+        <table class="data-table stay-tiers">
+            <thead>
+                <tr><th>Days of Stay</th><th class="number">Share of Daily Rate</th><th></th></tr>
+            </thead>
+            <tbody>
+                <tr><td>1–${stayTiers[0].fromDay - 1}</td><td class="number">100%</td><td></td></tr>
+                ${stayTiers.map((tier, index) => `
+                <tr>
+                    <td>${tier.fromDay}${index < stayTiers.length - 1 ? `–${stayTiers[index + 1].fromDay - 1}` : ' onwards'}</td>
+                    <td class="number">${tier.percentage}%</td>
+                    <td><button type="button" class="btn-link" onclick="removeStayTier(${index})">Remove</button></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Add the tier entered in the Rate Tables card, replacing a tier that starts on the same day
+function addStayTier() {
+    const fromDayInput = document.getElementById('stayTierFromDay');
+    const percentageInput = document.getElementById('stayTierPercentage');
+    [fromDayInput, percentageInput].forEach(clearFieldMessage);
+
+    const fromDay = Number(fromDayInput.value);
+    const percentage = parseFloat(percentageInput.value);
+    let valid = true;
+    if (!Number.isInteger(fromDay) || fromDay < 2) {
+        showFieldMessage(fromDayInput, 'Enter the day of the stay the tier starts on (2 or later)', 'error');
+        valid = false;
+    }
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+        showFieldMessage(percentageInput, 'Enter the percentage of the daily rate paid, between 0 and 100', 'error');
+        valid = false;
+    }
+    if (!valid) return;
+
+    const existingIndex = stayTiers.findIndex(tier => tier.fromDay === fromDay);
+    if (existingIndex >= 0) stayTiers.splice(existingIndex, 1);
+    stayTiers.push({ fromDay, percentage });
+    stayTiers.sort((a, b) => a.fromDay - b.fromDay);
+    saveStayTiers();
+    fromDayInput.value = '';
+    percentageInput.value = '';
+
+    renderStayTiers();
+    recalculateResults();
+}
+
+function removeStayTier(index) {
+    stayTiers.splice(index, 1);
+    saveStayTiers();
+    renderStayTiers();
+    recalculateResults();
+}
+
+window.addEventListener('DOMContentLoaded', renderStayTiers);
@@ -0,0 +1,549 @@
+// Offline time zone data for converting local departure/arrival times to real instants
+// Offsets are standard time in minutes east of UTC; dst names a rule in daylightSavingRules
+
+// Daylight-saving transition rules
+// Each transition: month (1-12), weekday (0 = Sunday), week (1-4 or 'last') or onOrAfter (day of month),
+// hour of the change in local time before the change (or UTC when utc is true)
+const daylightSavingRules = {
+    EU: {
+        start: { month: 3, weekday: 0, week: 'last', hour: 1, utc: true },
+        end: { month: 10, weekday: 0, week: 'last', hour: 1, utc: true }
+    },
+    US: {
+        start: { month: 3, weekday: 0, week: 2, hour: 2 },
+        end: { month: 11, weekday: 0, week: 1, hour: 2 }
+    },
+    CU: {
+        start: { month: 3, weekday: 0, week: 2, hour: 0 },
+        end: { month: 11, weekday: 0, week: 1, hour: 1 }
+    },
+    AU: {
+        start: { month: 10, weekday: 0, week: 1, hour: 2 },
+        end: { month: 4, weekday: 0, week: 1, hour: 3 }
+    },
+    NZ: {
+        start: { month: 9, weekday: 0, week: 'last', hour: 2 },
+        end: { month: 4, weekday: 0, week: 1, hour: 3 }
+    },
+    CL: {
+        start: { month: 9, weekday: 0, onOrAfter: 2, hour: 4, utc: true },
+        end: { month: 4, weekday: 0, onOrAfter: 2, hour: 3, utc: true }
+    },
+    IL: {
+        start: { month: 3, weekday: 5, onOrAfter: 23, hour: 2 },
+        end: { month: 10, weekday: 0, week: 'last', hour: 2 }
+    },
+    PS: {
+        start: { month: 3, weekday: 6, onOrAfter: 24, hour: 2 },
+        end: { month: 10, weekday: 6, onOrAfter: 24, hour: 2 }
+    },
+    LB: {
+        start: { month: 3, weekday: 0, week: 'last', hour: 0 },
+        end: { month: 10, weekday: 0, week: 'last', hour: 0 }
+    },
+    EG: {
+        start: { month: 4, weekday: 5, week: 'last', hour: 0 },
+        end: { month: 10, weekday: 4, week: 'last', hour: 24 }
+    }
+};
+
+// Time zones (IANA names) with standard offset and daylight-saving rule
+const timeZones = {
+    'UTC': { offset: 0 },
+    'Africa/Abidjan': { offset: 0 },
+    'Africa/Accra': { offset: 0 },
+    'Africa/Addis_Ababa': { offset: 180 },
+    'Africa/Algiers': { offset: 60 },
+    'Africa/Asmara': { offset: 180 },
+    'Africa/Bamako': { offset: 0 },
+    'Africa/Bangui': { offset: 60 },
+    'Africa/Banjul': { offset: 0 },
+    'Africa/Bissau': { offset: 0 },
+    'Africa/Blantyre': { offset: 120 },
+    'Africa/Brazzaville': { offset: 60 },
+    'Africa/Bujumbura': { offset: 120 },
+    'Africa/Cairo': { offset: 120, dst: 'EG' },
+    'Africa/Casablanca': { offset: 60 },
+    'Africa/Conakry': { offset: 0 },
+    'Africa/Dakar': { offset: 0 },
+    'Africa/Dar_es_Salaam': { offset: 180 },
+    'Africa/Djibouti': { offset: 180 },
+    'Africa/Douala': { offset: 60 },
+    'Africa/El_Aaiun': { offset: 60 },
+    'Africa/Freetown': { offset: 0 },
+    'Africa/Gaborone': { offset: 120 },
+    'Africa/Harare': { offset: 120 },
+    'Africa/Johannesburg': { offset: 120 },
+    'Africa/Juba': { offset: 120 },
+    'Africa/Kampala': { offset: 180 },
+    'Africa/Khartoum': { offset: 120 },
+    'Africa/Kigali': { offset: 120 },
+    'Africa/Kinshasa': { offset: 60 },
+    'Africa/Lagos': { offset: 60 },
+    'Africa/Libreville': { offset: 60 },
+    'Africa/Lome': { offset: 0 },
+    'Africa/Luanda': { offset: 60 },
+    'Africa/Lubumbashi': { offset: 120 },
+    'Africa/Lusaka': { offset: 120 },
+    'Africa/Malabo': { offset: 60 },
+    'Africa/Maputo': { offset: 120 },
+    'Africa/Maseru': { offset: 120 },
+    'Africa/Mbabane': { offset: 120 },
+    'Africa/Mogadishu': { offset: 180 },
+    'Africa/Monrovia': { offset: 0 },
+    'Africa/Nairobi': { offset: 180 },
+    'Africa/Ndjamena': { offset: 60 },
+    'Africa/Niamey': { offset: 60 },
+    'Africa/Nouakchott': { offset: 0 },
+    'Africa/Ouagadougou': { offset: 0 },
+    'Africa/Porto-Novo': { offset: 60 },
+    'Africa/Sao_Tome': { offset: 0 },
+    'Africa/Tripoli': { offset: 120 },
+    'Africa/Tunis': { offset: 60 },
+    'Africa/Windhoek': { offset: 120 },
+    'America/Anguilla': { offset: -240 },
+    'America/Antigua': { offset: -240 },
+    'America/Argentina/Buenos_Aires': { offset: -180 },
+    'America/Aruba': { offset: -240 },
+    'America/Asuncion': { offset: -180 },
+    'America/Barbados': { offset: -240 },
+    'America/Belize': { offset: -360 },
+    'America/Bogota': { offset: -300 },
+    'America/Cayman': { offset: -300 },
+    'America/Chicago': { offset: -360, dst: 'US' },
+    'America/Costa_Rica': { offset: -360 },
+    'America/Curacao': { offset: -240 },
+    'America/Denver': { offset: -420, dst: 'US' },
+    'America/Dominica': { offset: -240 },
+    'America/El_Salvador': { offset: -360 },
+    'America/Grand_Turk': { offset: -300, dst: 'US' },
+    'America/Grenada': { offset: -240 },
+    'America/Guatemala': { offset: -360 },
+    'America/Guayaquil': { offset: -300 },
+    'America/Guyana': { offset: -240 },
+    'America/Havana': { offset: -300, dst: 'CU' },
+    'America/Jamaica': { offset: -300 },
+    'America/La_Paz': { offset: -240 },
+    'America/Lima': { offset: -300 },
+    'America/Los_Angeles': { offset: -480, dst: 'US' },
+    'America/Lower_Princes': { offset: -240 },
+    'America/Managua': { offset: -360 },
+    'America/Mexico_City': { offset: -360 },
+    'America/Montevideo': { offset: -180 },
+    'America/Nassau': { offset: -300, dst: 'US' },
+    'America/New_York': { offset: -300, dst: 'US' },
+    'America/Panama': { offset: -300 },
+    'America/Paramaribo': { offset: -180 },
+    'America/Port-au-Prince': { offset: -300, dst: 'US' },
+    'America/Port_of_Spain': { offset: -240 },
+    'America/Santiago': { offset: -240, dst: 'CL' },
+    'America/Santo_Domingo': { offset: -240 },
+    'America/Sao_Paulo': { offset: -180 },
+    'America/St_Kitts': { offset: -240 },
+    'America/St_Lucia': { offset: -240 },
+    'America/St_Thomas': { offset: -240 },
+    'America/St_Vincent': { offset: -240 },
+    'America/Tegucigalpa': { offset: -360 },
+    'America/Toronto': { offset: -300, dst: 'US' },
+    'America/Tortola': { offset: -240 },
+    'America/Vancouver': { offset: -480, dst: 'US' },
+    'Asia/Aden': { offset: 180 },
+    'Asia/Almaty': { offset: 300 },
+    'Asia/Amman': { offset: 180 },
+    'Asia/Ashgabat': { offset: 300 },
+    'Asia/Baghdad': { offset: 180 },
+    'Asia/Bahrain': { offset: 180 },
+    'Asia/Baku': { offset: 240 },
+    'Asia/Bangkok': { offset: 420 },
+    'Asia/Beirut': { offset: 120, dst: 'LB' },
+    'Asia/Bishkek': { offset: 360 },
+    'Asia/Brunei': { offset: 480 },
+    'Asia/Colombo': { offset: 330 },
+    'Asia/Damascus': { offset: 180 },
+    'Asia/Dhaka': { offset: 360 },
+    'Asia/Dili': { offset: 540 },
+    'Asia/Dubai': { offset: 240 },
+    'Asia/Dushanbe': { offset: 300 },
+    'Asia/Hebron': { offset: 120, dst: 'PS' },
+    'Asia/Ho_Chi_Minh': { offset: 420 },
+    'Asia/Hong_Kong': { offset: 480 },
+    'Asia/Jakarta': { offset: 420 },
+    'Asia/Jerusalem': { offset: 120, dst: 'IL' },
+    'Asia/Kabul': { offset: 270 },
+    'Asia/Karachi': { offset: 300 },
+    'Asia/Kathmandu': { offset: 345 },
+    'Asia/Kolkata': { offset: 330 },
+    'Asia/Kuala_Lumpur': { offset: 480 },
+    'Asia/Kuwait': { offset: 180 },
+    'Asia/Macau': { offset: 480 },
+    'Asia/Manila': { offset: 480 },
+    'Asia/Muscat': { offset: 240 },
+    'Asia/Nicosia': { offset: 120, dst: 'EU' },
+    'Asia/Phnom_Penh': { offset: 420 },
+    'Asia/Pyongyang': { offset: 540 },
+    'Asia/Qatar': { offset: 180 },
+    'Asia/Riyadh': { offset: 180 },
+    'Asia/Seoul': { offset: 540 },
+    'Asia/Shanghai': { offset: 480 },
+    'Asia/Singapore': { offset: 480 },
+    'Asia/Taipei': { offset: 480 },
+    'Asia/Tashkent': { offset: 300 },
+    'Asia/Tbilisi': { offset: 240 },
+    'Asia/Tehran': { offset: 210 },
+    'Asia/Thimphu': { offset: 360 },
+    'Asia/Tokyo': { offset: 540 },
+    'Asia/Ulaanbaatar': { offset: 480 },
+    'Asia/Vientiane': { offset: 420 },
+    'Asia/Yangon': { offset: 390 },
+    'Asia/Yerevan': { offset: 240 },
+    'Atlantic/Cape_Verde': { offset: -60 },
+    'Atlantic/Reykjavik': { offset: 0 },
+    'Australia/Brisbane': { offset: 600 },
+    'Australia/Melbourne': { offset: 600, dst: 'AU' },
+    'Australia/Perth': { offset: 480 },
+    'Australia/Sydney': { offset: 600, dst: 'AU' },
+    'Europe/Amsterdam': { offset: 60, dst: 'EU' },
+    'Europe/Andorra': { offset: 60, dst: 'EU' },
+    'Europe/Athens': { offset: 120, dst: 'EU' },
+    'Europe/Belgrade': { offset: 60, dst: 'EU' },
+    'Europe/Berlin': { offset: 60, dst: 'EU' },
+    'Europe/Bratislava': { offset: 60, dst: 'EU' },
+    'Europe/Brussels': { offset: 60, dst: 'EU' },
+    'Europe/Bucharest': { offset: 120, dst: 'EU' },
+    'Europe/Budapest': { offset: 60, dst: 'EU' },
+    'Europe/Chisinau': { offset: 120, dst: 'EU' },
+    'Europe/Copenhagen': { offset: 60, dst: 'EU' },
+    'Europe/Dublin': { offset: 0, dst: 'EU' },
+    'Europe/Gibraltar': { offset: 60, dst: 'EU' },
+    'Europe/Helsinki': { offset: 120, dst: 'EU' },
+    'Europe/Istanbul': { offset: 180 },
+    'Europe/Kyiv': { offset: 120, dst: 'EU' },
+    'Europe/Lisbon': { offset: 0, dst: 'EU' },
+    'Europe/Ljubljana': { offset: 60, dst: 'EU' },
+    'Europe/London': { offset: 0, dst: 'EU' },
+    'Europe/Luxembourg': { offset: 60, dst: 'EU' },
+    'Europe/Madrid': { offset: 60, dst: 'EU' },
+    'Europe/Malta': { offset: 60, dst: 'EU' },
+    'Europe/Minsk': { offset: 180 },
+    'Europe/Monaco': { offset: 60, dst: 'EU' },
+    'Europe/Moscow': { offset: 180 },
+    'Europe/Oslo': { offset: 60, dst: 'EU' },
+    'Europe/Paris': { offset: 60, dst: 'EU' },
+    'Europe/Podgorica': { offset: 60, dst: 'EU' },
+    'Europe/Prague': { offset: 60, dst: 'EU' },
+    'Europe/Riga': { offset: 120, dst: 'EU' },
+    'Europe/Rome': { offset: 60, dst: 'EU' },
+    'Europe/San_Marino': { offset: 60, dst: 'EU' },
+    'Europe/Sarajevo': { offset: 60, dst: 'EU' },
+    'Europe/Skopje': { offset: 60, dst: 'EU' },
+    'Europe/Sofia': { offset: 120, dst: 'EU' },
+    'Europe/Stockholm': { offset: 60, dst: 'EU' },
+    'Europe/Tallinn': { offset: 120, dst: 'EU' },
+    'Europe/Tirane': { offset: 60, dst: 'EU' },
+    'Europe/Vienna': { offset: 60, dst: 'EU' },
+    'Europe/Vilnius': { offset: 120, dst: 'EU' },
+    'Europe/Warsaw': { offset: 60, dst: 'EU' },
+    'Europe/Zagreb': { offset: 60, dst: 'EU' },
+    'Europe/Zurich': { offset: 60, dst: 'EU' },
+    'Indian/Antananarivo': { offset: 180 },
+    'Indian/Comoro': { offset: 180 },
+    'Indian/Mahe': { offset: 240 },
+    'Indian/Maldives': { offset: 300 },
+    'Indian/Mauritius': { offset: 240 },
+    'Pacific/Apia': { offset: 780 },
+    'Pacific/Auckland': { offset: 720, dst: 'NZ' },
+    'Pacific/Efate': { offset: 660 },
+    'Pacific/Fakaofo': { offset: 780 },
+    'Pacific/Fiji': { offset: 720 },
+    'Pacific/Funafuti': { offset: 720 },
+    'Pacific/Guadalcanal': { offset: 660 },
+    'Pacific/Guam': { offset: 600 },
+    'Pacific/Majuro': { offset: 720 },
+    'Pacific/Nauru': { offset: 720 },
+    'Pacific/Niue': { offset: -660 },
+    'Pacific/Palau': { offset: 540 },
+    'Pacific/Pohnpei': { offset: 660 },
+    'Pacific/Port_Moresby': { offset: 600 },
+    'Pacific/Tarawa': { offset: 720 }
+};
+
+// Time zone used for each country in countryRates (the capital's zone for multi-zone countries)
+const countryTimeZones = {
+    'Afghanistan': 'Asia/Kabul',
+    'Albania': 'Europe/Tirane',
+    'Algeria': 'Africa/Algiers',
+    'Andorra': 'Europe/Andorra',
+    'Angola': 'Africa/Luanda',
+    'Anguilla': 'America/Anguilla',
+    'Antigua and Barbuda': 'America/Antigua',
+    'Argentina': 'America/Argentina/Buenos_Aires',
+    'Armenia': 'Asia/Yerevan',
+    'Aruba': 'America/Aruba',
+    'Australia': 'Australia/Sydney',
+    'Austria': 'Europe/Vienna',
+    'Azerbaijan': 'Asia/Baku',
+    'Bahamas': 'America/Nassau',
+    'Bahrain': 'Asia/Bahrain',
+    'Bangladesh': 'Asia/Dhaka',
+    'Barbados': 'America/Barbados',
+    'Belarus': 'Europe/Minsk',
+    'Belgium': 'Europe/Brussels',
+    'Belize': 'America/Belize',
+    'Benin': 'Africa/Porto-Novo',
+    'Bhutan': 'Asia/Thimphu',
+    'Bolivia': 'America/La_Paz',
+    'Bosnia and Herzegovina': 'Europe/Sarajevo',
+    'Botswana': 'Africa/Gaborone',
+    'Brazil': 'America/Sao_Paulo',
+    'British Virgin Islands': 'America/Tortola',
+    'Brunei': 'Asia/Brunei',
+    'Bulgaria': 'Europe/Sofia',
+    'Burkina Faso': 'Africa/Ouagadougou',
+    'Burundi': 'Africa/Bujumbura',
+    'Cambodia': 'Asia/Phnom_Penh',
+    'Cameroon': 'Africa/Douala',
+    'Canada': 'America/Toronto',
+    'Cape Verde': 'Atlantic/Cape_Verde',
+    'Cayman Islands': 'America/Cayman',
+    'Central African Rep.': 'Africa/Bangui',
+    'Chad': 'Africa/Ndjamena',
+    'Chile': 'America/Santiago',
+    'China': 'Asia/Shanghai',
+    'China, Hong Kong': 'Asia/Hong_Kong',
+    'China, Macau': 'Asia/Macau',
+    'Colombia': 'America/Bogota',
+    'Comoros': 'Indian/Comoro',
+    'Congo': 'Africa/Brazzaville',
+    'Congo, Dem. Rep.': 'Africa/Kinshasa',
+    'Costa Rica': 'America/Costa_Rica',
+    'Cote d\'Ivoire': 'Africa/Abidjan',
+    'Croatia': 'Europe/Zagreb',
+    'Cuba': 'America/Havana',
+    'Curacao': 'America/Curacao',
+    'Cyprus': 'Asia/Nicosia',
+    'Czech Republic': 'Europe/Prague',
+    'Denmark': 'Europe/Copenhagen',
+    'Djibouti': 'Africa/Djibouti',
+    'Dominica': 'America/Dominica',
+    'Dominican Republic': 'America/Santo_Domingo',
+    'Ecuador': 'America/Guayaquil',
+    'Egypt': 'Africa/Cairo',
+    'El Salvador': 'America/El_Salvador',
+    'Equatorial Guinea': 'Africa/Malabo',
+    'Eritrea': 'Africa/Asmara',
+    'Estonia': 'Europe/Tallinn',
+    'Eswatini': 'Africa/Mbabane',
+    'Ethiopia': 'Africa/Addis_Ababa',
+    'Fiji': 'Pacific/Fiji',
+    'Finland': 'Europe/Helsinki',
+    'France': 'Europe/Paris',
+    'Gabon': 'Africa/Libreville',
+    'Gambia': 'Africa/Banjul',
+    'Georgia': 'Asia/Tbilisi',
+    'Germany': 'Europe/Berlin',
+    'Ghana': 'Africa/Accra',
+    'Gibraltar': 'Europe/Gibraltar',
+    'Greece': 'Europe/Athens',
+    'Grenada': 'America/Grenada',
+    'Guam': 'Pacific/Guam',
+    'Guatemala': 'America/Guatemala',
+    'Guinea': 'Africa/Conakry',
+    'Guinea Bissau': 'Africa/Bissau',
+    'Guyana': 'America/Guyana',
+    'Haiti': 'America/Port-au-Prince',
+    'Honduras': 'America/Tegucigalpa',
+    'Hungary': 'Europe/Budapest',
+    'Iceland': 'Atlantic/Reykjavik',
+    'India': 'Asia/Kolkata',
+    'Indonesia': 'Asia/Jakarta',
+    'Iran': 'Asia/Tehran',
+    'Iraq': 'Asia/Baghdad',
+    'Ireland': 'Europe/Dublin',
+    'Israel': 'Asia/Jerusalem',
+    'Italy': 'Europe/Rome',
+    'Jamaica': 'America/Jamaica',
+    'Japan': 'Asia/Tokyo',
+    'Jerusalem': 'Asia/Jerusalem',
+    'Jordan': 'Asia/Amman',
+    'Kazakhstan': 'Asia/Almaty',
+    'Kenya': 'Africa/Nairobi',
+    'Kiribati': 'Pacific/Tarawa',
+    'North Korea': 'Asia/Pyongyang',
+    'South Korea': 'Asia/Seoul',
+    'Kuwait': 'Asia/Kuwait',
+    'Kyrgyzstan': 'Asia/Bishkek',
+    'Lao Peo': 'Asia/Vientiane',
+    'Latvia': 'Europe/Riga',
+    'Lebanon': 'Asia/Beirut',
+    'Lesotho': 'Africa/Maseru',
+    'Liberia': 'Africa/Monrovia',
+    'Libya': 'Africa/Tripoli',
+    'Lithuania': 'Europe/Vilnius',
+    'Luxembourg': 'Europe/Luxembourg',
+    'Madagascar': 'Indian/Antananarivo',
+    'Malawi': 'Africa/Blantyre',
+    'Malaysia': 'Asia/Kuala_Lumpur',
+    'Maldives': 'Indian/Maldives',
+    'Mali': 'Africa/Bamako',
+    'Malta': 'Europe/Malta',
+    'Marshall Islands': 'Pacific/Majuro',
+    'Mauritania': 'Africa/Nouakchott',
+    'Mauritius': 'Indian/Mauritius',
+    'Mexico': 'America/Mexico_City',
+    'Micronesia': 'Pacific/Pohnpei',
+    'Moldova': 'Europe/Chisinau',
+    'Monaco': 'Europe/Monaco',
+    'Mongolia': 'Asia/Ulaanbaatar',
+    'Montenegro': 'Europe/Podgorica',
+    'Morocco': 'Africa/Casablanca',
+    'Mozambique': 'Africa/Maputo',
+    'Myanmar': 'Asia/Yangon',
+    'Namibia': 'Africa/Windhoek',
+    'Nauru': 'Pacific/Nauru',
+    'Nepal': 'Asia/Kathmandu',
+    'Netherlands': 'Europe/Amsterdam',
+    'New Zealand': 'Pacific/Auckland',
+    'Nicaragua': 'America/Managua',
+    'Niger': 'Africa/Niamey',
+    'Nigeria': 'Africa/Lagos',
+    'Niue': 'Pacific/Niue',
+    'Norway': 'Europe/Oslo',
+    'Oman': 'Asia/Muscat',
+    'Pakistan': 'Asia/Karachi',
+    'Palau': 'Pacific/Palau',
+    'Palestine': 'Asia/Hebron',
+    'Panama': 'America/Panama',
+    'Papua New Guinea': 'Pacific/Port_Moresby',
+    'Paraguay': 'America/Asuncion',
+    'Peru': 'America/Lima',
+    'Philippines': 'Asia/Manila',
+    'Poland': 'Europe/Warsaw',
+    'Portugal': 'Europe/Lisbon',
+    'Qatar': 'Asia/Qatar',
+    'Romania': 'Europe/Bucharest',
+    'Russian Federation': 'Europe/Moscow',
+    'Rwanda': 'Africa/Kigali',
+    'Saint Maarteen': 'America/Lower_Princes',
+    'Saint Lucia': 'America/St_Lucia',
+    'Saint Kitts and Nevis': 'America/St_Kitts',
+    'Saint Vincent-Grenadines': 'America/St_Vincent',
+    'Samoa': 'Pacific/Apia',
+    'San Marino': 'Europe/San_Marino',
+    'Sao Tome and Principe': 'Africa/Sao_Tome',
+    'Saudi Arabia': 'Asia/Riyadh',
+    'Senegal': 'Africa/Dakar',
+    'Serbia': 'Europe/Belgrade',
+    'Seychelles': 'Indian/Mahe',
+    'Sierra Leone': 'Africa/Freetown',
+    'Singapore': 'Asia/Singapore',
+    'Slovak Republic': 'Europe/Bratislava',
+    'Slovenia': 'Europe/Ljubljana',
+    'Solomon Islands': 'Pacific/Guadalcanal',
+    'Somalia': 'Africa/Mogadishu',
+    'South Africa': 'Africa/Johannesburg',
+    'South Sudan': 'Africa/Juba',
+    'Spain': 'Europe/Madrid',
+    'Sri Lanka': 'Asia/Colombo',
+    'Sudan': 'Africa/Khartoum',
+    'Suriname': 'America/Paramaribo',
+    'Sweden': 'Europe/Stockholm',
+    'Switzerland': 'Europe/Zurich',
+    'Syrian Arabic Republic': 'Asia/Damascus',
+    'Taiwan': 'Asia/Taipei',
+    'Tajikistan': 'Asia/Dushanbe',
+    'Tanzania': 'Africa/Dar_es_Salaam',
+    'Thailand': 'Asia/Bangkok',
+    'The Republic of North Macedonia': 'Europe/Skopje',
+    'Timor-Leste': 'Asia/Dili',
+    'Togo': 'Africa/Lome',
+    'Tokelau': 'Pacific/Fakaofo',
+    'Trinidad and Tobago': 'America/Port_of_Spain',
+    'Tunisia': 'Africa/Tunis',
+    'Turkey': 'Europe/Istanbul',
+    'Turkmenistan': 'Asia/Ashgabat',
+    'Turks and Caicos Islands': 'America/Grand_Turk',
+    'Tuvalu': 'Pacific/Funafuti',
+    'Uganda': 'Africa/Kampala',
+    'Ukraine': 'Europe/Kyiv',
+    'United Arab Emirates': 'Asia/Dubai',
+    'United Kingdom': 'Europe/London',
+    'Uruguay': 'America/Montevideo',
+    'USA': 'America/New_York',
+    'Uzbekistan': 'Asia/Tashkent',
+    'Vanuatu': 'Pacific/Efate',
+    'Virgin Islands': 'America/St_Thomas',
+    'Vietnam': 'Asia/Ho_Chi_Minh',
+    'Western Sahara': 'Africa/El_Aaiun',
+    'Yemen': 'Asia/Aden',
+    'Zambia': 'Africa/Lusaka',
+    'Zimbabwe': 'Africa/Harare'
+};
+
+// Get the time zone for a country (UTC if the country is unknown)
+function getCountryTimeZone(country) {
+    return countryTimeZones[country] || 'UTC';
+}
+
+// Day of the month on which a daylight-saving transition falls in the given year
+function getTransitionDay(transition, year) {
+    if (transition.onOrAfter) {
+        const weekday = new Date(Date.UTC(year, transition.month - 1, transition.onOrAfter)).getUTCDay();
+        return transition.onOrAfter + (transition.weekday - weekday + 7) % 7;
+    }
+    if (transition.week === 'last') {
+        const lastDay = new Date(Date.UTC(year, transition.month, 0));
+        return lastDay.getUTCDate() - (lastDay.getUTCDay() - transition.weekday + 7) % 7;
+    }
+    const firstWeekday = new Date(Date.UTC(year, transition.month - 1, 1)).getUTCDay();
+    return 1 + (transition.weekday - firstWeekday + 7) % 7 + (transition.week - 1) * 7;
+}
+
+// UTC time (ms) of a daylight-saving transition; offsetBefore is the zone offset in force just before it
+function getTransitionTime(transition, year, offsetBefore) {
+    const day = getTransitionDay(transition, year);
+    const localMs = Date.UTC(year, transition.month - 1, day, transition.hour);
+    return transition.utc ? localMs : localMs - offsetBefore * 60 * 1000;
+}
+
+// Offset from UTC (minutes) of a time zone at the given UTC time (ms)
+function getTimeZoneOffset(zone, utcMs) {
+    const info = timeZones[zone] || timeZones['UTC'];
+    if (!info.dst) return info.offset;
+
+    const rule = daylightSavingRules[info.dst];
+    const year = new Date(utcMs).getUTCFullYear();
+    const dstStart = getTransitionTime(rule.start, year, info.offset);
+    const dstEnd = getTransitionTime(rule.end, year, info.offset + 60);
+
+    // Southern hemisphere rules start late in the year and end early in the next
+    const inDst = dstStart < dstEnd
+        ? (utcMs >= dstStart && utcMs < dstEnd)
+        : (utcMs >= dstStart || utcMs < dstEnd);
+
+    return inDst ? info.offset + 60 : info.offset;
+}
+
+// Convert a local wall-clock time in a zone to a UTC time (ms)
+// The wall clock is a Date whose date/time fields hold the local time, as parsed from a datetime-local input
+function zonedTimeToUtc(wallClock, zone) {
+    const wallMs = Date.UTC(wallClock.getFullYear(), wallClock.getMonth(), wallClock.getDate(),
+        wallClock.getHours(), wallClock.getMinutes(), wallClock.getSeconds());
+    const firstGuess = wallMs - getTimeZoneOffset(zone, wallMs) * 60 * 1000;
+    return wallMs - getTimeZoneOffset(zone, firstGuess) * 60 * 1000;
+}
+
+// Convert a UTC time (ms) to the local wall-clock time in a zone
+function utcToZonedTime(utcMs, zone) {
+    const shifted = new Date(utcMs + getTimeZoneOffset(zone, utcMs) * 60 * 1000);
+    return new Date(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate(),
+        shifted.getUTCHours(), shifted.getUTCMinutes(), shifted.getUTCSeconds());
+}
+
+// Format an offset in minutes as UTC+hh:mm
+function formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+    const mins = String(abs % 60).padStart(2, '0');
+    return `UTC${sign}${hours}:${mins}`;
+}
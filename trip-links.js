@@ -0,0 +1,214 @@
+// Trip links: encode the trip in the URL fragment (#trip=...) so someone else can open it and see the
+// same calculation. The fragment never leaves the browser, so nothing is sent to a server
+
+// Encoding written by copyTripLink
+const tripLinkVersion = 3;
+
+// Legs as encoded in every version: [[direction 'o'|'r', from, fromAirport, to, toAirport, departure, arrival]]
+// from/to are location values (country or country|city), dates are datetime-local values
+function decodeTripLinkLegs(legs) {
+    return legs.map(([direction, from, fromAirport, to, toAirport, departureDate, arrivalDate]) => {
+        const fromLocation = parseLocation(String(from));
+        const toLocation = parseLocation(String(to));
+        return {
+            direction: direction === 'r' ? 'return' : 'outbound',
+            from: fromLocation.country,
+            fromCity: fromLocation.city,
+            fromAirport: fromAirport || null,
+            to: toLocation.country,
+            toCity: toLocation.city,
+            toAirport: toAirport || null,
+            departureDate: String(departureDate),
+            arrivalDate: String(arrivalDate)
+        };
+    });
+}
+
+// Decoders for every encoding version ever issued, so old links keep loading
+// To change the encoding, add a new version here and bump tripLinkVersion; never change or remove an old one
+const tripLinkDecoders = {
+    // Deflated JSON: [grade, purpose, fundingSource, legs] (see decodeTripLinkLegs)
+    1: (bytes) => inflateBytes(bytes).then(inflated => {
+        const [grade, purpose, fundingSource, legs] = JSON.parse(new TextDecoder().decode(inflated));
+        if (![grade, purpose, fundingSource].every(value => typeof value === 'string') || !Array.isArray(legs)) {
+            throw new Error('Unexpected trip data');
+        }
+        return { grade, purpose, fundingSource, legs: decodeTripLinkLegs(legs), provisions: {} };
+    }),
+    // Deflated JSON: [grade, purpose, fundingSource, legs, provisions] where provisions are what the host
+    // provided, [[date yyyy-mm-dd, [component, ...], note]] (see tripProvisions)
+    2: (bytes) => inflateBytes(bytes).then(inflated => {
+        const [grade, purpose, fundingSource, legs, provisions] = JSON.parse(new TextDecoder().decode(inflated));
+        if (![grade, purpose, fundingSource].every(value => typeof value === 'string') || !Array.isArray(legs) || !Array.isArray(provisions)) {
+            throw new Error('Unexpected trip data');
+        }
+        const provisionsByDate = {};
+        provisions.forEach(([date, components, note]) => {
+            provisionsByDate[String(date)] = { components, note };
+        });
+        return { grade, purpose, fundingSource, legs: decodeTripLinkLegs(legs), provisions: normaliseProvisions(provisionsByDate) };
+    }),
+    // Deflated JSON: [grade, purpose, fundingSource, legs, provisions, adjustments, paymentCurrency] as in version 2,
+    // where adjustments are [[scope, dayNumber|component|null, amount, reason, createdAt]] (see tripAdjustments)
+    // and paymentCurrency is the rate paid at, [currency, rate, rateDate, source], or null when paid in US$ only
+    3: (bytes) => inflateBytes(bytes).then(inflated => {
+        const [grade, purpose, fundingSource, legs, provisions, adjustments, paymentCurrency] = JSON.parse(new TextDecoder().decode(inflated));
+        if (![grade, purpose, fundingSource].every(value => typeof value === 'string') || !Array.isArray(legs) || !Array.isArray(provisions) ||
+            !Array.isArray(adjustments) || (paymentCurrency !== null && !Array.isArray(paymentCurrency))) {
+            throw new Error('Unexpected trip data');
+        }
+        const provisionsByDate = {};
+        provisions.forEach(([date, components, note]) => {
+            provisionsByDate[String(date)] = { components, note };
+        });
+        const [currency, rate, rateDate, source] = paymentCurrency || [];
+        return {
+            grade,
+            purpose,
+            fundingSource,
+            legs: decodeTripLinkLegs(legs),
+            provisions: normaliseProvisions(provisionsByDate),
+            adjustments: adjustments
+                .map(([scope, target, amount, reason, createdAt]) => normaliseAdjustment({
+                    scope, dayNumber: target, component: target, amount, reason, createdAt
+                }))
+                .filter(Boolean),
+            paymentCurrency: paymentCurrency ? normaliseExchangeRate({ currency, rate, rateDate, source }) : null
+        };
+    })
+};
+
+// Run bytes through a compression or decompression stream
+function transformBytes(bytes, transform) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(transform))
+        .arrayBuffer()
+        .then(buffer => new Uint8Array(buffer));
+}
+
+function deflateBytes(bytes) {
+    return transformBytes(bytes, new CompressionStream('deflate-raw'));
+}
+
+function inflateBytes(bytes) {
+    return transformBytes(bytes, new DecompressionStream('deflate-raw'));
+}
+
+// Base64 with the URL-safe alphabet and no padding
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => binary += String.fromCharCode(byte));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+// Encode a tripSpec (see readTripSpec) with the trip's adjustments (see tripAdjustments) and the rate it is
+// paid at (see getPaymentCurrency) as a fragment value: "<version>.<data>"
+function encodeTripLink(tripSpec, adjustments, paymentCurrency) {
+    const payload = [
+        tripSpec.grade,
+        tripSpec.purpose,
+        tripSpec.fundingSource,
+        tripSpec.legs.map(leg => [
+            leg.direction === 'return' ? 'r' : 'o',
+            locationValue(leg.from, leg.fromCity),
+            leg.fromAirport || '',
+            locationValue(leg.to, leg.toCity),
+            leg.toAirport || '',
+            leg.departureDate,
+            leg.arrivalDate
+        ]),
+        Object.keys(tripSpec.provisions).map(date => [date, tripSpec.provisions[date].components, tripSpec.provisions[date].note]),
+        adjustments.map(adjustment => [
+            adjustment.scope,
+            adjustment.scope === 'day' ? adjustment.dayNumber : adjustment.component,
+            adjustment.amount,
+            adjustment.reason,
+            adjustment.createdAt
+        ]),
+        paymentCurrency ? [paymentCurrency.currency, paymentCurrency.rate, paymentCurrency.rateDate, paymentCurrency.source] : null
+    ];
+    return deflateBytes(new TextEncoder().encode(JSON.stringify(payload)))
+        .then(bytes => `${tripLinkVersion}.${bytesToBase64Url(bytes)}`);
+}
+
+// Decode a fragment value into a tripSpec whose legs fillItinerary() takes
+// Rejects with a message for the user when the link is from a newer version or has been damaged
+function decodeTripLink(value) {
+    const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(value);
+    if (!match) {
+        return Promise.reject(new Error('This trip link is incomplete; ask for it to be copied again'));
+    }
+    const decoder = tripLinkDecoders[match[1]];
+    if (!decoder) {
+        return Promise.reject(new Error('This trip link was made by a newer version of the calculator; reload the page and try again'));
+    }
+    return Promise.resolve()
+        .then(() => decoder(base64UrlToBytes(match[2])))
+        .catch(() => {
+            throw new Error('This trip link is damaged or incomplete; ask for it to be copied again');
+        });
+}
+
+// Copy a link to the trip in the form, and show it in case the clipboard isn't available
+function copyTripLink() {
+    const status = document.getElementById('tripLinkStatus');
+    encodeTripLink(readTripSpec(), tripAdjustments, getPaymentCurrency()).then(encoded => {
+        const link = `${location.href.split('#')[0]}#trip=${encoded}`;
+        const showLink = (message) => {
+            status.innerHTML = `
+                <div class="info-box">
+                    ${message} Opening it fills in this trip and calculates it; the trip is in the link itself, nothing is sent to a server.
+                    <input type="text" class="trip-link" readonly value="${escapeHtml(link)}">
+                </div>
+            `;
+            status.querySelector('.trip-link').select();
+        };
+        if (!navigator.clipboard) {
+            showLink('Copy this link:');
+            return;
+        }
+        return navigator.clipboard.writeText(link)
+            .then(() => showLink('Link copied.'))
+            .catch(() => showLink('Copy this link:'));
+    }).catch(error => {
+        status.innerHTML = `<div class="error-box">Could not make a link: ${escapeHtml(error.message)}</div>`;
+    });
+}
+
+// Fill in and calculate the trip in the page's #trip= fragment, as a new trip
+function loadTripFromLink() {
+    const match = /^#trip=(.*)$/.exec(location.hash);
+    if (!match) return;
+    const message = document.getElementById('tripLinkMessage');
+
+    decodeTripLink(match[1]).then(tripSpec => {
+        resetForm();
+        document.getElementById('grade').value = tripSpec.grade;
+        document.getElementById('purpose').value = tripSpec.purpose;
+        document.getElementById('fundingSource').value = tripSpec.fundingSource;
+        document.getElementById('fundingSource').dispatchEvent(new Event('change'));
+        fillItinerary(tripSpec.legs);
+        tripProvisions = tripSpec.provisions;
+        // Links from before version 3 carry no adjustments and are paid in US$
+        tripAdjustments = tripSpec.adjustments || [];
+        tripExchangeRate = tripSpec.paymentCurrency || null;
+        renderPaymentCurrencyOptions();
+        document.getElementById('paymentCurrency').value = tripExchangeRate ? tripExchangeRate.currency : 'USD';
+
+        // Drop the fragment so a reload reopens the saved trip rather than the link
+        history.replaceState(null, '', location.href.split('#')[0]);
+        message.innerHTML = '<div class="info-box">Trip loaded from a link and saved to My Trips.</div>';
+        message.style.display = 'block';
+        calculate();
+    }).catch(error => {
+        message.innerHTML = `<div class="error-box">${escapeHtml(error.message)}</div>`;
+        message.style.display = 'block';
+    });
+}
+
+window.addEventListener('DOMContentLoaded', loadTripFromLink);
+window.addEventListener('hashchange', loadTripFromLink);
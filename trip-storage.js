@@ -0,0 +1,314 @@
+// Trip storage: keep trips in the browser so they survive a reload, autosave the open trip while it
+// is edited, and list saved trips to reopen, duplicate or delete
+
+// localStorage keys for the saved trips and the trip open in the form
+const tripsStorageKey = 'tsCalculator.trips';
+const currentTripStorageKey = 'tsCalculator.currentTrip';
+
+// Wait this long after the last edit before saving
+const tripAutosaveDelayMs = 800;
+
+// Id of the saved trip open in the form (null until a new trip is first saved)
+let currentTripId = null;
+let tripAutosaveTimer = null;
+
+// Whether the last save to the browser failed (storage full or unavailable); My Trips says so until a save succeeds
+let tripStorageFailed = false;
+
+// Saved trips: [{ id, createdAt, savedAt, traveller, grade, purpose, fundingSource, paymentCurrency, legs, provisions, calculated, adjustments, advances, acquittal, delegation, variants, totalPayment }]
+// legs are the form's rows as entered (see readTripForm), including rows not yet complete; totalPayment is the
+// adjusted total shown for the trip in My Trips (see tripAdjustments for adjustments); paymentCurrency is the
+// rate the trip is paid at, { currency, rate, rateDate, source } as in claim files, or null when paid in US$ only
+function loadStoredTrips() {
+    try {
+        return JSON.parse(localStorage.getItem(tripsStorageKey) || '[]');
+    } catch (error) {
+        // Unreadable storage: start with no saved trips
+        return [];
+    }
+}
+
+// Returns whether the trips were saved
+function saveStoredTrips(trips) {
+    try {
+        localStorage.setItem(tripsStorageKey, JSON.stringify(trips));
+        return true;
+    } catch (error) {
+        // Storage full or unavailable: the trips stay as they are in the page
+        return false;
+    }
+}
+
+// Remember which trip is open, so a reload reopens it; returns whether it was remembered
+function saveCurrentTripId() {
+    try {
+        if (currentTripId) {
+            localStorage.setItem(currentTripStorageKey, currentTripId);
+        } else {
+            localStorage.removeItem(currentTripStorageKey);
+        }
+        return true;
+    } catch (error) {
+        // Not remembered; a reload starts with an empty form
+        return false;
+    }
+}
+
+// The trip as entered in the form, with every itinerary row in the shape fillItinerary() takes
+// Airports are kept as typed so a half-entered airport comes back as it was
+function readTripForm() {
+    const legs = getItineraryRows().map(row => {
+        const from = parseLocation(row.fields.from.value);
+        const to = parseLocation(row.fields.to.value);
+        return {
+            direction: row.direction,
+            from: from.country,
+            fromCity: from.city,
+            fromAirport: row.fields.fromAirport.value.trim(),
+            to: to.country,
+            toCity: to.city,
+            toAirport: row.fields.toAirport.value.trim(),
+            departureDate: row.fields.departureDate.value,
+            arrivalDate: row.fields.arrivalDate.value
+        };
+    });
+
+    return {
+        traveller: readTravellerDetails(),
+        grade: document.getElementById('grade').value,
+        purpose: document.getElementById('purpose').value,
+        fundingSource: document.getElementById('fundingSource').value,
+        paymentCurrency: getPaymentCurrency(),
+        legs,
+        provisions: normaliseProvisions(tripProvisions),
+        calculated: calculatedTrip !== null,
+        adjustments: tripAdjustments.slice(),
+        advances: tripAdvances.slice(),
+        acquittal: tripAcquittal,
+        delegation: tripDelegation.slice(),
+        variants: tripVariants.slice(),
+        totalPayment: calculatedTrip ? document.getElementById('totalPayment').value : null
+    };
+}
+
+// Whether anything has been entered yet (the dates are filled in by default, so they don't count)
+function hasTripContent(form) {
+    return Boolean(Object.values(form.traveller).some(Boolean) || form.grade || form.purpose.trim() || form.legs.some(leg => leg.from || leg.to || leg.fromAirport || leg.toAirport));
+}
+
+function newTripId() {
+    return `trip-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Save the form as the open trip, creating a saved trip the first time something is entered
+function saveCurrentTrip() {
+    clearTimeout(tripAutosaveTimer);
+    tripAutosaveTimer = null;
+
+    const form = readTripForm();
+    const trips = loadStoredTrips();
+    const existing = trips.find(trip => trip.id === currentTripId);
+    if (!existing && !hasTripContent(form)) return;
+    if (existing && Object.keys(form).every(key => JSON.stringify(form[key]) === JSON.stringify(existing[key]))) return;
+
+    // From here on the trip is paid at the rate it was saved at, whatever the table says
+    tripExchangeRate = form.paymentCurrency;
+    const now = new Date().toISOString();
+    if (existing) {
+        Object.assign(existing, form, { savedAt: now });
+    } else {
+        currentTripId = newTripId();
+        trips.push(Object.assign({ id: currentTripId, createdAt: now, savedAt: now }, form));
+    }
+    const saved = saveStoredTrips(trips);
+    tripStorageFailed = !(saved && (existing || saveCurrentTripId()));
+    renderTripList();
+}
+
+function scheduleTripAutosave() {
+    clearTimeout(tripAutosaveTimer);
+    tripAutosaveTimer = setTimeout(saveCurrentTrip, tripAutosaveDelayMs);
+}
+
+// Save any pending edits and leave the open trip, so the next entry starts a new saved trip
+// Called by resetForm()
+function startNewTrip() {
+    if (tripAutosaveTimer) saveCurrentTrip();
+    currentTripId = null;
+    saveCurrentTripId();
+    renderTripList();
+}
+
+// Fill the form with a saved trip, and its result when it had been calculated
+function openTrip(tripId) {
+    const trip = loadStoredTrips().find(candidate => candidate.id === tripId);
+    if (!trip) return;
+    if (tripAutosaveTimer) saveCurrentTrip();
+
+    fillTravellerDetails(trip.traveller);
+    document.getElementById('grade').value = trip.grade;
+    document.getElementById('purpose').value = trip.purpose;
+    document.getElementById('fundingSource').value = trip.fundingSource;
+    document.getElementById('fundingSource').dispatchEvent(new Event('change'));
+    // Paid at the rate saved with the trip. Trips saved with only the currency code are paid at the table's
+    // rate, or in US$ when the currency has since been removed from the exchange rates
+    tripExchangeRate = typeof trip.paymentCurrency === 'string' ? getExchangeRate(trip.paymentCurrency) : normaliseExchangeRate(trip.paymentCurrency);
+    renderPaymentCurrencyOptions();
+    document.getElementById('paymentCurrency').value = tripExchangeRate ? tripExchangeRate.currency : 'USD';
+    // Rebuilds the route blocks with addRoute/addReturnRoute
+    fillItinerary(trip.legs);
+    tripProvisions = normaliseProvisions(trip.provisions);
+    tripAdjustments = (trip.adjustments || []).map(normaliseAdjustment).filter(Boolean);
+    tripAdvances = (trip.advances || []).map(normaliseAdvance).filter(Boolean);
+    tripAcquittal = trip.acquittal || null;
+    tripDelegation = (trip.delegation || []).map(normaliseDelegationMember).filter(Boolean);
+    tripVariants = (trip.variants || []).map(normaliseVariant).filter(Boolean);
+    renderVariants();
+
+    // Recalculate with the current rate tables rather than keeping a stale result
+    if (trip.calculated) {
+        const tripSpec = readTripSpec();
+        if (validateTripSpec(tripSpec).errors.length === 0) {
+            calculatedTrip = computeTrip(tripSpec);
+            if (!trip.adjustments) {
+                const editedTotal = editedTotalToAdjustment(parseFloat(trip.totalPayment), calculatedTrip.totalPayment, trip.savedAt);
+                if (editedTotal) tripAdjustments.push(editedTotal);
+            }
+            renderResults(calculatedTrip);
+            document.getElementById('results').style.display = 'block';
+        }
+    }
+
+    // Filling the form fires change events; they are not edits
+    clearTimeout(tripAutosaveTimer);
+    tripAutosaveTimer = null;
+    currentTripId = trip.id;
+    saveCurrentTripId();
+    renderTripList();
+}
+
+// Save a copy of a trip and open it
+function duplicateTrip(tripId) {
+    const trips = loadStoredTrips();
+    const trip = trips.find(candidate => candidate.id === tripId);
+    if (!trip) return;
+    if (tripAutosaveTimer) saveCurrentTrip();
+
+    const now = new Date().toISOString();
+    const copy = Object.assign({}, JSON.parse(JSON.stringify(trip)), {
+        id: newTripId(),
+        createdAt: now,
+        savedAt: now
+    });
+    trips.push(copy);
+    if (!saveStoredTrips(trips)) {
+        tripStorageFailed = true;
+        renderTripList();
+        return;
+    }
+    openTrip(copy.id);
+}
+
+function deleteTrip(tripId) {
+    const trip = loadStoredTrips().find(candidate => candidate.id === tripId);
+    if (!trip || !confirm(`Delete the trip "${trip.purpose.trim() || 'Untitled trip'}"? This cannot be undone.`)) return;
+
+    if (!saveStoredTrips(loadStoredTrips().filter(candidate => candidate.id !== tripId))) {
+        tripStorageFailed = true;
+        renderTripList();
+        return;
+    }
+    if (tripId === currentTripId) {
+        // Drop the pending edits too, so clearing the form doesn't save the trip again
+        clearTimeout(tripAutosaveTimer);
+        tripAutosaveTimer = null;
+        currentTripId = null;
+        resetForm();
+    }
+    renderTripList();
+}
+
+// A stored datetime-local value as dd/mm/yyyy
+function formatTripDate(value) {
+    return value ? formatLocalDateTime(new Date(value)).slice(0, 10) : '';
+}
+
+// List the saved trips, most recently saved first
+function renderTripList() {
+    const list = document.getElementById('tripList');
+    if (!list) return;
+    const notice = tripStorageFailed ? `
+        <div class="error-box">
+            <strong>Not saved — storage full or unavailable.</strong>
+            Changes since the last save are only in this page and are lost when it is closed. Delete trips you no longer need, or use Export Claim (JSON) to keep this one.
+        </div>` : '';
+    const trips = loadStoredTrips().sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    if (trips.length === 0) {
+        list.innerHTML = `${notice}<p class="muted">No saved trips yet. Trips are saved here as soon as you start entering them.</p>`;
+        return;
+    }
+
+    list.innerHTML = `
+        ${notice}
+        <table class="data-table trip-list">
+            <thead>
+                <tr><th>Purpose</th><th>Dates</th><th>Destinations</th><th class="number">Total</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${trips.map(trip => {
+                    const departures = trip.legs.map(leg => leg.departureDate).filter(Boolean).sort();
+                    const arrivals = trip.legs.map(leg => leg.arrivalDate).filter(Boolean).sort();
+                    const countries = Array.from(new Set(trip.legs.map(leg => leg.to).filter(country => country && country !== 'Zimbabwe')));
+                    const current = trip.id === currentTripId;
+                    return `
+                <tr class="${current ? 'current-trip' : ''}">
+                    <td>${escapeHtml(trip.purpose.trim() || 'Untitled trip')}${current ? ' <span class="muted">(open)</span>' : ''}</td>
+                    <td>${departures.length > 0 ? `${formatTripDate(departures[0])} – ${formatTripDate(arrivals[arrivals.length - 1])}` : ''}</td>
+                    <td>${escapeHtml(countries.join(', '))}</td>
+                    <td class="number">${trip.calculated && trip.totalPayment !== null ? `US$${Number(trip.totalPayment).toFixed(2)}` : '<span class="muted">Not calculated</span>'}</td>
+                    <td class="trip-actions">
+                        <button type="button" class="btn-link" onclick="openTrip('${trip.id}')">Open</button>
+                        <button type="button" class="btn-link" onclick="duplicateTrip('${trip.id}')">Duplicate</button>
+                        <button type="button" class="btn-link" onclick="deleteTrip('${trip.id}')">Delete</button>
+                    </td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function toggleMyTrips() {
+    const card = document.getElementById('myTrips');
+    const show = card.style.display === 'none';
+    card.style.display = show ? 'block' : 'none';
+    if (show) {
+        renderTripList();
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+    // Reopen the trip that was open when the page was last left
+    let storedTripId = null;
+    try {
+        storedTripId = localStorage.getItem(currentTripStorageKey);
+    } catch (error) {
+        // Storage unavailable: nothing to reopen
+    }
+    if (storedTripId && loadStoredTrips().some(trip => trip.id === storedTripId)) {
+        openTrip(storedTripId);
+    }
+    renderTripList();
+
+    // Autosave edits to the trip and its result (not the import and rate table panels)
+    const autosaveEdit = (event) => {
+        if (!event.target.closest('.admin-section, .admin-card')) scheduleTripAutosave();
+    };
+    document.addEventListener('input', autosaveEdit);
+    document.addEventListener('change', autosaveEdit);
+    // Adding or removing a route block is an edit too
+    const routesObserver = new MutationObserver(scheduleTripAutosave);
+    routesObserver.observe(document.getElementById('routesContainer'), { childList: true });
+    routesObserver.observe(document.getElementById('returnRoutesContainer'), { childList: true });
+});
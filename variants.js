@@ -0,0 +1,237 @@
+// Itinerary variants: alternative routings of the same trip (via Johannesburg or via Addis Ababa, an
+// overnight stop or a red-eye), kept next to the form and priced side by side for the traveller and
+// purpose in the form. The chosen variant is promoted to the trip and calculated
+
+// Most variants compared at once
+const maxTripVariants = 4;
+
+// Variants saved from the form, in the order they were saved: [{ name, legs }] where legs are tripSpec legs
+// as read by readTripSpec() (datetime-local strings)
+let tripVariants = [];
+
+// Check a variant read from a saved trip; returns it in the stored shape, or null
+function normaliseVariant(variant) {
+    if (!variant || typeof variant.name !== 'string' || !variant.name.trim() || !Array.isArray(variant.legs) || variant.legs.length === 0) {
+        return null;
+    }
+    return { name: variant.name.trim(), legs: variant.legs };
+}
+
+// The route a variant takes, e.g. "Zimbabwe → South Africa → Kenya → Zimbabwe"
+function describeVariantRoute(legs) {
+    const places = [];
+    legs.filter(leg => leg.direction !== 'return').concat(legs.filter(leg => leg.direction === 'return')).forEach(leg => {
+        const from = formatLocation(leg.from, leg.fromCity);
+        const to = formatLocation(leg.to, leg.toCity);
+        if (places[places.length - 1] !== from) places.push(from);
+        places.push(to);
+    });
+    return places.join(' → ');
+}
+
+// Save the itinerary in the form as a variant; it must be complete enough to calculate
+function addVariant() {
+    const nameInput = document.getElementById('variantName');
+    clearFieldMessage(nameInput);
+    if (tripVariants.length >= maxTripVariants) {
+        showFieldMessage(nameInput, `Up to ${maxTripVariants} variants can be compared; remove one first`, 'error');
+        return;
+    }
+    const tripSpec = readTripSpec();
+    if (!showTripValidation(tripSpec)) return;
+
+    const name = nameInput.value.trim() || `Variant ${String.fromCharCode(65 + tripVariants.length)}`;
+    if (tripVariants.some(variant => variant.name === name)) {
+        showFieldMessage(nameInput, 'There is already a variant with this name', 'error');
+        return;
+    }
+    tripVariants.push({ name, legs: tripSpec.legs });
+    nameInput.value = '';
+    renderVariants();
+    saveCurrentTrip();
+}
+
+function removeVariant(index) {
+    tripVariants.splice(index, 1);
+    renderVariants();
+    saveCurrentTrip();
+}
+
+// Put a variant's itinerary in the form and calculate it as the trip. The claim goes with it: advances,
+// host provisions and adjustments to a component or the total are kept, day adjustments move to the day
+// with the same date (those whose date the variant doesn't have are dropped), and the acquittal starts again
+function promoteVariant(index) {
+    const variant = tripVariants[index];
+    if (!variant) return;
+    const plannedTrip = calculatedTrip;
+    const adjustments = tripAdjustments;
+    const advances = tripAdvances;
+    const provisions = tripProvisions;
+    const hadAcquittal = tripAcquittal !== null;
+
+    fillItinerary(variant.legs);
+    tripAdvances = advances;
+    tripProvisions = provisions;
+    tripAdjustments = adjustments.filter(adjustment => adjustment.scope !== 'day');
+    calculate();
+
+    let dropped = adjustments.filter(adjustment => adjustment.scope === 'day');
+    if (dropped.length > 0 && plannedTrip && calculatedTrip) {
+        const carried = carryOverAdjustments(plannedTrip, calculatedTrip, adjustments);
+        dropped = adjustments.filter((adjustment, position) => carried[position].scope === 'day' && carried[position].dayNumber === null);
+        tripAdjustments = carried.filter(adjustment => adjustment.scope !== 'day' || adjustment.dayNumber !== null);
+        renderResults(calculatedTrip);
+        saveCurrentTrip();
+    }
+
+    const container = document.getElementById('variantComparison');
+    const previousNotice = container.querySelector('.variant-promoted');
+    if (previousNotice) previousNotice.remove();
+    if (dropped.length === 0 && !hadAcquittal) return;
+    container.insertAdjacentHTML('afterbegin', `
+        <div class="info-box variant-promoted">
+            <strong>${escapeHtml(variant.name)} is now the trip.</strong>
+            ${hadAcquittal ? 'The acquittal was for the previous itinerary and has been removed; start it again once the trip is travelled.' : ''}
+            ${dropped.length > 0 ? `
+            The variant has no day on the date of these day adjustments, so they were removed:
+            <ul>${dropped.map(adjustment => `<li>${escapeHtml(describeAdjustment(adjustment, plannedTrip))} ${formatAdjustmentAmount(adjustment.amount)}: ${escapeHtml(adjustment.reason)}</li>`).join('')}</ul>` : ''}
+        </div>
+    `);
+}
+
+// List the saved variants under the form; the comparison is cleared as it no longer matches the list
+function renderVariants() {
+    document.getElementById('variantComparison').innerHTML = '';
+    const list = document.getElementById('variantList');
+    if (tripVariants.length === 0) {
+        list.innerHTML = '<p class="muted">No variants. Enter a routing above and save it as a variant, then change the itinerary and save the next.</p>';
+        return;
+    }
+    list.innerHTML = `
+        <table class="data-table variant-list">
+            <thead>
+                <tr><th>Variant</th><th>Route</th><th>Departs</th><th>Returns</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${tripVariants.map((variant, index) => `
+                <tr>
+                    <td>${escapeHtml(variant.name)}</td>
+                    <td>${escapeHtml(describeVariantRoute(variant.legs))}</td>
+                    <td>${formatLocalDateTime(new Date(variant.legs[0].departureDate))}</td>
+                    <td>${formatLocalDateTime(new Date(variant.legs[variant.legs.length - 1].arrivalDate))}</td>
+                    <td>
+                        <button type="button" class="btn-link" onclick="promoteVariant(${index})">Use as Trip</button>
+                        <button type="button" class="btn-link" onclick="removeVariant(${index})">Remove</button>
+                    </td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Price each variant for the traveller, purpose and funding in the form
+ * @param {Object} tripSpec - tripSpec read from the form (its legs are replaced by each variant's)
+ * @param {Array} variants - Variants (see tripVariants)
+ * @returns {Object} - { priced: [{ variant, index, trip }], failed: [{ variant, message }], rows: [{ label, values, money, differs }] }
+ *   rows hold one value per priced variant; differs is true when the variants don't all agree
+ */
+function compareVariantTrips(tripSpec, variants) {
+    const priced = [];
+    const failed = [];
+    variants.forEach((variant, index) => {
+        const variantSpec = Object.assign({}, tripSpec, { legs: variant.legs });
+        const { errors } = validateTripSpec(variantSpec);
+        if (errors.length > 0) {
+            failed.push({ variant, message: errors[0].message });
+            return;
+        }
+        priced.push({ variant, index, trip: computeTrip(variantSpec) });
+    });
+
+    const rows = [];
+    const addRow = (label, value, money = true) => {
+        const values = priced.map(({ trip }) => value(trip));
+        const rounded = values.map(amount => amount.toFixed(2));
+        rows.push({ label, values, money, differs: rounded.some(amount => amount !== rounded[0]) });
+    };
+    addRow('Total days', trip => trip.durations.totalDays, false);
+    addRow('Full days at destination', trip => trip.durations.fullDaysAtDestination, false);
+    addRow('Nights', trip => trip.components.accommodation.count, false);
+    ['breakfast', 'lunch', 'dinner', 'accommodation', 'other'].forEach(component => {
+        addRow(adjustmentComponentLabels[component], trip => trip.components[component].amount);
+    });
+    addRow('Representation allowance', trip => trip.representationAllowance);
+    if (tripSpec.fundingSource === 'external') {
+        addRow('Supplementary allowance', trip => trip.supplementaryAllowance);
+    }
+    const countries = [];
+    priced.forEach(({ trip }) => Object.keys(trip.countryTotals).forEach(country => {
+        if (!countries.includes(country)) countries.push(country);
+    }));
+    countries.forEach(country => {
+        addRow(`DSA in ${country}`, trip => trip.countryTotals[country] ? trip.countryTotals[country].total : 0);
+    });
+    addRow('Total T&S payment', trip => trip.totalPayment);
+    return { priced, failed, rows };
+}
+
+// Price every variant and show them side by side, each against the first and with the cheapest marked
+function compareVariants() {
+    const container = document.getElementById('variantComparison');
+    if (tripVariants.length < 2) {
+        container.innerHTML = '<div class="info-box">Save at least two variants to compare them.</div>';
+        return;
+    }
+    const comparison = compareVariantTrips(readTripSpec(), tripVariants);
+    const failedBox = comparison.failed.length > 0 ? `
+        <div class="error-box">
+            <strong>Not compared:</strong>
+            <ul>${comparison.failed.map(({ variant, message }) => `<li>${escapeHtml(variant.name)}: ${escapeHtml(message)}</li>`).join('')}</ul>
+        </div>` : '';
+    if (comparison.priced.length < 2) {
+        container.innerHTML = failedBox;
+        return;
+    }
+
+    const totals = comparison.rows[comparison.rows.length - 1].values;
+    const cheapest = totals.indexOf(Math.min(...totals));
+    const formatValue = (row, value) => row.money ? formatPaymentAmount(value) : String(Number(value.toFixed(2)));
+    const formatDifference = (row, difference) => {
+        if (Math.abs(difference) < 0.005) return '';
+        return `<small>${row.money ? formatAdjustmentAmount(difference) : `${difference > 0 ? '+' : '−'}${Number(Math.abs(difference).toFixed(2))}`}</small>`;
+    };
+    container.innerHTML = `
+        ${failedBox}
+        <table class="data-table variant-comparison">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${comparison.priced.map(({ variant }, column) => `
+                    <th class="number ${column === cheapest ? 'variant-cheapest' : ''}">
+                        ${escapeHtml(variant.name)}${column === cheapest ? ' <span class="muted">(lowest)</span>' : ''}
+                        <small>${escapeHtml(describeVariantRoute(variant.legs))}</small>
+                    </th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${comparison.rows.map((row, index) => `
+                <tr class="${row.differs ? 'variant-differs' : ''} ${index === comparison.rows.length - 1 ? 'variant-total' : ''}">
+                    <td>${escapeHtml(row.label)}</td>
+                    ${row.values.map((value, column) => `
+                    <td class="number">${formatValue(row, value)}${column > 0 ? formatDifference(row, value - row.values[0]) : ''}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td></td>
+                    ${comparison.priced.map(({ index }) => `
+                    <td class="number"><button type="button" class="btn-link" onclick="promoteVariant(${index})">Use as Trip</button></td>`).join('')}
+                </tr>
+            </tfoot>
+        </table>
+        <p class="muted">Differences are against ${escapeHtml(comparison.priced[0].variant.name)}; highlighted rows differ between the variants.</p>
+    `;
+}
+
+window.addEventListener('DOMContentLoaded', renderVariants);